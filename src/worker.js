@@ -5,10 +5,15 @@
  * 1. 首页 (/)：服务端渲染 (SSR) 导航页，数据从 KV 读取。
  * 2. 后台 (/admin)：内嵌的管理页面，支持 Token 认证和数据管理。
  * 3. API (/api/links)：提供数据的读写接口。
+ * 4. 认证 (/api/login, /api/logout)：用密码换取带过期时间的签名会话令牌。
  * 
  * 部署配置：
  * 1. 绑定 KV 命名空间到变量 "LINKS_KV"。
  * 2. 设置环境变量 "ADMIN_PASSWORD"。
+ * 3. 可选：设置环境变量 "SESSION_SECRET" 作为会话签名密钥（不设置时自动生成并保存在 KV）。
+ * 4. 可选：设置环境变量 "SETUP_TOKEN"，首次初始化时必须提供该口令。
+ * 
+ * 未设置任何密码时，/admin 会进入一次性初始化向导，完成前所有写接口均拒绝请求。
  */
 
 // ==========================================
@@ -23,6 +28,115 @@ const KV_CONFIG = {
   RETRY_BASE_DELAY: 200,    // 重试基础延迟（毫秒）
 };
 
+/**
+ * 首页搜索引擎与浏览器地址栏搜索 (OpenSearch) 配置
+ */
+const SEARCH_CONFIG = {
+  MAX_ENGINES: 30,          // 搜索引擎（快捷前缀）数量上限
+  QUERY_PLACEHOLDER: '%s',  // 搜索地址模板中查询词的占位符
+  MAX_QUERY_LENGTH: 200,    // 地址栏搜索查询词的最大长度
+  REDIRECT_SCORE: 85,       // 第一名每个词的平均得分不低于该值且高于第二名时直接跳转（名称、关键词或拼音首字母完全相同）
+  MAX_SUGGESTIONS: 8,       // 地址栏自动补全的建议数量上限
+};
+
+/**
+ * 历史版本配置
+ */
+const REVISION_CONFIG = {
+  MAX_REVISIONS: 30,        // 保留的历史版本数量，超出后删除最旧的版本
+};
+
+/**
+ * 数据校验配置（写入链接、分类和站点设置时生效）
+ */
+const SCHEMA_CONFIG = {
+  // 链接允许使用的 URL 协议，其他协议（如 javascript:、data:）一律拒绝
+  ALLOWED_URL_SCHEMES: ['http:', 'https:', 'ftp:', 'sftp:', 'ssh:', 'smb:', 'rdp:', 'vnc:', 'mailto:'],
+  // 图标使用图片地址时允许的协议
+  ALLOWED_ICON_SCHEMES: ['http:', 'https:'],
+  MAX_LINKS: 1000,              // 链接数量上限
+  MAX_CATEGORIES: 100,          // 分类数量上限
+  MAX_NAME_LENGTH: 100,         // 链接名称、分类名称最大长度
+  MAX_URL_LENGTH: 2048,         // URL 最大长度
+  MAX_DESCRIPTION_LENGTH: 500,  // 描述最大长度
+  MAX_KEYWORDS_LENGTH: 200,     // 搜索关键词 / 别名最大长度
+  MAX_ICON_TEXT_LENGTH: 16,     // 文字/Emoji 图标最大长度
+  MAX_TITLE_LENGTH: 60,         // 站点标题最大长度
+};
+
+/**
+ * 导入导出配置
+ */
+const IMPORT_CONFIG = {
+  MAX_BODY_SIZE: 5 * 1024 * 1024,   // 导入文件大小上限（字节），浏览器书签常内嵌 base64 图标，体积较大
+  DEFAULT_CATEGORY_NAME: '📥 导入', // 不在任何文件夹 / 分组中的条目归入该分类
+  BACKUP_FORMAT: 'esa-nav-backup',  // 备份文件（json / yaml / csv）的格式标识
+  BACKUP_VERSION: 1,                // 备份格式版本，结构不兼容地变化时递增
+};
+
+/**
+ * 网站图标（favicon）配置
+ */
+const FAVICON_CONFIG = {
+  CACHE_TTL: 7 * 24 * 60 * 60 * 1000,   // 图标在 KV 中的缓存时间（毫秒）
+  MISS_TTL: 24 * 60 * 60 * 1000,        // 找不到图标时的缓存时间（毫秒），避免反复抓取
+  BROWSER_MAX_AGE: 86400,               // 浏览器 / CDN 缓存时间（秒）
+  FETCH_TIMEOUT: 5000,                  // 抓取单个地址的超时时间（毫秒）
+  MAX_ICON_SIZE: 100 * 1024,            // 图标文件大小上限（字节）
+  MAX_HTML_SIZE: 256 * 1024,            // 解析首页 <link rel="icon"> 时读取的 HTML 上限（字符）
+  // 允许缓存的图片类型；SVG 可能内嵌脚本，不从外部站点缓存
+  ALLOWED_TYPES: ['image/png', 'image/x-icon', 'image/vnd.microsoft.icon', 'image/gif', 'image/jpeg', 'image/webp'],
+};
+
+/**
+ * 自定义图标（资源库）配置
+ */
+const ASSET_CONFIG = {
+  MAX_SIZE: 256 * 1024,        // 单个文件大小上限（字节）
+  MAX_ASSETS: 200,             // 资源数量上限
+  // 资源 ID 由内容哈希生成，内容不变地址就不变，可以长期缓存
+  CACHE_MAX_AGE: 31536000,
+};
+
+/**
+ * 链接健康检查配置
+ */
+const HEALTH_CONFIG = {
+  TIMEOUT: 8000,            // 单个地址的探测超时（毫秒）
+  CONCURRENCY: 6,           // 同时探测的地址数量
+  // 2xx / 3xx 视为可用；以下状态码说明服务在线但需要登录，同样视为可用
+  AUTH_STATUSES: [401, 403],
+};
+
+/**
+ * 多看板配置
+ */
+const BOARD_CONFIG = {
+  DEFAULT_SLUG: 'default',      // 默认看板，即原有的 data 数据；只有默认看板时首页 / 直接显示它
+  DEFAULT_TITLE: '默认看板',
+  MAX_BOARDS: 50,               // 看板数量上限（含默认看板）
+};
+
+/**
+ * 点击统计配置（在后台“访问统计”中开启后生效）
+ */
+const CLICK_CONFIG = {
+  RETENTION_DAYS: 90,       // 按天明细保留的天数，更早的明细会被删除（累计次数不受影响）
+  DEFAULT_STATS_DAYS: 30,   // 统计接口默认统计的天数
+  TIMEZONE_OFFSET: 8 * 60,  // 划分日期使用的时区偏移（分钟），默认北京时间 UTC+8
+};
+
+/**
+ * 访问环境配置（环境列表与识别规则在后台“访问环境”中设置）
+ */
+const NETWORK_CONFIG = {
+  COOKIE: 'esa_nav_net',                 // 首页手动切换环境后保存选择的 Cookie（环境 key）
+  COOKIE_MAX_AGE: 365 * 24 * 60 * 60,    // 手动选择的保存时间（秒）
+  PROBE_TIMEOUT: 3000,                   // 浏览器加载探测地址的超时时间（毫秒）
+  MAX_RULES: 50,                         // 每个环境的网段、请求头和域名改写规则各自的数量上限
+  MAX_ENVIRONMENTS: 10,                  // 访问环境数量上限（含外网、内网）
+};
+
 /**
  * 缓存策略配置
  */
@@ -47,6 +161,94 @@ const SECURITY_CONFIG = {
   ALLOWED_ORIGINS: ['*'],
 };
 
+/**
+ * 会话配置
+ */
+const AUTH_CONFIG = {
+  // 管理会话有效期（毫秒），过期后需重新登录
+  SESSION_TTL: 12 * 60 * 60 * 1000,
+
+  // 密码哈希 PBKDF2-SHA256 迭代次数（修改后仅对新写入的哈希生效）
+  PBKDF2_ITERATIONS: 100000,
+
+  // 内置超级管理员账号名，密码即 KV / 环境变量中的 ADMIN_PASSWORD
+  ROOT_USERNAME: 'admin',
+
+  // 角色权限等级：viewer 只读，editor 可修改链接与分类，admin 可管理用户与安全设置
+  ROLES: { viewer: 1, editor: 2, admin: 3 },
+
+  // 登录后同时写入的会话 Cookie，首页据此显示“登录可见”的链接
+  SESSION_COOKIE: 'esa_nav_session',
+};
+
+/**
+ * OIDC 单点登录配置（是否启用由环境变量 OIDC_ISSUER / OIDC_CLIENT_ID 决定）
+ */
+const OIDC_CONFIG = {
+  STATE_TTL: 10 * 60 * 1000,               // 登录跳转的有效期（毫秒）
+  DISCOVERY_CACHE_TTL: 60 * 60 * 1000,     // discovery 文档与 JWKS 缓存时间（毫秒）
+  STATE_COOKIE: 'esa_oidc',                // 保存 state / nonce / PKCE verifier 的签名 Cookie
+  DEFAULT_SCOPES: 'openid email profile',
+  DEFAULT_GROUPS_CLAIM: 'groups',
+};
+
+/**
+ * TOTP 两步验证配置 (RFC 6238)
+ */
+const TOTP_CONFIG = {
+  ISSUER: 'ESA Nav',       // 认证器 App 中显示的发行方
+  DIGITS: 6,
+  PERIOD: 30,              // 时间步长（秒）
+  WINDOW: 1,               // 允许前后各偏差的步数，兼容设备时钟误差
+  RECOVERY_CODES: 10,      // 启用时生成的一次性恢复码数量
+};
+
+/**
+ * 首次初始化配置
+ */
+const SETUP_CONFIG = {
+  MIN_PASSWORD_LENGTH: 8,
+  DEFAULT_PASSWORD: 'admin',  // 旧版的默认密码，任何地方都不再接受
+
+  // 初始化向导中可选的起始分类
+  STARTER_CATEGORIES: {
+    'media': '🎬 影音媒体',
+    'books': '📚 图书资源',
+    'tools': '🛠️ 常用工具',
+    'dev': '💻 开发资源',
+    'news': '📰 新闻资讯',
+    'work': '💼 办公协作',
+    'learning': '🎓 学习成长',
+    'shopping': '🛒 购物消费',
+  },
+};
+
+/**
+ * 登录防爆破配置（按客户端 IP 计数，记录保存在 EdgeKV）
+ */
+const RATE_LIMIT_CONFIG = {
+  FREE_ATTEMPTS: 3,                 // 允许连续失败的次数，超过后开始递增延迟
+  BASE_DELAY: 2 * 1000,             // 首次延迟（毫秒），之后每次失败翻倍
+  MAX_ATTEMPTS: 10,                 // 连续失败达到该次数后临时锁定
+  LOCKOUT_DURATION: 15 * 60 * 1000, // 锁定时长（毫秒）
+  FAILURE_WINDOW: 60 * 60 * 1000,   // 距最后一次失败超过该时间后计数清零（毫秒）
+  CLIENT_IP_HEADER: 'Ali-Real-Client-IP', // 平台设置的客户端 IP 请求头，可用环境变量 CLIENT_IP_HEADER 覆盖
+};
+
+// 允许跨域 (方便调试)
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+  'Access-Control-Expose-Headers': 'Retry-After, ETag, X-Backup-Format-Version',
+};
+
+const NO_CACHE_HEADERS = {
+  'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
+  'Pragma': 'no-cache',
+  'Expires': '0',
+};
+
 export default {
   async fetch(request, env, ctx) {
     // 确保 env 存在
@@ -55,21 +257,14 @@ export default {
     const url = new URL(request.url);
     const path = url.pathname;
 
-    // 允许跨域 (方便调试)
-    const corsHeaders = {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    };
-
-    const noCacheHeaders = {
-      'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0',
-    };
-
     if (request.method === 'OPTIONS') {
-      return new Response(null, { headers: corsHeaders });
+      return new Response(null, { headers: CORS_HEADERS });
+    }
+
+    // 看板：数据类接口通过 ?board=<slug> 指定看板，缺省为默认看板
+    const board = url.searchParams.get('board') || BOARD_CONFIG.DEFAULT_SLUG;
+    if (path.startsWith('/api/') && board !== BOARD_CONFIG.DEFAULT_SLUG && !(await findBoard(env, board))) {
+      return jsonResponse({ error: 'Board not found' }, 404);
     }
 
     // ==========================================
@@ -78,30 +273,33 @@ export default {
     if (path === '/api/links') {
       try {
         if (request.method === 'GET') {
-          let data = await getLinksFromKV(env);
-          return new Response(JSON.stringify(data), {
-            headers: { ...corsHeaders, ...noCacheHeaders, 'Content-Type': 'application/json' }
-          });
+          // 未登录只返回公开内容；私有模式下必须登录
+          const visitor = await getOptionalUser(request, env);
+          if (!visitor && isPrivateDashboard(env)) return jsonResponse({ error: 'Unauthorized' }, 401);
+          let data = await getLinksFromKV(env, board);
+          if (!visitor) data = filterVisibleData(data, null);
+          return jsonResponse(data, 200, { 'ETag': await computeETag(data) });
         } else if (request.method === 'POST') {
-          // 鉴权
-          const authHeader = request.headers.get('Authorization');
-          const expectedPassword = await getAdminPassword(env);
-
-          if (!authHeader || authHeader !== `Bearer ${expectedPassword}`) {
-            return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-              status: 401,
-              headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-            });
-          }
+          // 鉴权（编辑及以上角色）
+          const auth = await requireSession(request, env, 'editor', board);
+          if (auth.response) return auth.response;
 
           const body = await request.json();
           // 支持更新链接列表或分类配置
           // 如果 body 是数组，认为是更新链接列表
           // 如果 body 是对象且包含 links 或 categories，认为是全量更新
+          // 其他对象视为新增单个链接，交给资源接口处理
+          if (body && typeof body === 'object' && !Array.isArray(body) && !DOCUMENT_KEYS.some(k => k in body)) {
+            return await handleResourceRequest(request, env, path, auth, body, board);
+          }
           let dataToSave = {};
 
           // 获取现有数据以保留未变更部分
-          const currentData = await getLinksFromKV(env);
+          const currentData = await getLinksFromKV(env, board);
+
+          // 乐观并发控制：携带 If-Match 时，版本不一致则拒绝写入并返回服务器当前数据
+          const conflict = await checkIfMatch(request, currentData);
+          if (conflict) return conflict;
 
           if (Array.isArray(body)) {
             dataToSave = { ...currentData, links: body };
@@ -111,28 +309,16 @@ export default {
             throw new Error('Invalid data format');
           }
 
-          // 写入 KV (增加重试机制)
-          let lastError;
-          for (let i = 0; i < KV_CONFIG.MAX_RETRIES; i++) {
-            try {
-              const kv = getKV(env);
-              await kv.put('data', JSON.stringify(dataToSave));
-              // 简单验证写入
-              lastError = null;
-              break;
-            } catch (e) {
-              lastError = e;
-              await new Promise(r => setTimeout(r, KV_CONFIG.RETRY_BASE_DELAY * (i + 1))); // 指数退避
-            }
+          // 按 schema 校验整份数据，不合法时返回逐字段错误
+          const { value, errors } = validateLinksData(dataToSave, await getLinkEnvironmentKeys(env), currentData.links);
+          if (errors.length > 0) {
+            return jsonResponse({ error: 'Validation failed', errors }, 400);
           }
 
-          if (lastError) {
-            throw lastError;
-          }
+          const saved = await saveLinksData(env, value, { author: auth.user.username, previous: currentData, board });
 
-          return new Response(JSON.stringify({ success: true }), {
-            headers: { ...corsHeaders, ...noCacheHeaders, 'Content-Type': 'application/json' }
-          });
+          const etag = await computeETag(saved);
+          return jsonResponse({ success: true, etag, data: saved }, 200, { 'ETag': etag });
         }
       } catch (e) {
         // 返回详细错误信息
@@ -141,1143 +327,6853 @@ export default {
           cause: e.cause ? String(e.cause) : undefined, // EdgeKV 往往在 cause 里放错误详情
           stack: e.stack
         };
-        return new Response(JSON.stringify(errorDetails), { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
+        return jsonResponse(errorDetails, 500);
       }
     }
 
     // ==========================================
-    // 路由: 修改密码 (/api/password)
+    // 路由: 单个链接 / 分类资源与批量操作
+    // GET/PATCH/DELETE /api/links/:id
+    // GET/POST /api/categories，GET/PATCH/DELETE /api/categories/:key
+    // POST /api/batch { operations: [{ method, path, body }] }，全部成功才会保存
+    // 读操作无需登录（未登录只能读到公开内容），写操作需 editor 及以上角色，并同样支持 If-Match
     // ==========================================
-    if (path === '/api/password' && request.method === 'POST') {
+    if (path.startsWith('/api/links/') || path === '/api/categories' || path.startsWith('/api/categories/') || path === '/api/batch') {
+      try {
+        let auth = null;
+        if (request.method !== 'GET') {
+          auth = await requireSession(request, env, 'editor', board);
+          if (auth.response) return auth.response;
+        } else {
+          const visitor = await getOptionalUser(request, env);
+          if (!visitor && isPrivateDashboard(env)) return jsonResponse({ error: 'Unauthorized' }, 401);
+          if (visitor) auth = { user: visitor };
+        }
+        let body;
+        if (request.method === 'POST' || request.method === 'PATCH') {
+          try { body = await request.json(); } catch (_) {
+            return jsonResponse({ error: 'Invalid JSON body' }, 400);
+          }
+        }
+        return await handleResourceRequest(request, env, path, auth, body, board);
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
+      }
+    }
+
+    // ==========================================
+    // 路由: 历史版本 (/api/revisions)，编辑及以上角色
+    // GET /api/revisions                    列出版本
+    // GET /api/revisions/diff?from=&to=     对比两个版本（to 缺省为当前数据）
+    // GET /api/revisions/:id                获取某个版本的完整数据
+    // POST /api/revisions/:id/restore       回滚到该版本（会生成一条新版本）
+    // ==========================================
+    if (path === '/api/revisions' || path.startsWith('/api/revisions/')) {
       try {
-        const authHeader = request.headers.get('Authorization');
-        const expectedPassword = await getAdminPassword(env);
+        const auth = await requireSession(request, env, 'editor', board);
+        if (auth.response) return auth.response;
+
+        if (path === '/api/revisions' && request.method === 'GET') {
+          return jsonResponse(await getRevisionIndex(env, board));
+        }
+
+        if (path === '/api/revisions/diff' && request.method === 'GET') {
+          const fromId = url.searchParams.get('from');
+          const toId = url.searchParams.get('to');
+          const from = fromId ? await getRevision(env, fromId, board) : null;
+          const to = toId ? await getRevision(env, toId, board) : await getLinksFromKV(env, board);
+          if ((fromId && !from) || (toId && !to)) {
+            return jsonResponse({ error: 'Revision not found' }, 404);
+          }
+          return jsonResponse(diffLinksData(from || {}, to));
+        }
+
+        const match = path.match(/^\/api\/revisions\/([^/]+)(\/restore)?$/);
+        if (!match) return jsonResponse({ error: 'Not Found' }, 404);
+        const snapshot = await getRevision(env, match[1], board);
+        if (!snapshot) return jsonResponse({ error: 'Revision not found' }, 404);
 
-        if (!authHeader || authHeader !== `Bearer ${expectedPassword}`) {
-          return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-            status: 401,
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        if (!match[2] && request.method === 'GET') {
+          return jsonResponse(snapshot);
+        }
+
+        if (match[2] && request.method === 'POST') {
+          const entry = (await getRevisionIndex(env, board)).find(r => r.id === match[1]);
+          const when = entry ? new Date(entry.createdAt).toISOString() : match[1];
+          // 旧版本可能早于校验规则写入，回滚前同样需要通过校验；
+          // 链接地址所属的访问环境此后可能已被删除，与其他写入一样只接受当前已配置的环境
+          const previous = await getLinksFromKV(env, board);
+          const { value, errors } = validateLinksData(snapshot, await getLinkEnvironmentKeys(env), previous.links);
+          if (errors.length > 0) {
+            return jsonResponse({ error: 'Validation failed', errors }, 400);
+          }
+          await saveLinksData(env, value, {
+            author: auth.user.username,
+            summary: `回滚到 ${when} 的版本`,
+            previous,
+            board
           });
+          return jsonResponse({ success: true });
+        }
+
+        return jsonResponse({ error: 'Method Not Allowed' }, 405);
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
+      }
+    }
+
+    // ==========================================
+    // 路由: 导入 (/api/import)，编辑及以上角色
+    // POST /api/import?format=<格式>&mode=preview|merge|replace，请求体为原始文件内容
+    // 格式：bookmarks、homer、dashy、heimdall、homarr，以及备份格式 json、yaml、csv
+    // preview 只返回报告不保存；merge 追加新链接（重复链接合并）；replace 替换全部链接和分类
+    // 备份格式以 replace 导入时按原样恢复链接（含 id）、分类和站点设置
+    // 备份中的访问环境配置（KV 键 network）只由 admin 恢复：replace 时覆盖，merge 时仅在尚未配置过时写入；
+    // 结果见报告中的 network：restored / invalid（未通过校验）/ kept（已有配置）/ forbidden（非 admin）
+    // ==========================================
+    if (path === '/api/import') {
+      try {
+        if (request.method !== 'POST') return jsonResponse({ error: 'Method Not Allowed' }, 405);
+        const auth = await requireSession(request, env, 'editor', board);
+        if (auth.response) return auth.response;
+
+        const format = url.searchParams.get('format') || '';
+        const mode = url.searchParams.get('mode') || 'preview';
+        const importer = IMPORTERS[format];
+        if (!importer) return jsonResponse({ error: 'Unsupported format', formats: Object.keys(IMPORTERS) }, 400);
+        if (!IMPORT_MODES.includes(mode)) return jsonResponse({ error: 'Invalid mode', modes: IMPORT_MODES }, 400);
+
+        const text = await request.text();
+        if (text.length > IMPORT_CONFIG.MAX_BODY_SIZE) return jsonResponse({ error: 'File too large' }, 413);
+
+        let parsed;
+        try {
+          parsed = importer(text);
+        } catch (e) {
+          return jsonResponse({ error: 'Unable to parse file', cause: e.message }, 400);
+        }
+
+        const currentData = await getLinksFromKV(env, board);
+        // 解析器返回条目列表，备份格式返回完整数据文档
+        const plan = Array.isArray(parsed) ? planImport(currentData, parsed, mode) : planRestore(currentData, parsed, mode);
+
+        // 访问环境配置单独保存，恢复后链接的 urls 按恢复后的环境校验
+        let network = null;
+        const networkErrors = [];
+        if (!Array.isArray(parsed) && parsed.network !== undefined) {
+          if (!hasRole(auth.user, 'admin')) {
+            plan.report.network = 'forbidden';
+          } else if (mode !== 'replace' && (await getKV(env).get('network'))) {
+            plan.report.network = 'kept';
+          } else {
+            const result = validateNetworkConfig(parsed.network);
+            networkErrors.push(...result.errors.map(err => ({ ...err, path: err.path ? 'network.' + err.path : 'network' })));
+            if (!result.errors.length) network = result.value;
+            plan.report.network = network ? 'restored' : 'invalid';
+          }
+        }
+        const environmentKeys = network
+          ? network.environments.map(e => e.key).filter(key => key !== 'ext' && key !== 'int')
+          : await getLinkEnvironmentKeys(env);
+        const { value, errors } = validateLinksData(plan.data, environmentKeys, currentData.links);
+        errors.push(...networkErrors);
+        if (mode === 'preview') {
+          return jsonResponse({ mode, report: plan.report, errors });
+        }
+
+        const conflict = await checkIfMatch(request, currentData);
+        if (conflict) return conflict;
+
+        if (errors.length > 0) {
+          return jsonResponse({ error: 'Validation failed', errors, report: plan.report }, 400);
+        }
+        if (network) await putWithRetry(env, 'network', JSON.stringify(network));
+        const saved = await saveLinksData(env, value, {
+          author: auth.user.username,
+          summary: `导入 ${format}（${mode === 'replace' ? '替换' : '合并'}）：新增链接 ${plan.report.created.length}`,
+          previous: currentData,
+          board
+        });
+        const etag = await computeETag(saved);
+        return jsonResponse({ success: true, mode, report: plan.report, etag, data: saved }, 200, { 'ETag': etag });
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
+      }
+    }
+
+    // ==========================================
+    // 路由: 导出 (/api/export)，登录后可用
+    // GET /api/export?format=bookmarks 导出为浏览器可导入的书签文件
+    // GET /api/export?format=json|yaml|csv 导出完整备份（链接、分类、站点设置、搜索引擎），
+    // admin 导出的备份还包含访问环境配置（网段、请求头和改写规则），
+    // 文件内和 X-Backup-Format-Version 响应头中均带有备份格式版本
+    // ==========================================
+    if (path === '/api/export') {
+      try {
+        if (request.method !== 'GET') return jsonResponse({ error: 'Method Not Allowed' }, 405);
+        const auth = await requireSession(request, env, 'viewer');
+        if (auth.response) return auth.response;
+
+        const format = url.searchParams.get('format') || '';
+        const exporter = EXPORTERS[format];
+        if (!exporter) return jsonResponse({ error: 'Unsupported format', formats: Object.keys(EXPORTERS) }, 400);
+
+        const data = await getLinksFromKV(env, board);
+        if (hasRole(auth.user, 'admin')) data.network = await getNetworkConfig(env);
+        const { body, contentType, filename, version } = exporter(data);
+        const headers = {
+          ...CORS_HEADERS,
+          ...NO_CACHE_HEADERS,
+          'Content-Type': contentType,
+          'Content-Disposition': `attachment; filename="${filename}"`
+        };
+        if (version) headers['X-Backup-Format-Version'] = String(version);
+        return new Response(body, { headers });
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
+      }
+    }
+
+    // ==========================================
+    // 路由: 修改当前管理员自己的密码 (/api/password)，仅限 admin 角色
+    // ==========================================
+    if (path === '/api/password' && request.method === 'POST') {
+      try {
+        const auth = await requireSession(request, env, 'admin');
+        if (auth.response) return auth.response;
+        if (auth.user.sso) {
+          return jsonResponse({ error: 'SSO accounts have no local password' }, 400);
         }
 
         const body = await request.json();
         const newPassword = body.password;
         if (!newPassword || typeof newPassword !== 'string' || newPassword.length < 1) {
-          return new Response(JSON.stringify({ error: 'Invalid password' }), { status: 400, headers: corsHeaders });
+          return jsonResponse({ error: 'Invalid password' }, 400);
+        }
+        if (newPassword === SETUP_CONFIG.DEFAULT_PASSWORD) {
+          return jsonResponse({ error: 'Password must not be the default "admin"' }, 400);
         }
 
-        const kv = getKV(env);
-        await kv.put('ADMIN_PASSWORD', newPassword);
+        await setUserPassword(env, auth.user.username, newPassword);
 
-        return new Response(JSON.stringify({ success: true }), {
-          headers: { ...corsHeaders, ...noCacheHeaders, 'Content-Type': 'application/json' }
-        });
+        return jsonResponse({ success: true });
       } catch (e) {
         const errorDetails = {
           error: e.message,
           cause: e.cause ? String(e.cause) : undefined,
           stack: e.stack
         };
-        return new Response(JSON.stringify(errorDetails), { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
+        return jsonResponse(errorDetails, 500);
       }
     }
 
-    if (path === '/api/auth') {
-      const authHeader = request.headers.get('Authorization');
-      const expectedPassword = await getAdminPassword(env);
-      if (!authHeader || authHeader !== `Bearer ${expectedPassword}`) {
-        return new Response(JSON.stringify({ authenticated: false }), {
-          status: 401,
-          headers: { ...corsHeaders, ...noCacheHeaders, 'Content-Type': 'application/json' }
+    // ==========================================
+    // 路由: 登录 (/api/login)，用密码换取签名会话令牌
+    // ==========================================
+    if (path === '/api/login' && request.method === 'POST') {
+      try {
+        const ip = getClientIp(request, env);
+        const limit = await checkRateLimit(env, ip);
+        if (limit.retryAfter > 0) return rateLimitedResponse(limit.retryAfter);
+
+        if (!(await getAdminPassword(env))) {
+          return jsonResponse({ error: 'Setup required', setupRequired: true }, 403);
+        }
+
+        let body = {};
+        try { body = await request.json(); } catch (_) { }
+        const username = body && typeof body.username === 'string' && body.username.trim()
+          ? body.username.trim()
+          : AUTH_CONFIG.ROOT_USERNAME;
+        const password = body && typeof body.password === 'string' ? body.password : '';
+
+        const user = password ? await verifyUserCredentials(env, username, password) : null;
+        if (!user) {
+          const failure = await recordAuthFailure(env, ip, limit);
+          return jsonResponse({ error: 'Invalid username or password', retryAfter: failure.retryAfter }, 401);
+        }
+
+        // 已启用两步验证时必须同时提供 6 位验证码或恢复码
+        const totp = await getTotpState(env, user.username);
+        if (totp.enabled) {
+          const otp = typeof body.otp === 'string' ? body.otp.trim() : '';
+          if (!otp) {
+            return jsonResponse({ error: 'Two-factor code required', mfaRequired: true }, 401);
+          }
+          if (!(await verifySecondFactor(env, user.username, totp, otp))) {
+            const failure = await recordAuthFailure(env, ip, limit);
+            return jsonResponse({ error: 'Invalid two-factor code', mfaRequired: true, retryAfter: failure.retryAfter }, 401);
+          }
+          user.mfa = true;
+        }
+        if (limit.failures > 0) await clearAuthFailures(env, ip);
+
+        const { token, expiresAt } = await createSessionToken(env, user);
+        return jsonResponse({ token, expiresAt, username: user.username, role: user.role }, 200, {
+          'Set-Cookie': sessionCookie(token, expiresAt)
         });
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
       }
-      return new Response(JSON.stringify({ authenticated: true }), {
-        headers: { ...corsHeaders, ...noCacheHeaders, 'Content-Type': 'application/json' }
-      });
     }
 
     // ==========================================
-    // 路由 2: 管理后台 (/admin)
+    // 路由: 退出登录 (/api/logout)
+    // body.all 为 true 时注销所有已签发的会话
     // ==========================================
-    if (path === '/admin') {
-      return new Response(getAdminHtml(), {
-        headers: { 'Content-Type': 'text/html;charset=UTF-8' }
-      });
+    if (path === '/api/logout' && request.method === 'POST') {
+      try {
+        const auth = await requireSession(request, env, 'viewer');
+        if (auth.response) return auth.response;
+
+        let body = {};
+        try { body = await request.json(); } catch (_) { }
+        if (body && body.all) {
+          // 注销所有人的会话属于安全设置，仅限 admin
+          if (!hasRole(auth.user, 'admin')) {
+            return jsonResponse({ error: 'Forbidden' }, 403);
+          }
+          await revokeAllSessions(env);
+        } else {
+          await revokeSession(env, auth.session);
+        }
+        return jsonResponse({ success: true }, 200, { 'Set-Cookie': sessionCookie('', 0) });
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
+      }
     }
 
     // ==========================================
-    // 路由 3: 首页 (SSR)
+    // 路由: 首次初始化 (/api/setup)，仅在未设置密码时可用
     // ==========================================
-    if (path === '/' || path === '/index.html') {
-      const data = await getLinksFromKV(env);
-      const html = renderHome(data);
+    if (path === '/api/setup' && request.method === 'POST') {
+      try {
+        if (await getAdminPassword(env)) {
+          return jsonResponse({ error: 'Already configured' }, 409);
+        }
 
-      // 缓存策略：根据配置决定是否启用缓存
-      const cacheHeaders = CACHE_CONFIG.HOME_PAGE_MAX_AGE > 0 ? {
-        'Cache-Control': `public, max-age=${CACHE_CONFIG.HOME_PAGE_MAX_AGE}, s-maxage=${CACHE_CONFIG.HOME_PAGE_S_MAX_AGE}`,
-        'Content-Type': 'text/html;charset=UTF-8'
-      } : {
-        ...noCacheHeaders,
-        'Content-Type': 'text/html;charset=UTF-8'
-      };
+        const ip = getClientIp(request, env);
+        const limit = await checkRateLimit(env, ip);
+        if (limit.retryAfter > 0) return rateLimitedResponse(limit.retryAfter);
 
-      return new Response(html, { headers: cacheHeaders });
-    }
+        let body = {};
+        try { body = await request.json(); } catch (_) { }
 
-    return new Response('Not Found', { status: 404 });
-  }
-};
+        // 可选：设置了 SETUP_TOKEN 时，必须提供正确的初始化口令
+        if (env.SETUP_TOKEN && !(await verifyPassword(String(body.setupToken || ''), env.SETUP_TOKEN))) {
+          const failure = await recordAuthFailure(env, ip, limit);
+          return jsonResponse({ error: 'Invalid setup token', retryAfter: failure.retryAfter }, 401);
+        }
 
-function getKV(env) {
-  const ns = (env && env.EDGEKV_NAMESPACE) ? env.EDGEKV_NAMESPACE : 'links_store';
-  if (typeof EdgeKV === 'undefined') throw new Error('EdgeKV unavailable');
-  return new EdgeKV({ namespace: ns });
-}
+        const password = typeof body.password === 'string' ? body.password : '';
+        if (password.length < SETUP_CONFIG.MIN_PASSWORD_LENGTH) {
+          return jsonResponse({ error: `Password must be at least ${SETUP_CONFIG.MIN_PASSWORD_LENGTH} characters` }, 400);
+        }
+        if (password === SETUP_CONFIG.DEFAULT_PASSWORD) {
+          return jsonResponse({ error: 'Password must not be the default "admin"' }, 400);
+        }
 
-async function getAdminPassword(env) {
-  try {
-    const kv = getKV(env);
-    const v = await kv.get('ADMIN_PASSWORD');
-    if (v && typeof v === 'string' && v.length > 0) return v;
-  } catch (_) { }
-  if (env && env.ADMIN_PASSWORD) return env.ADMIN_PASSWORD;
-  return 'admin';
-}
-// 辅助函数：获取数据
-async function getLinksFromKV(env) {
-  let dataStr = null;
-  try {
-    const kv = getKV(env);
-    dataStr = await kv.get('data');
-  } catch (e) {
-    console.error('KV Get Error:', e);
-  }
+        await applyInitialSetup(env, body);
 
-  // 默认数据结构
-  const defaultData = {
-    links: [
-      { name: "哔哩哔哩", url: "https://www.bilibili.com", icon: "📺", category: "media", description: "二次元弹幕视频网站" },
-      { name: "腾讯视频", url: "https://v.qq.com", icon: "🎬", category: "media", description: "中国领先的在线视频媒体平台", url_intranet: "" },
-      { name: "微信读书", url: "https://weread.qq.com", icon: "📖", category: "books", description: "深度阅读，即刻出发" },
-      { name: "知乎", url: "https://www.zhihu.com", icon: "🧠", category: "books", description: "有问题，就会有答案" },
-      { name: "GitHub", url: "https://github.com", icon: "💻", category: "dev", description: "全球最大的代码托管平台" },
-      { name: "阿里云", url: "https://www.aliyun.com", icon: "☁️", category: "tools", description: "全球领先的云计算及人工智能科技公司" }
-    ],
-    categories: {
-      'media': '🎬 影音媒体',
-      'books': '📚 图书资源',
-      'tools': '🛠️ 常用工具',
-      'dev': '💻 开发资源'
+        const kv = getKV(env);
+        await kv.put('ADMIN_PASSWORD', await hashPassword(password));
+        // 初始化完成后直接签发会话，省去再次登录
+        const { token, expiresAt } = await createSessionToken(env, { username: AUTH_CONFIG.ROOT_USERNAME });
+        return jsonResponse({ token, expiresAt });
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
+      }
     }
-  };
 
-  if (!dataStr) {
-    return defaultData;
-  }
-
-  // 兼容旧格式（纯数组）
-  try {
-    const parsed = JSON.parse(dataStr);
-    if (Array.isArray(parsed)) {
-      return { ...defaultData, links: parsed };
+    if (path === '/api/auth') {
+      const auth = await requireSession(request, env, 'viewer');
+      if (auth.response) return auth.response;
+      // 顺便补发会话 Cookie，升级前已登录的后台页面无需重新登录
+      const token = (request.headers.get('Authorization') || '').slice(7).trim();
+      return jsonResponse({
+        authenticated: true,
+        expiresAt: auth.session.exp,
+        username: auth.user.username,
+        role: auth.user.role
+      }, 200, { 'Set-Cookie': sessionCookie(token, auth.session.exp) });
     }
-    return { ...defaultData, ...parsed }; // 合并默认值以防缺少字段
-  } catch (e) {
-    return defaultData;
-  }
-}
 
+    // ==========================================
+    // 路由: 两步验证 (/api/2fa)，作用于当前登录的本地账号
+    // GET 查询状态；POST /api/2fa/setup 生成密钥；POST /api/2fa/enable { code } 启用；
+    // POST /api/2fa/disable { code } 停用（code 可为验证码或恢复码）
+    // ==========================================
+    if (path === '/api/2fa' || path.startsWith('/api/2fa/')) {
+      try {
+        const auth = await requireSession(request, env, 'viewer');
+        if (auth.response) return auth.response;
+        if (auth.user.sso) {
+          return jsonResponse({ error: 'Two-factor authentication for SSO accounts is managed by the identity provider' }, 400);
+        }
 
-// 辅助函数：渲染主页 (企业工作台风格)
+        const username = auth.user.username;
+        const state = await getTotpState(env, username);
 
-// 辅助函数：HTML 转义（防止 XSS）
-function escapeHtml(unsafe) {
-  if (typeof unsafe !== 'string') return '';
-  return unsafe
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;");
-}
+        if (path === '/api/2fa' && request.method === 'GET') {
+          return jsonResponse({
+            enabled: !!state.enabled,
+            recoveryCodesRemaining: state.enabled ? (state.recoveryCodes || []).length : 0
+          });
+        }
 
-// 辅助函数：渲染主页 (企业工作台风格)
-function renderHome(data) {
-  const links = data.links || [];
-  const categoryNames = data.categories || {};
+        if (request.method !== 'POST') {
+          return jsonResponse({ error: 'Method Not Allowed' }, 405);
+        }
 
-  // 默认分类
-  const defaultCategory = '其他';
-  const categories = {};
+        let body = {};
+        try { body = await request.json(); } catch (_) { }
+        const code = typeof body.code === 'string' ? body.code.trim() : '';
 
-  links.forEach(link => {
-    const cat = link.category || defaultCategory;
-    if (!categories[cat]) categories[cat] = [];
-    categories[cat].push(link);
-  });
+        if (path === '/api/2fa/setup') {
+          if (state.enabled) return jsonResponse({ error: 'Two-factor authentication is already enabled' }, 409);
+          const secret = base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+          await saveTotpState(env, username, { ...state, pendingSecret: secret });
+          return jsonResponse({ secret, otpauthUri: buildOtpauthUri(secret, username) });
+        }
 
-  const definedKeys = Object.keys(categoryNames);
-  const usedKeys = Object.keys(categories);
-  const extraKeys = usedKeys.filter(k => !definedKeys.includes(k));
-  const order = [...definedKeys, ...extraKeys];
+        if (path === '/api/2fa/enable') {
+          if (state.enabled) return jsonResponse({ error: 'Two-factor authentication is already enabled' }, 409);
+          if (!state.pendingSecret) return jsonResponse({ error: 'Call /api/2fa/setup first' }, 400);
+          const step = await matchTotp(state.pendingSecret, code);
+          if (step === null) return jsonResponse({ error: 'Invalid two-factor code' }, 400);
 
-  // 生成左侧侧边栏分类项
-  let sidebarItemsHtml = `<div class="sidebar-item active" data-cat="all" onclick="filterCategory('all')">
-      <span class="icon">💻</span> 全部应用
-      <span class="count">${links.length}</span>
-  </div>`;
+          const recoveryCodes = generateRecoveryCodes();
+          await saveTotpState(env, username, {
+            enabled: true,
+            secret: state.pendingSecret,
+            lastStep: step,
+            recoveryCodes: await Promise.all(recoveryCodes.map(sha256Hex))
+          });
+          // 换发一个已通过第二因素的会话，当前页面无需重新登录
+          const { token, expiresAt } = await createSessionToken(env, { ...auth.user, mfa: true });
+          return jsonResponse({ recoveryCodes, token, expiresAt }, 200, { 'Set-Cookie': sessionCookie(token, expiresAt) });
+        }
 
-  order.forEach((catKey) => {
-    const items = categories[catKey] || [];
-    if (items.length === 0) return;
-    const rawName = categoryNames[catKey] || catKey;
-    const name = escapeHtml(rawName);
-    sidebarItemsHtml += `
-      <div class="sidebar-item" data-cat="${escapeHtml(catKey)}" onclick="filterCategory('${escapeHtml(catKey)}')">
-        <span class="icon">📂</span> ${name}
-        <span class="count">${items.length}</span>
-      </div>
-    `;
-  });
+        if (path === '/api/2fa/disable') {
+          if (!state.enabled) return jsonResponse({ error: 'Two-factor authentication is not enabled' }, 400);
+          if (!(await verifySecondFactor(env, username, state, code))) {
+            const ip = getClientIp(request, env);
+            const failure = await recordAuthFailure(env, ip, await checkRateLimit(env, ip));
+            return jsonResponse({ error: 'Invalid two-factor code', retryAfter: failure.retryAfter }, 400);
+          }
+          await saveTotpState(env, username, { enabled: false });
+          return jsonResponse({ success: true });
+        }
 
-  // 生成移动端横向滚动分类栏 HTML
-  let mobileCatHtml = `<div class="cat-pill active" data-cat="all" onclick="filterCategory('all')">全部</div>`;
-  order.forEach(catKey => {
-    const items = categories[catKey] || [];
-    if (items.length === 0) return;
-    const name = escapeHtml(categoryNames[catKey] || catKey);
-    mobileCatHtml += `<div class="cat-pill" data-cat="${escapeHtml(catKey)}" onclick="filterCategory('${escapeHtml(catKey)}')">${name}</div>`;
-  });
+        return jsonResponse({ error: 'Not Found' }, 404);
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
+      }
+    }
 
-  // 生成右侧所有卡片
-  let cardsHtml = '';
-  // 按照分类顺序排序链接，或者直接全部输出，依靠 JS 过滤
-  // 为了方便，我们这里直接输出所有卡片，带上 data-category 属性
+    // ==========================================
+    // 路由: OIDC 单点登录 (/api/oidc/login, /api/oidc/callback)
+    // 授权码模式 + PKCE，成功后通过 URL 片段把会话令牌交给后台页面
+    // ==========================================
+    if (path === '/api/oidc/login' && request.method === 'GET') {
+      if (!isOidcEnabled(env)) return new Response('SSO is not configured', { status: 404 });
+      try {
+        return await startOidcLogin(request, env);
+      } catch (e) {
+        return oidcErrorRedirect(url, e.message);
+      }
+    }
 
-  // 按照分类分组展示顺序来排一下，体验更好
-  order.forEach(catKey => {
-    const items = categories[catKey] || [];
-    items.forEach(site => {
-      cardsHtml += renderCard(site, catKey);
-    });
-  });
-  // 还有那些不在配置分类里的
-  // (Data structure logic ensures all are in categories map)
+    if (path === '/api/oidc/callback' && request.method === 'GET') {
+      if (!isOidcEnabled(env)) return new Response('SSO is not configured', { status: 404 });
+      try {
+        return await finishOidcLogin(request, env);
+      } catch (e) {
+        return oidcErrorRedirect(url, e.message);
+      }
+    }
 
-  function renderCard(site, catKey) {
-    // 随机背景色生成 (基于名字)
-    const colors = ['#3b82f6', '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#ec4899'];
-    const colorIndex = (site.name.charCodeAt(0) || 0) % colors.length;
-    const bgColor = colors[colorIndex];
+    // ==========================================
+    // 路由: 用户管理 (/api/users)，仅限 admin 角色
+    // GET 列出用户；POST 新增或更新 { username, password?, role }
+    // DELETE /api/users/:username 删除用户
+    // ==========================================
+    if (path === '/api/users' || path.startsWith('/api/users/')) {
+      try {
+        const auth = await requireSession(request, env, 'admin');
+        if (auth.response) return auth.response;
 
-    const safeName = escapeHtml(site.name);
-    const safeDesc = escapeHtml(site.description || '暂无描述');
-    const safeUrl = escapeHtml(site.url); // Though URL often needs specific URL encoding, strict HTML escape is a good start for attributes
-    // However, for href, simple HTML escaping isn't enough to prevent javascript: pseudo-protocol, 
-    // but for this personal dashboard, we mainly care about breaking out of quotes.
-    // For attributes like data-name, we definitely need escaping.
+        if (path === '/api/users' && request.method === 'GET') {
+          return jsonResponse(await listUsers(env));
+        }
 
-    // safeUrl for href should be careful, but assuming reasonable input for now. 
-    // Primarily fixing the HTML injection in title/desc.
+        if (path === '/api/users' && request.method === 'POST') {
+          let body = {};
+          try { body = await request.json(); } catch (_) { }
+          const username = typeof body.username === 'string' ? body.username.trim() : '';
+          const { password, role } = body;
 
-    return `
-        <a href="${site.url}" target="_blank" class="app-card" 
-           data-category="${escapeHtml(catKey)}" 
-           data-name="${safeName.toLowerCase()}" 
-           data-desc="${(site.description || '').toLowerCase()}"
-           data-url-ext="${site.url}"
-           data-url-int="${site.url_intranet || ''}">
-          <div class="app-icon-box" style="background-color: ${bgColor}">
-             ${site.icon || safeName.slice(0, 1)}
-          </div>
-          <div class="app-info">
-             <div class="app-title">${safeName}</div>
-             <div class="app-desc">${safeDesc}</div>
-          </div>
-        </a>
-      `;
-  }
+          if (!USERNAME_PATTERN.test(username)) {
+            return jsonResponse({ error: 'Invalid username' }, 400);
+          }
+          if (username === AUTH_CONFIG.ROOT_USERNAME) {
+            return jsonResponse({ error: 'The built-in admin account cannot be modified here' }, 400);
+          }
+          if (!Object.prototype.hasOwnProperty.call(AUTH_CONFIG.ROLES, role)) {
+            return jsonResponse({ error: 'Invalid role' }, 400);
+          }
+          if (password !== undefined && (typeof password !== 'string' || password.length < SETUP_CONFIG.MIN_PASSWORD_LENGTH)) {
+            return jsonResponse({ error: `Password must be at least ${SETUP_CONFIG.MIN_PASSWORD_LENGTH} characters` }, 400);
+          }
 
-  const today = new Date();
-  const dateStr = today.toLocaleDateString('zh-CN', { year: 'numeric', month: 'long', day: 'numeric', weekday: 'long' });
+          const users = await getUsers(env);
+          if (!users[username] && !password) {
+            return jsonResponse({ error: 'Password is required for new users' }, 400);
+          }
 
-  // 生成个性化问候语
-  const hour = today.getHours();
-  let greeting = '早上好';
-  let greetingEmoji = '🌅';
-  if (hour >= 12 && hour < 18) {
-    greeting = '下午好';
-    greetingEmoji = '☀️';
-  } else if (hour >= 18) {
-    greeting = '晚上好';
-    greetingEmoji = '🌙';
-  }
+          const existing = users[username] || { createdAt: Date.now() };
+          const updated = { ...existing, role };
+          if (password) {
+            updated.password = await hashPassword(password);
+            // 重置密码后该用户已有的会话全部失效
+            updated.tokensValidAfter = Date.now();
+          }
+          if (existing.role && existing.role !== role) updated.tokensValidAfter = Date.now();
+          users[username] = updated;
+          await saveUsers(env, users);
+          // 用户丢失认证器设备时，由管理员重置其两步验证
+          if (body.resetTotp) await getKV(env).delete(totpKey(username));
+          return jsonResponse({ success: true });
+        }
 
-  return `
-<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-  <meta charset="UTF-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-  <title>我的工作台 - My Workbench</title>
-  <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
-  <style>
-    :root {
-      /* 极简现代配色 (Linear/Vercel Style) */
-      --primary-gradient-start: #4f46e5;
-      --primary-gradient-end: #6366f1;
-      --accent-color: #6366f1;
-      
-      --sidebar-bg: rgba(255, 255, 255, 0.6);
-      /* 外网背景：清新的淡蓝/靛青渐变，与内网绿色对应 */
-      --main-bg: linear-gradient(135deg, #e0e7ff 0%, #eff6ff 100%);
-      
-      /* 面板颜色：半透明白，透出背景蓝 */
-      --panel-bg: rgba(255, 255, 255, 0.6);
-      --panel-border: rgba(255, 255, 255, 0.8);
-      
-      --text-primary: #111827;
-      --text-secondary: #6b7280;
-      --primary-color: #4f46e5;
-      --border-color: #e5e7eb;
-      --hover-bg: rgba(0, 0, 0, 0.04);
-      
-      /* 卡片图标渐变 (保持鲜艳) */
-      --gradient-media: linear-gradient(135deg, #f093fb 0%, #f5576c 100%);
-      --gradient-books: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%);
-      --gradient-tools: linear-gradient(135deg, #43e97b 0%, #38f9d7 100%);
-      --gradient-dev: linear-gradient(135deg, #fa709a 0%, #fee140 100%);
+        if (path.startsWith('/api/users/') && request.method === 'DELETE') {
+          const username = decodeURIComponent(path.slice('/api/users/'.length));
+          if (username === AUTH_CONFIG.ROOT_USERNAME) {
+            return jsonResponse({ error: 'The built-in admin account cannot be deleted' }, 400);
+          }
+          if (username === auth.user.username) {
+            return jsonResponse({ error: 'You cannot delete your own account' }, 400);
+          }
+          const users = await getUsers(env);
+          if (!users[username]) {
+            return jsonResponse({ error: 'User not found' }, 404);
+          }
+          delete users[username];
+          await saveUsers(env, users);
+          await getKV(env).delete(totpKey(username));
+          return jsonResponse({ success: true });
+        }
+
+        return jsonResponse({ error: 'Method Not Allowed' }, 405);
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
+      }
     }
-    
-    * { 
-      margin: 0; 
-      padding: 0; 
-      box-sizing: border-box; 
+
+    // ==========================================
+    // 路由: 看板管理 (/api/boards)
+    // GET 列出看板（登录后可用）；POST { slug, title, editors } 新建或更新看板；
+    // DELETE /api/boards/:slug 删除看板及其全部数据（默认看板不可删除）；写操作仅限 admin 角色
+    // editors 为空表示所有 editor 都可以修改该看板，否则只有名单中的用户（以及 admin）可以修改
+    // ==========================================
+    if (path === '/api/boards' || path.startsWith('/api/boards/')) {
+      try {
+        if (path === '/api/boards' && request.method === 'GET') {
+          const auth = await requireSession(request, env, 'viewer');
+          if (auth.response) return auth.response;
+          return jsonResponse(await getBoards(env));
+        }
+
+        const auth = await requireSession(request, env, 'admin');
+        if (auth.response) return auth.response;
+
+        if (path === '/api/boards' && request.method === 'POST') {
+          let body = {};
+          try { body = await request.json(); } catch (_) { }
+          const slug = typeof body.slug === 'string' ? body.slug.trim() : '';
+          if (!BOARD_SLUG_PATTERN.test(slug)) {
+            return jsonResponse({ error: 'Invalid slug' }, 400);
+          }
+          const boards = await getBoards(env);
+          const existing = boards.find(b => b.slug === slug);
+          const title = typeof body.title === 'string' ? body.title.trim() : (existing ? existing.title : '');
+          if (!title || title.length > SCHEMA_CONFIG.MAX_TITLE_LENGTH) {
+            return jsonResponse({ error: `Title must be 1-${SCHEMA_CONFIG.MAX_TITLE_LENGTH} characters` }, 400);
+          }
+          const editors = body.editors === undefined ? (existing ? existing.editors || [] : []) : body.editors;
+          if (!Array.isArray(editors) || editors.some(name => typeof name !== 'string' || !name.trim() || name.length > SCHEMA_CONFIG.MAX_NAME_LENGTH)) {
+            return jsonResponse({ error: 'editors must be an array of usernames' }, 400);
+          }
+          if (!existing && boards.length >= BOARD_CONFIG.MAX_BOARDS) {
+            return jsonResponse({ error: `At most ${BOARD_CONFIG.MAX_BOARDS} boards are allowed` }, 400);
+          }
+
+          const updated = { ...(existing || { slug, createdAt: Date.now() }), title, editors: [...new Set(editors.map(name => name.trim()))] };
+          await saveBoards(env, existing ? boards.map(b => (b.slug === slug ? updated : b)) : [...boards, updated]);
+          if (!existing) {
+            // 新看板从空白开始，不带默认示例链接
+            await saveLinksData(env, { links: [], categories: {}, settings: { title } }, {
+              author: auth.user.username,
+              summary: '创建看板',
+              board: slug
+            });
+          }
+          return jsonResponse({ success: true, board: updated }, existing ? 200 : 201);
+        }
+
+        if (path.startsWith('/api/boards/') && request.method === 'DELETE') {
+          const slug = decodeURIComponent(path.slice('/api/boards/'.length));
+          if (slug === BOARD_CONFIG.DEFAULT_SLUG) {
+            return jsonResponse({ error: 'The default board cannot be deleted' }, 400);
+          }
+          const boards = await getBoards(env);
+          if (!boards.some(b => b.slug === slug)) {
+            return jsonResponse({ error: 'Board not found' }, 404);
+          }
+          await saveBoards(env, boards.filter(b => b.slug !== slug));
+          await deleteBoardData(env, slug);
+          return jsonResponse({ success: true });
+        }
+
+        return jsonResponse({ error: 'Method Not Allowed' }, 405);
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
+      }
     }
-    
-    body {
-      font-family: 'Inter', -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-      background: var(--main-bg);
-      color: var(--text-primary);
-      height: 100vh;
-      display: flex;
-      overflow: hidden;
-      transition: background 0.5s; /* 延长过渡时间，更加平滑 */
-      position: relative;
+
+    // ==========================================
+    // 路由: 访问环境 (/api/network)
+    // GET 返回环境列表以及对本次请求的识别结果，便于核对（非 admin 只返回环境的 key、名称和颜色）；
+    // POST { environments } 保存环境与识别规则，仅限 admin 角色
+    // ==========================================
+    if (path === '/api/network') {
+      try {
+        if (request.method === 'GET') {
+          const auth = await requireSession(request, env, 'viewer');
+          if (auth.response) return auth.response;
+          const config = await getNetworkConfig(env);
+          const environments = hasRole(auth.user, 'admin')
+            ? config.environments
+            : config.environments.map(e => ({ key: e.key, name: e.name, color: e.color }));
+          return jsonResponse({ environments, detected: { ...detectNetwork(request, config, env), ip: getClientIp(request, env) } });
+        }
+
+        const auth = await requireSession(request, env, 'admin');
+        if (auth.response) return auth.response;
+
+        if (request.method === 'POST') {
+          let body;
+          try { body = await request.json(); } catch (_) {
+            return jsonResponse({ error: 'Invalid JSON' }, 400);
+          }
+          const { value, errors } = validateNetworkConfig(body);
+          if (errors.length) return jsonResponse({ error: 'Validation failed', errors }, 400);
+          await putWithRetry(env, 'network', JSON.stringify(value));
+          return jsonResponse({ success: true, ...value, detected: { ...detectNetwork(request, value, env), ip: getClientIp(request, env) } });
+        }
+
+        return jsonResponse({ error: 'Method Not Allowed' }, 405);
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
+      }
     }
-    
-    /* 背景装饰元素 */
-    body::before {
-      content: '';
-      position: absolute;
-      top: -50%;
-      right: -50%;
-      width: 100%;
-      height: 100%;
-      background: radial-gradient(circle, rgba(99, 102, 241, 0.05) 0%, transparent 60%);
-      pointer-events: none;
-      animation: float 30s ease-in-out infinite;
+
+    // ==========================================
+    // 路由: 自定义图标资源库 (/api/assets)
+    // GET 列出资源（登录后可用）；POST /api/assets?name=<文件名> 上传，请求体为文件内容（editor 及以上）
+    // DELETE /api/assets/:id 删除（editor 及以上），仍被链接使用时返回 409，加 ?force=1 强制删除
+    // ==========================================
+    if (path === '/api/assets' || path.startsWith('/api/assets/')) {
+      try {
+        if (path === '/api/assets' && request.method === 'GET') {
+          const auth = await requireSession(request, env, 'viewer');
+          if (auth.response) return auth.response;
+          return jsonResponse((await getAssetIndex(env)).map(asset => ({ ...asset, url: `/assets/${asset.id}` })));
+        }
+
+        const auth = await requireSession(request, env, 'editor');
+        if (auth.response) return auth.response;
+
+        if (path === '/api/assets' && request.method === 'POST') {
+          const bytes = new Uint8Array(await request.arrayBuffer());
+          if (bytes.length === 0) return jsonResponse({ error: 'Empty file' }, 400);
+          if (bytes.length > ASSET_CONFIG.MAX_SIZE) {
+            return jsonResponse({ error: `File too large (max ${ASSET_CONFIG.MAX_SIZE} bytes)` }, 413);
+          }
+          const name = (url.searchParams.get('name') || '').trim().slice(0, SCHEMA_CONFIG.MAX_NAME_LENGTH);
+          const result = await storeAsset(env, bytes, name, auth.user.username);
+          if (result.error) return jsonResponse({ error: result.error }, result.status);
+          return jsonResponse({ ...result.asset, url: `/assets/${result.asset.id}` }, result.created ? 201 : 200);
+        }
+
+        const match = path.match(/^\/api\/assets\/([A-Za-z0-9]+)$/);
+        if (match && request.method === 'DELETE') {
+          const id = match[1];
+          const index = await getAssetIndex(env);
+          if (!index.some(asset => asset.id === id)) return jsonResponse({ error: 'Asset not found' }, 404);
+          // 图标由所有看板共用，任一看板仍在使用都需要确认
+          const usedBy = [];
+          for (const entry of await getBoards(env)) {
+            const data = await getLinksFromKV(env, entry.slug);
+            (data.links || []).forEach(link => {
+              if (link.icon === `/assets/${id}`) usedBy.push(link.name);
+            });
+          }
+          if (usedBy.length > 0 && url.searchParams.get('force') !== '1') {
+            return jsonResponse({ error: 'Asset in use', links: usedBy }, 409);
+          }
+          await deleteAsset(env, id);
+          return jsonResponse({ success: true });
+        }
+
+        return jsonResponse({ error: 'Method Not Allowed' }, 405);
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
+      }
     }
-    
-    @keyframes float {
-      0%, 100% { transform: translate(0, 0) rotate(0deg); }
-      50% { transform: translate(-40px, -20px) rotate(10deg); }
+
+    // ==========================================
+    // 路由: 资源文件 (/assets/:id)，公开访问，长期缓存
+    // ==========================================
+    if (path.startsWith('/assets/')) {
+      const match = path.match(/^\/assets\/([A-Za-z0-9]+)$/);
+      const asset = match && request.method === 'GET' ? await getAsset(env, match[1]) : null;
+      if (!asset) return new Response('Not Found', { status: 404 });
+      const headers = {
+        'Content-Type': asset.type,
+        'Cache-Control': `public, max-age=${ASSET_CONFIG.CACHE_MAX_AGE}, immutable`,
+        'X-Content-Type-Options': 'nosniff'
+      };
+      if (asset.type === 'image/svg+xml') {
+        // 即使直接打开 SVG 也不执行任何脚本
+        headers['Content-Security-Policy'] = "default-src 'none'; style-src 'unsafe-inline'; sandbox";
+      }
+      return new Response(base64UrlDecode(asset.data), { headers });
     }
-    
-    body.intranet-mode {
-       --sidebar-bg: rgba(240, 253, 244, 0.5);
-       --primary-color: #059669;
-       /* 内网背景：清新的绿色渐变 */
-       --main-bg: linear-gradient(135deg, #ecfdf5 0%, #d1fae5 100%);
-       
-       /* 内网面板：半透明的淡绿，与背景融合 */
-       --panel-bg: rgba(255, 255, 255, 0.25);
-       --panel-border: rgba(255, 255, 255, 0.4);
+
+    // ==========================================
+    // 路由: 链接健康检查 (/api/health)
+    // GET 返回最近一次检查结果（登录后可用）
+    // POST /api/health/check 立即检查，请求体可选 { id } 只检查单个链接；
+    // 需 editor 及以上角色，或使用环境变量 HEALTH_CHECK_TOKEN 作为 Bearer 令牌（供外部定时任务调用）
+    // ==========================================
+    if (path === '/api/health' || path === '/api/health/check') {
+      try {
+        if (path === '/api/health' && request.method === 'GET') {
+          const auth = await requireSession(request, env, 'viewer');
+          if (auth.response) return auth.response;
+          return jsonResponse(await getHealthResults(env, board));
+        }
+
+        if (path === '/api/health/check' && request.method === 'POST') {
+          const bearer = (request.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+          const cronAuthorized = env.HEALTH_CHECK_TOKEN && bearer && (await verifyPassword(bearer, env.HEALTH_CHECK_TOKEN));
+          if (!cronAuthorized) {
+            const auth = await requireSession(request, env, 'editor', board);
+            if (auth.response) return auth.response;
+          }
+          let body = {};
+          try { body = await request.json(); } catch (_) { }
+          const onlyId = body && typeof body.id === 'string' ? body.id : null;
+          return jsonResponse(await runHealthChecks(env, onlyId, board));
+        }
+
+        return jsonResponse({ error: 'Method Not Allowed' }, 405);
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
+      }
     }
-    
-    .logo {
-      font-size: 20px;
-      color: #0f172a;
-      display: flex;
-      align-items: center;
-      gap: 10px;
-      margin-bottom: 40px;
-    }
-    .sb-section-title {
-      font-size: 11px;
-      font-weight: 600;
-      text-transform: uppercase;
-      letter-spacing: 0.05em;
-      color: #94a3b8;
-      margin-bottom: 12px;
-      margin-top: 24px;
-    }
-    .sb-section-title:first-of-type { margin-top: 0; }
-    
-    
-    /* 自定义滚动条 */
-    ::-webkit-scrollbar {
-      width: 8px;
-      height: 8px;
-    }
-    ::-webkit-scrollbar-track {
-      background: transparent;
-    }
-    ::-webkit-scrollbar-thumb {
-      background: rgba(0, 0, 0, 0.1);
-      border-radius: 4px;
-    }
-    ::-webkit-scrollbar-thumb:hover {
-      background: rgba(0, 0, 0, 0.2);
-    }
-    
-    /* 侧边栏 */
-    .sidebar {
-      width: 250px;
-      /* background: transparent; */ /* 让它融入背景 */
-      padding: 32px 20px;
-      overflow-y: auto;
-      flex-shrink: 0;
-      z-index: 10;
-      display: flex;
-      flex-direction: column;
-    }
-    
-    .logo {
-      font-size: 20px;
-      font-weight: 700;
-      color: var(--text-primary);
-      display: flex;
-      align-items: center;
-      gap: 12px;
-      margin-bottom: 40px;
-      padding-left: 12px;
-      opacity: 0.9;
-    }
-    
-    .sb-section-title {
-      font-size: 11px;
-      font-weight: 700;
-      text-transform: uppercase;
-      letter-spacing: 0.08em;
-      color: #9ca3af; /* Cool Gray 400 */
-      margin-bottom: 16px;
-      margin-top: 24px;
-      padding-left: 12px;
-    }
-    .sb-section-title:first-of-type { margin-top: 0; }
-    
-    .sidebar-item {
-      display: flex;
-      align-items: center;
-      padding: 10px 12px;
-      border-radius: 12px;
-      color: var(--text-secondary);
-      font-size: 14px;
-      font-weight: 500;
-      cursor: pointer;
-      transition: all 0.2s ease;
-      margin-bottom: 4px;
-    }
-    
-    /* 移除左侧指示条，改用背景色 */
-    .sidebar-item:hover {
-      background: rgba(0, 0, 0, 0.04);
-      color: var(--text-primary);
-    }
-    
-    /* 激活态设计：极简的灰色背景 + 深色文字 */
-    .sidebar-item.active {
-      background: rgba(0, 0, 0, 0.06);
-      color: var(--text-primary);
-      font-weight: 600;
-    }
-    
-    .sidebar-item .icon {
-      margin-right: 12px;
-      font-size: 18px;
-      width: 24px;
-      text-align: center;
-      opacity: 0.8;
-    }
-    
-    .sidebar-item.active .icon {
-      opacity: 1;
-      transform: scale(1.1);
-    }
-    
-    .sidebar-item .count {
-      margin-left: auto;
-      font-size: 11px;
-      color: #9ca3af;
-      font-weight: 500;
-      opacity: 0;
-      transition: opacity 0.2s;
-    }
-    
-    .sidebar-item:hover .count,
-    .sidebar-item.active .count {
-      opacity: 1;
-    }
-    
-    /* 开关样式 */
-    .net-switch {
-        display: flex;
-        align-items: center;
-        gap: 8px;
-        cursor: pointer;
-        padding: 4px 12px;
-        background: #f1f5f9;
-        border-radius: 20px;
-        transition: background 0.3s;
-    }
-    .net-switch:hover { background: #e2e8f0; }
-    .switch-label { font-size: 12px; font-weight: 600; user-select: none; }
-    .toggle-track {
-        width: 36px;
-        height: 20px;
-        background: #cbd5e1;
-        border-radius: 10px;
-        position: relative;
-        transition: background 0.3s;
-    }
-    .toggle-thumb {
-        width: 16px;
-        height: 16px;
-        background: white;
-        border-radius: 50%;
-        position: absolute;
-        top: 2px;
-        left: 2px;
-        transition: transform 0.3s;
-        box-shadow: 0 1px 2px rgba(0,0,0,0.1);
-    }
-    .net-switch.active .toggle-track { background: #16a34a; }
-    .net-switch.active .toggle-thumb { transform: translateX(16px); }
 
-    .user-avatar {
-      width: 32px;
-      height: 32px;
-      background: #000;
-      color: #fff;
-      border-radius: 50%;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      font-weight: 600;
-      cursor: pointer;
+    // ==========================================
+    // 路由: 点击跳转 (/go/:id)
+    // 开启点击统计时记录一次点击（按链接、按天、访问环境分别计数），然后 302 跳转；
+    // ?env=<环境 key> 表示首页所处的环境，跳转到链接在该环境下的地址（旧的 ?mode=int 即内网）；其他看板的链接为 /b/:slug/go/:id
+    // ==========================================
+    const goMatch = path.match(/^(?:\/b\/([^/]+))?\/go\/([^/]+)$/);
+    if (goMatch) {
+      const goBoard = goMatch[1] || BOARD_CONFIG.DEFAULT_SLUG;
+      const id = goMatch[2];
+      if (!LINK_ID_PATTERN.test(id) || !(await findBoard(env, goBoard))) return new Response('Not Found', { status: 404 });
+      const visitor = await getOptionalUser(request, env);
+      if (!visitor && isPrivateDashboard(env)) return new Response('Not Found', { status: 404 });
+      const data = await getLinksFromKV(env, goBoard);
+      // 只能跳转到访问者在首页上看得到的链接
+      const link = filterVisibleData(data, visitor).links.find(l => l.id === id);
+      if (!link) return new Response('Not Found', { status: 404 });
+
+      const environment = findEnvironment(await getNetworkConfig(env), url.searchParams.get('env') || url.searchParams.get('mode'));
+      const mode = environment.key;
+      const target = environmentUrl(link, environment);
+      if (!isAllowedUrl(target)) return new Response('Not Found', { status: 404 });
+
+      if (data.settings && data.settings.trackClicks) {
+        // 计数失败不影响跳转
+        runInBackground(ctx, recordClick(env, id, mode, goBoard).catch(e => console.error('Click tracking error:', e)));
+      }
+      return new Response(null, { status: 302, headers: { ...NO_CACHE_HEADERS, 'Location': target } });
     }
 
-    
-    /* 主区域 */
-    .main-content {
-      flex: 1;
-      display: flex;
-      flex-direction: column;
-      height: 100%;
-      overflow: hidden;
-      position: relative;
+    // ==========================================
+    // 路由: 浏览器地址栏搜索 (/search?q=, /suggest?q=, /opensearch.xml)，其他看板位于 /b/:slug 下
+    // /search 以快捷前缀开头时跳转到对应的搜索引擎；最佳匹配足够明确时直接 302 到该链接，否则显示搜索结果页
+    // /suggest 返回 OpenSearch 自动补全建议 [查询, [名称], [描述], [地址]]；只搜索访问者在首页上看得到的链接
+    // ==========================================
+    const searchMatch = path.match(/^(?:\/b\/([^/]+))?\/(search|suggest|opensearch\.xml)$/);
+    if (searchMatch && request.method === 'GET') {
+      const searchBoard = await findBoard(env, searchMatch[1] || BOARD_CONFIG.DEFAULT_SLUG);
+      if (!searchBoard) return new Response('Not Found', { status: 404 });
+      const boardPath = searchMatch[1] ? '/b/' + searchBoard.slug : '';
+      const visitor = await getOptionalUser(request, env);
+      // 私有模式下未登录的访问者看不到任何链接
+      const locked = !visitor && isPrivateDashboard(env);
+      const data = locked ? { links: [] } : filterVisibleData(await getLinksFromKV(env, searchBoard.slug), visitor);
+
+      if (searchMatch[2] === 'opensearch.xml') {
+        const title = (data.settings && data.settings.title) || (boardPath ? searchBoard.title : '');
+        return new Response(renderOpenSearchDescription(url.origin + boardPath, title), {
+          headers: { 'Cache-Control': 'public, max-age=3600', 'Content-Type': 'application/opensearchdescription+xml;charset=UTF-8' }
+        });
+      }
+
+      const query = (url.searchParams.get('q') || '').trim().slice(0, SEARCH_CONFIG.MAX_QUERY_LENGTH);
+      const networkConfig = await getNetworkConfig(env);
+      const network = resolveNetwork(request, networkConfig, env);
+      const environment = findEnvironment(networkConfig, network.mode);
+      const tracking = !!(data.settings && data.settings.trackClicks);
+      // 与首页卡片一致：开启点击统计时经 /go/:id 跳转计数
+      const linkTarget = link => (tracking && link.id && LINK_ID_PATTERN.test(link.id)
+        ? url.origin + boardPath + '/go/' + link.id + (environment.key === networkConfig.environments[0].key ? '' : '?env=' + encodeURIComponent(environment.key))
+        : environmentUrl(link, environment));
+      const results = query ? rankLinks(data, query).filter(result => isAllowedUrl(environmentUrl(result.link, environment))) : [];
+
+      if (searchMatch[2] === 'suggest') {
+        const top = results.slice(0, SEARCH_CONFIG.MAX_SUGGESTIONS).map(result => result.link);
+        return jsonResponse([query, top.map(l => l.name), top.map(l => l.description || ''), top.map(linkTarget)], 200, {
+          'Content-Type': 'application/x-suggestions+json'
+        });
+      }
+
+      if (locked) return new Response(null, { status: 302, headers: { ...NO_CACHE_HEADERS, 'Location': '/admin' } });
+      if (!query) return new Response(null, { status: 302, headers: { ...NO_CACHE_HEADERS, 'Location': boardPath || '/' } });
+      const engineUrl = searchShortcutUrl(getSearchConfig(data), query);
+      const best = engineUrl ? null : pickBestMatch(results, query);
+      if (engineUrl || best) {
+        return new Response(null, { status: 302, headers: { ...NO_CACHE_HEADERS, 'Location': engineUrl || linkTarget(best) } });
+      }
+
+      const clicks = tracking ? await getClickTotals(env, searchBoard.slug) : undefined;
+      const html = renderHome(data, await getHealthResults(env, searchBoard.slug), clicks, searchBoard, network, {
+        query,
+        links: results.map(result => result.link)
+      });
+      return new Response(html, {
+        headers: { ...NO_CACHE_HEADERS, 'Vary': 'Cookie', 'Content-Type': 'text/html;charset=UTF-8' }
+      });
     }
 
-    /* 顶部悬浮功能区 */
-    .top-nav {
-      position: absolute;
-      top: 24px;
-      right: 32px;
-      z-index: 20;
-      display: flex;
-      align-items: center;
-      gap: 20px;
+    // ==========================================
+    // 路由: 访问统计 (/api/stats?days=30)，登录后可用
+    // 返回统计区间内每天的点击数和每个链接的点击数，以及是否已开启统计
+    // ==========================================
+    if (path === '/api/stats') {
+      try {
+        if (request.method !== 'GET') return jsonResponse({ error: 'Method Not Allowed' }, 405);
+        const auth = await requireSession(request, env, 'viewer');
+        if (auth.response) return auth.response;
+        const days = parseInt(url.searchParams.get('days'), 10) || CLICK_CONFIG.DEFAULT_STATS_DAYS;
+        const data = await getLinksFromKV(env, board);
+        const stats = await getClickStats(env, Math.min(Math.max(days, 1), CLICK_CONFIG.RETENTION_DAYS), board);
+        // 点击数按环境 key 分别记录，附上环境名称便于展示
+        const environments = (await getNetworkConfig(env)).environments.map(e => ({ key: e.key, name: e.name }));
+        return jsonResponse({ tracking: !!(data.settings && data.settings.trackClicks), environments, ...stats });
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
+      }
     }
 
-    /* 应用容器 - 面板式设计 */
-    .apps-container {
-      flex: 1;
-      padding: 0 40px;
-      overflow-y: auto;
-      scroll-behavior: smooth;
-      
-      /* 使用 CSS 变量以支持暗色/内网模式 */
-      background: var(--panel-bg);
-      backdrop-filter: blur(20px);
-      -webkit-backdrop-filter: blur(20px);
-      margin: 20px 30px 30px 0; /* 右下留白 */
-      border-radius: 32px;
-      /* 增强阴影，突显层级 */
-      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.04);
-      border: 1px solid var(--panel-border);
-      transition: background 0.5s, border-color 0.5s, box-shadow 0.5s; /* 添加过渡动画 */
+    // ==========================================
+    // 路由: 网站图标 (/api/favicon?url=)
+    // 依次尝试首页中的 <link rel="icon"> / apple-touch-icon 和 /favicon.ico，
+    // 结果按站点缓存在 KV 中并由本站返回；只为已保存链接所在的站点抓取，避免被当作代理滥用
+    // ==========================================
+    if (path === '/api/favicon') {
+      try {
+        if (request.method !== 'GET') return jsonResponse({ error: 'Method Not Allowed' }, 405);
+        let target;
+        try {
+          target = new URL(url.searchParams.get('url') || '');
+        } catch (_) {
+          return jsonResponse({ error: 'Invalid url' }, 400);
+        }
+        if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+          return jsonResponse({ error: 'Invalid url' }, 400);
+        }
+
+        const visitor = await getOptionalUser(request, env);
+        if (!visitor && isPrivateDashboard(env)) return jsonResponse({ error: 'Not Found' }, 404);
+        const data = filterVisibleData(await getLinksFromKV(env, board), visitor);
+        const known = (data.links || []).some(link => {
+          try { return new URL(link.url).origin === target.origin; } catch (_) { return false; }
+        });
+        if (!known) return jsonResponse({ error: 'Not Found' }, 404);
+
+        const icon = await getFavicon(env, target.origin);
+        if (!icon) {
+          return new Response('Not Found', {
+            status: 404,
+            headers: { ...CORS_HEADERS, 'Cache-Control': `public, max-age=${Math.floor(FAVICON_CONFIG.MISS_TTL / 1000)}` }
+          });
+        }
+        return new Response(base64UrlDecode(icon.data), {
+          headers: {
+            ...CORS_HEADERS,
+            'Content-Type': icon.type,
+            'Cache-Control': `public, max-age=${FAVICON_CONFIG.BROWSER_MAX_AGE}`,
+            'X-Content-Type-Options': 'nosniff'
+          }
+        });
+      } catch (e) {
+        return jsonResponse({ error: e.message, cause: e.cause ? String(e.cause) : undefined }, 500);
+      }
     }
 
-    /* 移动端适配 */
-    @media (max-width: 768px) {
-      .apps-container {
-        margin: 0;
-        border-radius: 0;
-        background: transparent;
-        backdrop-filter: none;
-        padding: 20px;
+    // ==========================================
+    // 路由 2: 管理后台 (/admin)
+    // ==========================================
+    if (path === '/admin') {
+      let credential;
+      try {
+        credential = await getAdminPassword(env);
+      } catch (e) {
+        console.error('Admin password read error:', e);
+        return new Response('Storage unavailable, please retry later', { status: 500, headers: NO_CACHE_HEADERS });
       }
-      .top-nav {
-         right: 20px;
-         top: 20px;
+      // 尚未设置密码时先进入初始化向导
+      if (!credential) {
+        return new Response(getSetupHtml(!!env.SETUP_TOKEN), {
+          headers: { ...NO_CACHE_HEADERS, 'Content-Type': 'text/html;charset=UTF-8' }
+        });
       }
+      return new Response(getAdminHtml({ ssoEnabled: isOidcEnabled(env) }), {
+        headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+      });
     }
-    
-    /* Hero 区域 */
-    .hero-section {
-      padding: 60px 0 40px; /* 稍微减小 padding 以适应面板 */
-      max-width: 800px;
-      margin: 0 auto;
-      text-align: center;
-      animation: fadeInDown 0.8s ease-out;
-    }
-    
-    .hero-content {
-      margin-bottom: 40px;
-    }
 
-    .page-title {
-      font-size: 32px;
-      font-weight: 800;
-      color: var(--text-primary);
-      margin-bottom: 12px;
-      letter-spacing: -0.02em;
-      background: linear-gradient(135deg, var(--text-primary) 0%, #475569 100%);
-      -webkit-background-clip: text;
-      -webkit-text-fill-color: transparent;
-      background-clip: text;
-    }
-    
-    .page-subtitle {
-      color: var(--text-secondary);
-      font-size: 16px;
-      font-weight: 500;
-    }
+    // ==========================================
+    // 路由 3: 首页 (SSR)
+    // 只有默认看板时 / 直接显示默认看板，有多个看板时显示看板列表；各看板位于 /b/:slug
+    // 根据会话 Cookie 只渲染访问者可见的链接；私有模式下未登录跳转到后台登录
+    // 访问环境在服务端识别，卡片链接直接渲染为该环境下的地址
+    // ==========================================
+    const boardMatch = path.match(/^\/b\/([^/]+)\/?$/);
+    if (path === '/' || path === '/index.html' || boardMatch) {
+      const visitor = await getOptionalUser(request, env);
+      if (!visitor && isPrivateDashboard(env)) {
+        return new Response(null, { status: 302, headers: { ...NO_CACHE_HEADERS, 'Location': '/admin' } });
+      }
+
+      const networkConfig = await getNetworkConfig(env);
+      const network = resolveNetwork(request, networkConfig, env);
+      // 按访问者网络识别，或访问者用 Cookie 手动选择了环境时，同一网址的页面每个环境各有一份：
+      // 边缘缓存以“网址 + 环境”为键，对浏览器只做私有缓存，避免手动选择的环境页面被公共缓存给所有人
+      const perNetwork = !visitor && (hasNetworkRules(networkConfig) || network.source === 'cookie') && CACHE_CONFIG.HOME_PAGE_MAX_AGE > 0;
+      const edgeCache = perNetwork && typeof caches !== 'undefined' && caches.default ? caches.default : null;
+      const cacheKey = `${url.origin}${path}?network=${network.mode}`;
+      const privateHeaders = {
+        'Cache-Control': `private, max-age=${CACHE_CONFIG.HOME_PAGE_MAX_AGE}`,
+        'Vary': 'Cookie',
+        'Content-Type': 'text/html;charset=UTF-8'
+      };
+      if (edgeCache) {
+        const cached = await edgeCache.match(cacheKey).catch(() => null);
+        if (cached) return new Response(cached.body, { headers: privateHeaders });
+      }
+
+      const boards = await getBoards(env);
+      let html;
+      if (boardMatch) {
+        const current = boards.find(b => b.slug === boardMatch[1]);
+        if (!current) return new Response('Not Found', { status: 404 });
+        html = await renderBoard(env, current, visitor, network);
+      } else if (boards.length > 1) {
+        html = renderBoardIndex(boards);
+      } else {
+        html = await renderBoard(env, boards[0], visitor, network);
+      }
+
+      if (edgeCache) {
+        const entry = new Response(html, {
+          headers: { 'Cache-Control': `public, max-age=${CACHE_CONFIG.HOME_PAGE_S_MAX_AGE}`, 'Content-Type': 'text/html;charset=UTF-8' }
+        });
+        runInBackground(ctx, edgeCache.put(cacheKey, entry).catch(e => console.error('Edge cache error:', e)));
+      }
+
+      // 缓存策略：根据配置决定是否启用缓存；登录用户看到的是个性化内容，只允许浏览器私有缓存
+      const cacheHeaders = visitor ? {
+        'Cache-Control': 'private, no-cache',
+        'Vary': 'Cookie',
+        'Content-Type': 'text/html;charset=UTF-8'
+      } : perNetwork ? privateHeaders : CACHE_CONFIG.HOME_PAGE_MAX_AGE > 0 ? {
+        'Cache-Control': `public, max-age=${CACHE_CONFIG.HOME_PAGE_MAX_AGE}, s-maxage=${CACHE_CONFIG.HOME_PAGE_S_MAX_AGE}`,
+        'Vary': 'Cookie',
+        'Content-Type': 'text/html;charset=UTF-8'
+      } : {
+        ...NO_CACHE_HEADERS,
+        'Content-Type': 'text/html;charset=UTF-8'
+      };
+
+      return new Response(html, { headers: cacheHeaders });
+    }
+
+    return new Response('Not Found', { status: 404 });
+  },
+
+  // 定时触发（平台支持 Cron 触发器时）：检查所有链接的可用性
+  async scheduled(event, env, ctx) {
+    const checkAll = async () => {
+      for (const entry of await getBoards(env)) {
+        await runHealthChecks(env, null, entry.slug).catch(e => console.error('Health check error:', entry.slug, e));
+      }
+    };
+    await runInBackground(ctx, checkAll());
+  }
+};
+
+// 辅助函数：响应返回后继续执行任务；运行环境不支持 waitUntil 时直接等待完成
+async function runInBackground(ctx, task) {
+  if (ctx && typeof ctx.waitUntil === 'function') ctx.waitUntil(task);
+  else await task;
+}
+
+function getKV(env) {
+  const ns = (env && env.EDGEKV_NAMESPACE) ? env.EDGEKV_NAMESPACE : 'links_store';
+  if (typeof EdgeKV === 'undefined') throw new Error('EdgeKV unavailable');
+  return new EdgeKV({ namespace: ns });
+}
+
+// 返回 { value, source }，value 可能是 PBKDF2 哈希，也可能是旧版明文
+// KV 与环境变量都未设置时返回 null，表示站点尚未初始化
+// 读取 KV 出错时直接抛出：不能把暂时读不到当成未初始化，否则任何人都能通过初始化向导重设管理员密码
+// 明文的默认密码 admin 视为未设置，站点会进入初始化向导重新设置密码
+async function getAdminPassword(env) {
+  const kv = getKV(env);
+  const v = await kv.get('ADMIN_PASSWORD');
+  if (v && typeof v === 'string' && v.length > 0 && v !== SETUP_CONFIG.DEFAULT_PASSWORD) return { value: v, source: 'kv' };
+  if (env && env.ADMIN_PASSWORD && env.ADMIN_PASSWORD !== SETUP_CONFIG.DEFAULT_PASSWORD) return { value: env.ADMIN_PASSWORD, source: 'env' };
+  return null;
+}
+
+// ==========================================
+// 密码哈希
+// 存储格式：pbkdf2$sha256$<迭代次数>$<base64url 盐>$<base64url 哈希>
+// ==========================================
+
+function isPasswordHash(stored) {
+  return typeof stored === 'string' && stored.startsWith('pbkdf2$');
+}
+
+async function pbkdf2(password, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    keyMaterial,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iterations = AUTH_CONFIG.PBKDF2_ITERATIONS;
+  const hash = await pbkdf2(password, salt, iterations);
+  return `pbkdf2$sha256$${iterations}$${base64UrlEncode(salt)}$${base64UrlEncode(hash)}`;
+}
+
+// 常量时间比较，避免通过响应耗时推测密码
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  if (isPasswordHash(stored)) {
+    const parts = stored.split('$');
+    if (parts.length !== 5 || parts[1] !== 'sha256') return false;
+    const iterations = parseInt(parts[2], 10);
+    if (!iterations || iterations < 1) return false;
+    const expected = base64UrlDecode(parts[4]);
+    const actual = await pbkdf2(password, base64UrlDecode(parts[3]), iterations);
+    return timingSafeEqual(actual, expected);
+  }
+
+  // 旧版明文：先做 SHA-256 摘要统一长度，再常量时间比较
+  const enc = new TextEncoder();
+  const [a, b] = await Promise.all([
+    crypto.subtle.digest('SHA-256', enc.encode(password)),
+    crypto.subtle.digest('SHA-256', enc.encode(stored))
+  ]);
+  return timingSafeEqual(new Uint8Array(a), new Uint8Array(b));
+}
+
+// 辅助函数：构造 JSON 响应（带 CORS 与禁用缓存头）
+function jsonResponse(data, status = 200, extraHeaders = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...CORS_HEADERS, ...NO_CACHE_HEADERS, 'Content-Type': 'application/json', ...extraHeaders }
+  });
+}
+
+// ==========================================
+// 会话令牌
+// 格式：base64url(payload).base64url(HMAC-SHA256(payload))
+// payload = { sid, iat, exp }，时间均为毫秒时间戳
+// ==========================================
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  const arr = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  for (let i = 0; i < arr.length; i++) binary += String.fromCharCode(arr[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(str) {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((str.length + 3) % 4);
+  const binary = atob(b64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function randomId(byteLength = 16) {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+// 签名密钥：优先使用环境变量 SESSION_SECRET，否则在 KV 中自动生成并持久化
+async function getSessionKey(env) {
+  let secret = env && env.SESSION_SECRET;
+  if (!secret) {
+    const kv = getKV(env);
+    secret = await kv.get('SESSION_SECRET');
+    if (!secret || typeof secret !== 'string') {
+      secret = randomId(32);
+      await kv.put('SESSION_SECRET', secret);
+    }
+  }
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+// 吊销记录：{ notBefore: 早于此时间签发的会话全部失效, sids: { sid: exp } }
+async function getRevocations(env) {
+  try {
+    const kv = getKV(env);
+    const v = await kv.get('session_revocations');
+    if (v) {
+      const parsed = JSON.parse(v);
+      return { notBefore: parsed.notBefore || 0, sids: parsed.sids || {} };
+    }
+  } catch (_) { }
+  return { notBefore: 0, sids: {} };
+}
+
+async function saveRevocations(env, revocations) {
+  // 顺便清理已自然过期的记录，避免列表无限增长
+  const now = Date.now();
+  Object.keys(revocations.sids).forEach(sid => {
+    if (revocations.sids[sid] < now) delete revocations.sids[sid];
+  });
+  const kv = getKV(env);
+  await kv.put('session_revocations', JSON.stringify(revocations));
+}
+
+// 用会话密钥签名任意 JSON，返回 base64url(payload).base64url(sig)
+async function signPayload(env, payload) {
+  const body = base64UrlEncode(new TextEncoder().encode(JSON.stringify(payload)));
+  const key = await getSessionKey(env);
+  const sig = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+  return `${body}.${base64UrlEncode(sig)}`;
+}
+
+// 校验签名与 exp，成功返回 payload，否则返回 null
+async function verifySignedPayload(env, token) {
+  if (!token || typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 2) return null;
+
+  let payload;
+  try {
+    const key = await getSessionKey(env);
+    // crypto.subtle.verify 内部为常量时间比较
+    const valid = await crypto.subtle.verify('HMAC', key, base64UrlDecode(parts[1]), new TextEncoder().encode(parts[0]));
+    if (!valid) return null;
+    payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[0])));
+  } catch (_) {
+    return null;
+  }
+
+  if (!payload || typeof payload.exp !== 'number' || payload.exp <= Date.now()) return null;
+  return payload;
+}
+
+// user 为 { username, role, sso? }；SSO 用户不在本地用户表中，角色直接写入令牌
+async function createSessionToken(env, user) {
+  const now = Date.now();
+  const payload = { sid: randomId(), sub: user.username, iat: now, exp: now + AUTH_CONFIG.SESSION_TTL };
+  if (user.mfa) payload.mfa = true;
+  if (user.sso) {
+    payload.sso = user.sso;
+    payload.role = user.role;
+  }
+  return { token: await signPayload(env, payload), expiresAt: payload.exp };
+}
+
+// 校验会话令牌，成功返回 payload，否则返回 null
+async function verifySessionToken(env, token) {
+  const payload = await verifySignedPayload(env, token);
+  // 带 typ 的是其他用途的签名数据（如 OIDC 登录状态），不能当作会话使用
+  if (!payload || payload.typ) return null;
+
+  const revocations = await getRevocations(env);
+  if (payload.iat < revocations.notBefore) return null;
+  if (revocations.sids[payload.sid]) return null;
+
+  return payload;
+}
+
+// 从 Authorization: Bearer <token> 中解析并校验会话
+async function authenticate(request, env) {
+  const authHeader = request.headers.get('Authorization') || '';
+  if (!authHeader.startsWith('Bearer ')) return null;
+  return verifySessionToken(env, authHeader.slice(7).trim());
+}
+
+// ==========================================
+// 用户与角色
+// 内置账号 ROOT_USERNAME 使用 ADMIN_PASSWORD，角色固定为 admin
+// 其他账号保存在 KV 键 users：{ [username]: { password, role, createdAt, tokensValidAfter } }
+// ==========================================
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{2,32}$/;
+
+// 返回以用户名为键的无原型对象，constructor、__proto__ 等用户名不会命中 Object.prototype 上的属性
+async function getUsers(env) {
+  const users = Object.create(null);
+  try {
+    const kv = getKV(env);
+    const v = await kv.get('users');
+    if (v) Object.assign(users, JSON.parse(v));
+  } catch (_) { }
+  return users;
+}
+
+async function saveUsers(env, users) {
+  const kv = getKV(env);
+  await kv.put('users', JSON.stringify(users));
+}
+
+async function listUsers(env) {
+  const users = await getUsers(env);
+  const list = [{ username: AUTH_CONFIG.ROOT_USERNAME, role: 'admin', builtIn: true }];
+  Object.keys(users).sort().forEach(username => {
+    list.push({ username, role: users[username].role, createdAt: users[username].createdAt });
+  });
+  return list;
+}
+
+function hasRole(user, minRole) {
+  const roles = AUTH_CONFIG.ROLES;
+  return (roles[user.role] || 0) >= (roles[minRole] || roles.admin);
+}
+
+// 校验用户名和密码，成功返回 { username, role }，失败返回 null
+async function verifyUserCredentials(env, username, password) {
+  if (username === AUTH_CONFIG.ROOT_USERNAME) {
+    // 旧版本登录时已被升级为哈希的默认密码同样拒绝，需在 KV 中删除 ADMIN_PASSWORD 后重新初始化
+    if (password === SETUP_CONFIG.DEFAULT_PASSWORD) return null;
+    const credential = await getAdminPassword(env);
+    if (!credential || !(await verifyPassword(password, credential.value))) return null;
+
+    // 旧版明文密码（KV 或环境变量）在首次登录成功后升级为哈希存储
+    if (!isPasswordHash(credential.value)) {
+      const kv = getKV(env);
+      await kv.put('ADMIN_PASSWORD', await hashPassword(password));
+    }
+    return { username, role: 'admin' };
+  }
+
+  const users = await getUsers(env);
+  const record = users[username];
+  if (!record) {
+    // 用户不存在时同样计算一次哈希，避免通过响应耗时枚举用户名
+    await hashPassword(password);
+    return null;
+  }
+  if (!(await verifyPassword(password, record.password))) return null;
+  return { username, role: record.role };
+}
+
+async function setUserPassword(env, username, password) {
+  if (username === AUTH_CONFIG.ROOT_USERNAME) {
+    const kv = getKV(env);
+    await kv.put('ADMIN_PASSWORD', await hashPassword(password));
+    // 修改内置管理员密码后，之前签发的所有会话全部失效（与旧版行为一致）
+    await revokeAllSessions(env);
+    return;
+  }
+  const users = await getUsers(env);
+  if (!users[username]) throw new Error('User not found');
+  users[username].password = await hashPassword(password);
+  users[username].tokensValidAfter = Date.now();
+  await saveUsers(env, users);
+}
+
+// 根据会话查出当前用户；用户已删除或会话早于其密码/角色变更时返回 null
+// 旧版令牌没有 sub 字段，视为内置管理员
+async function resolveSessionUser(env, session) {
+  if (session.sso) {
+    return AUTH_CONFIG.ROLES[session.role] ? { username: session.sub, role: session.role, sso: session.sso } : null;
+  }
+
+  const username = session.sub || AUTH_CONFIG.ROOT_USERNAME;
+  if (username === AUTH_CONFIG.ROOT_USERNAME) return { username, role: 'admin' };
+
+  const users = await getUsers(env);
+  const record = users[username];
+  if (!record) return null;
+  if (record.tokensValidAfter && session.iat < record.tokensValidAfter) return null;
+  return { username, role: record.role };
+}
+
+// ==========================================
+// TOTP 两步验证
+// 记录：totp:<username> = { enabled, secret, lastStep, recoveryCodes: [sha256], pendingSecret }
+// ==========================================
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (let i = 0; i < bytes.length; i++) {
+    value = (value << 8) | bytes[i];
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(str) {
+  const clean = str.toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (let i = 0; i < clean.length; i++) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(clean[i]);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+function totpKey(username) {
+  return 'totp:' + username;
+}
+
+async function getTotpState(env, username) {
+  try {
+    const kv = getKV(env);
+    const v = await kv.get(totpKey(username));
+    if (v) return JSON.parse(v) || { enabled: false };
+  } catch (_) { }
+  return { enabled: false };
+}
+
+async function saveTotpState(env, username, state) {
+  const kv = getKV(env);
+  await kv.put(totpKey(username), JSON.stringify(state));
+}
+
+function buildOtpauthUri(secret, username) {
+  const label = encodeURIComponent(`${TOTP_CONFIG.ISSUER}:${username}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_CONFIG.ISSUER)}`
+    + `&algorithm=SHA1&digits=${TOTP_CONFIG.DIGITS}&period=${TOTP_CONFIG.PERIOD}`;
+}
+
+// RFC 4226 HOTP：HMAC-SHA1 + 动态截断
+async function generateHotp(secret, counter) {
+  const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const msg = new Uint8Array(8);
+  let c = counter;
+  for (let i = 7; i >= 0; i--) {
+    msg[i] = c & 0xff;
+    c = Math.floor(c / 256);
+  }
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, msg));
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % Math.pow(10, TOTP_CONFIG.DIGITS)).padStart(TOTP_CONFIG.DIGITS, '0');
+}
+
+// 在允许的时间窗口内匹配验证码，成功返回对应的时间步，否则返回 null
+async function matchTotp(secret, code, lastStep = -1) {
+  if (!/^\d+$/.test(code) || code.length !== TOTP_CONFIG.DIGITS) return null;
+  const current = Math.floor(Date.now() / 1000 / TOTP_CONFIG.PERIOD);
+  const enc = new TextEncoder();
+  for (let offset = -TOTP_CONFIG.WINDOW; offset <= TOTP_CONFIG.WINDOW; offset++) {
+    const step = current + offset;
+    // 同一时间步的验证码只能使用一次，防止重放
+    if (step <= lastStep) continue;
+    const expected = await generateHotp(secret, step);
+    if (timingSafeEqual(enc.encode(expected), enc.encode(code))) return step;
+  }
+  return null;
+}
+
+async function sha256Hex(text) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+  return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < TOTP_CONFIG.RECOVERY_CODES; i++) {
+    const hex = Array.from(crypto.getRandomValues(new Uint8Array(5)), b => b.toString(16).padStart(2, '0')).join('');
+    codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+  }
+  return codes;
+}
+
+// 校验验证码或恢复码，成功后记录已用时间步 / 作废已用恢复码
+async function verifySecondFactor(env, username, state, code) {
+  if (!state.enabled || !code) return false;
+
+  const step = await matchTotp(state.secret, code, state.lastStep);
+  if (step !== null) {
+    await saveTotpState(env, username, { ...state, lastStep: step });
+    return true;
+  }
+
+  const hash = await sha256Hex(code.toLowerCase());
+  const remaining = (state.recoveryCodes || []).filter(h => h !== hash);
+  if (remaining.length !== (state.recoveryCodes || []).length) {
+    await saveTotpState(env, username, { ...state, recoveryCodes: remaining });
+    return true;
+  }
+  return false;
+}
+
+// ==========================================
+// OIDC 单点登录
+// 环境变量：
+//   OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET  必填（公共客户端可不填 secret）
+//   OIDC_REDIRECT_URI      回调地址，默认 <当前域名>/api/oidc/callback
+//   OIDC_SCOPES            默认 "openid email profile"
+//   OIDC_GROUPS_CLAIM      ID Token 中的分组字段，默认 "groups"
+//   OIDC_ADMIN_EMAILS / OIDC_ADMIN_GROUPS    逗号分隔，匹配者获得 admin 角色
+//   OIDC_EDITOR_EMAILS / OIDC_EDITOR_GROUPS  逗号分隔，匹配者获得 editor 角色
+//   OIDC_DEFAULT_ROLE      未匹配任何名单时的角色（如 viewer），不设置则拒绝登录
+// 邮箱名单中以 @ 开头的条目匹配整个域名，如 "@example.com"
+// ==========================================
+
+let oidcMetadataCache = null; // { issuer, fetchedAt, config, jwks }
+
+function isOidcEnabled(env) {
+  return !!(env && env.OIDC_ISSUER && env.OIDC_CLIENT_ID);
+}
+
+async function getOidcMetadata(env) {
+  const issuer = env.OIDC_ISSUER.replace(/\/+$/, '');
+  const now = Date.now();
+  if (oidcMetadataCache && oidcMetadataCache.issuer === issuer && now - oidcMetadataCache.fetchedAt < OIDC_CONFIG.DISCOVERY_CACHE_TTL) {
+    return oidcMetadataCache;
+  }
+
+  const configRes = await fetch(`${issuer}/.well-known/openid-configuration`);
+  if (!configRes.ok) throw new Error(`OIDC discovery failed (HTTP ${configRes.status})`);
+  const config = await configRes.json();
+  if (config.issuer && config.issuer.replace(/\/+$/, '') !== issuer) {
+    throw new Error('OIDC issuer mismatch');
+  }
+
+  const jwksRes = await fetch(config.jwks_uri);
+  if (!jwksRes.ok) throw new Error(`OIDC JWKS fetch failed (HTTP ${jwksRes.status})`);
+  const jwks = await jwksRes.json();
+
+  oidcMetadataCache = { issuer, fetchedAt: now, config, jwks };
+  return oidcMetadataCache;
+}
+
+function getOidcRedirectUri(request, env) {
+  return env.OIDC_REDIRECT_URI || `${new URL(request.url).origin}/api/oidc/callback`;
+}
+
+function getCookie(request, name) {
+  const header = request.headers.get('Cookie') || '';
+  const match = header.split(';').map(c => c.trim()).find(c => c.startsWith(name + '='));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : '';
+}
+
+function oidcErrorRedirect(url, message) {
+  return new Response(null, {
+    status: 302,
+    headers: {
+      ...NO_CACHE_HEADERS,
+      'Location': `${url.origin}/admin#sso_error=${encodeURIComponent(message)}`,
+      'Set-Cookie': `${OIDC_CONFIG.STATE_COOKIE}=; Path=/api/oidc; Max-Age=0; HttpOnly; Secure; SameSite=Lax`
+    }
+  });
+}
+
+async function sha256Base64Url(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return base64UrlEncode(digest);
+}
+
+async function startOidcLogin(request, env) {
+  const { config } = await getOidcMetadata(env);
+  const state = randomId();
+  const nonce = randomId();
+  const verifier = randomId(32);
+
+  const authUrl = new URL(config.authorization_endpoint);
+  authUrl.searchParams.set('response_type', 'code');
+  authUrl.searchParams.set('client_id', env.OIDC_CLIENT_ID);
+  authUrl.searchParams.set('redirect_uri', getOidcRedirectUri(request, env));
+  authUrl.searchParams.set('scope', env.OIDC_SCOPES || OIDC_CONFIG.DEFAULT_SCOPES);
+  authUrl.searchParams.set('state', state);
+  authUrl.searchParams.set('nonce', nonce);
+  authUrl.searchParams.set('code_challenge', await sha256Base64Url(verifier));
+  authUrl.searchParams.set('code_challenge_method', 'S256');
+
+  // 登录状态放在签名 Cookie 中，回调可能落在其他边缘节点，不依赖 KV 同步
+  const cookieValue = await signPayload(env, {
+    typ: 'oidc_state',
+    state,
+    nonce,
+    verifier,
+    exp: Date.now() + OIDC_CONFIG.STATE_TTL
+  });
+
+  return new Response(null, {
+    status: 302,
+    headers: {
+      ...NO_CACHE_HEADERS,
+      'Location': authUrl.toString(),
+      'Set-Cookie': `${OIDC_CONFIG.STATE_COOKIE}=${encodeURIComponent(cookieValue)}; Path=/api/oidc; Max-Age=${Math.floor(OIDC_CONFIG.STATE_TTL / 1000)}; HttpOnly; Secure; SameSite=Lax`
+    }
+  });
+}
+
+async function finishOidcLogin(request, env) {
+  const url = new URL(request.url);
+  if (url.searchParams.get('error')) {
+    throw new Error(url.searchParams.get('error_description') || url.searchParams.get('error'));
+  }
+
+  const saved = await verifySignedPayload(env, getCookie(request, OIDC_CONFIG.STATE_COOKIE));
+  if (!saved || saved.typ !== 'oidc_state') throw new Error('SSO login expired, please try again');
+  if (!url.searchParams.get('state') || url.searchParams.get('state') !== saved.state) {
+    throw new Error('Invalid SSO state');
+  }
+  const code = url.searchParams.get('code');
+  if (!code) throw new Error('Missing authorization code');
+
+  const metadata = await getOidcMetadata(env);
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getOidcRedirectUri(request, env),
+    client_id: env.OIDC_CLIENT_ID,
+    code_verifier: saved.verifier
+  });
+  if (env.OIDC_CLIENT_SECRET) form.set('client_secret', env.OIDC_CLIENT_SECRET);
+
+  const tokenRes = await fetch(metadata.config.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+    body: form.toString()
+  });
+  const tokenData = await tokenRes.json().catch(() => ({}));
+  if (!tokenRes.ok || !tokenData.id_token) {
+    throw new Error(tokenData.error_description || tokenData.error || `Token exchange failed (HTTP ${tokenRes.status})`);
+  }
+
+  const claims = await verifyIdToken(env, metadata, tokenData.id_token, saved.nonce);
+  const role = resolveOidcRole(env, claims);
+  if (!role) throw new Error('Your account is not allowed to access this dashboard');
+
+  const { token, expiresAt } = await createSessionToken(env, {
+    username: 'sso:' + (claims.email || claims.preferred_username || claims.sub),
+    role,
+    sso: 'oidc'
+  });
+
+  const headers = new Headers({ ...NO_CACHE_HEADERS, 'Location': `${url.origin}/admin#sso_token=${encodeURIComponent(token)}` });
+  headers.append('Set-Cookie', `${OIDC_CONFIG.STATE_COOKIE}=; Path=/api/oidc; Max-Age=0; HttpOnly; Secure; SameSite=Lax`);
+  headers.append('Set-Cookie', sessionCookie(token, expiresAt));
+  return new Response(null, { status: 302, headers });
+}
+
+// 校验 ID Token 的签名（RS256 / ES256）、iss、aud、exp 与 nonce，返回 claims
+async function verifyIdToken(env, metadata, idToken, nonce) {
+  const parts = idToken.split('.');
+  if (parts.length !== 3) throw new Error('Malformed ID token');
+  const decode = part => JSON.parse(new TextDecoder().decode(base64UrlDecode(part)));
+  const header = decode(parts[0]);
+  const claims = decode(parts[1]);
+
+  const algorithms = {
+    RS256: { import: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verify: { name: 'RSASSA-PKCS1-v1_5' } },
+    ES256: { import: { name: 'ECDSA', namedCurve: 'P-256' }, verify: { name: 'ECDSA', hash: 'SHA-256' } }
+  };
+  const alg = algorithms[header.alg];
+  if (!alg) throw new Error(`Unsupported ID token algorithm: ${header.alg}`);
+
+  const keys = (metadata.jwks && metadata.jwks.keys) || [];
+  const jwk = keys.find(k => (!header.kid || k.kid === header.kid) && (!k.alg || k.alg === header.alg));
+  if (!jwk) throw new Error('No matching signing key for ID token');
+
+  const key = await crypto.subtle.importKey('jwk', jwk, alg.import, false, ['verify']);
+  const valid = await crypto.subtle.verify(
+    alg.verify,
+    key,
+    base64UrlDecode(parts[2]),
+    new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+  );
+  if (!valid) throw new Error('Invalid ID token signature');
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if ((claims.iss || '').replace(/\/+$/, '') !== metadata.issuer) throw new Error('ID token issuer mismatch');
+  if (!audiences.includes(env.OIDC_CLIENT_ID)) throw new Error('ID token audience mismatch');
+  if (typeof claims.exp !== 'number' || claims.exp + 60 < now) throw new Error('ID token expired');
+  if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+
+  return claims;
+}
+
+function parseList(value) {
+  return String(value || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+// 按邮箱 / 分组名单映射角色，未命中返回 OIDC_DEFAULT_ROLE 或 null
+function resolveOidcRole(env, claims) {
+  const email = claims.email && claims.email_verified !== false ? String(claims.email).toLowerCase() : '';
+  const rawGroups = claims[env.OIDC_GROUPS_CLAIM || OIDC_CONFIG.DEFAULT_GROUPS_CLAIM];
+  const groups = (Array.isArray(rawGroups) ? rawGroups : rawGroups ? [rawGroups] : []).map(g => String(g).toLowerCase());
+
+  const matches = (emailList, groupList) => {
+    const emails = parseList(emailList);
+    const emailMatch = !!email && emails.some(e => e.startsWith('@') ? email.endsWith(e) : e === email);
+    return emailMatch || parseList(groupList).some(g => groups.includes(g));
+  };
+
+  if (matches(env.OIDC_ADMIN_EMAILS, env.OIDC_ADMIN_GROUPS)) return 'admin';
+  if (matches(env.OIDC_EDITOR_EMAILS, env.OIDC_EDITOR_GROUPS)) return 'editor';
+  return AUTH_CONFIG.ROLES[env.OIDC_DEFAULT_ROLE] ? env.OIDC_DEFAULT_ROLE : null;
+}
+
+// ==========================================
+// 登录防爆破
+// 记录：ratelimit:<ip> = { failures, lastFailure, lockedUntil }
+// ==========================================
+
+// 辅助函数：客户端 IP，只读取平台设置的可信请求头，客户端可以随意伪造的 X-Forwarded-For / X-Real-IP 不予采信
+// 可信请求头为逗号分隔的列表时（如前置代理追加的 X-Forwarded-For）取最后一项，即最近一跳代理看到的地址
+// 取不到时返回 null，此时不做限流：所有请求共用一个计数会让任何人都能把其他人锁在外面
+function getClientIp(request, env) {
+  const value = request.headers.get((env && env.CLIENT_IP_HEADER) || RATE_LIMIT_CONFIG.CLIENT_IP_HEADER);
+  const ips = value ? value.split(',').map(ip => ip.trim()).filter(Boolean) : [];
+  return ips[ips.length - 1] || null;
+}
+
+function rateLimitKey(ip) {
+  return 'ratelimit:' + ip.replace(/[^0-9a-zA-Z.]/g, '_');
+}
+
+// 返回 { failures, lastFailure, lockedUntil, retryAfter }，retryAfter 为需等待的秒数
+async function checkRateLimit(env, ip) {
+  const state = { failures: 0, lastFailure: 0, lockedUntil: 0, retryAfter: 0 };
+  if (!ip) return state;
+  try {
+    const kv = getKV(env);
+    const v = await kv.get(rateLimitKey(ip));
+    if (v) Object.assign(state, JSON.parse(v));
+  } catch (_) { }
+
+  const now = Date.now();
+  if (state.lastFailure && now - state.lastFailure > RATE_LIMIT_CONFIG.FAILURE_WINDOW) {
+    return { failures: 0, lastFailure: 0, lockedUntil: 0, retryAfter: 0 };
+  }
+  state.retryAfter = state.lockedUntil > now ? Math.ceil((state.lockedUntil - now) / 1000) : 0;
+  return state;
+}
+
+async function recordAuthFailure(env, ip, state) {
+  const now = Date.now();
+  const failures = (state.failures || 0) + 1;
+  let lockedUntil = 0;
+  if (failures >= RATE_LIMIT_CONFIG.MAX_ATTEMPTS) {
+    lockedUntil = now + RATE_LIMIT_CONFIG.LOCKOUT_DURATION;
+  } else if (failures > RATE_LIMIT_CONFIG.FREE_ATTEMPTS) {
+    const delay = RATE_LIMIT_CONFIG.BASE_DELAY * Math.pow(2, failures - RATE_LIMIT_CONFIG.FREE_ATTEMPTS - 1);
+    lockedUntil = now + Math.min(delay, RATE_LIMIT_CONFIG.LOCKOUT_DURATION);
+  }
+
+  const record = { failures, lastFailure: now, lockedUntil };
+  if (!ip) return { ...record, retryAfter: 0 };
+  try {
+    const kv = getKV(env);
+    await kv.put(rateLimitKey(ip), JSON.stringify(record));
+  } catch (e) {
+    console.error('Rate limit write error:', e);
+  }
+  return { ...record, retryAfter: lockedUntil ? Math.ceil((lockedUntil - now) / 1000) : 0 };
+}
+
+async function clearAuthFailures(env, ip) {
+  if (!ip) return;
+  try {
+    const kv = getKV(env);
+    await kv.delete(rateLimitKey(ip));
+  } catch (_) { }
+}
+
+function rateLimitedResponse(retryAfter) {
+  return jsonResponse(
+    { error: 'Too many attempts', retryAfter },
+    429,
+    { 'Retry-After': String(retryAfter) }
+  );
+}
+
+// 受保护路由的统一入口：先检查锁定状态，再校验会话和角色
+// 只有密码、初始化口令和两步验证码校验失败才计入失败次数；缺少或过期的令牌只返回 401，
+// 否则打开后台时的旧令牌、同一出口 IP 后面的多个用户都会把彼此锁在外面
+// 返回 { session, user } 或 { response }（401 / 403 / 429）
+async function requireSession(request, env, minRole, board = null) {
+  let credential;
+  try {
+    credential = await getAdminPassword(env);
+  } catch (e) {
+    return { response: jsonResponse({ error: 'Storage unavailable', cause: e.cause ? String(e.cause) : undefined }, 500) };
+  }
+  if (!credential) {
+    return { response: jsonResponse({ error: 'Setup required', setupRequired: true }, 403) };
+  }
+
+  const ip = getClientIp(request, env);
+  const limit = await checkRateLimit(env, ip);
+  if (limit.retryAfter > 0) return { response: rateLimitedResponse(limit.retryAfter) };
+
+  const session = await authenticate(request, env);
+  const user = session ? await resolveSessionUser(env, session) : null;
+  if (!user) {
+    return { response: jsonResponse({ error: 'Unauthorized' }, 401) };
+  }
+
+  // 启用两步验证后，未通过第二因素的旧会话一律拒绝（SSO 账号由 IdP 负责多因素认证）
+  if (!user.sso && !session.mfa && (await getTotpState(env, user.username)).enabled) {
+    return { response: jsonResponse({ error: 'Two-factor authentication required', mfaRequired: true }, 401) };
+  }
+
+  if (!hasRole(user, minRole)) {
+    return { response: jsonResponse({ error: 'Forbidden' }, 403) };
+  }
+  // 看板设置了独立编辑者时，修改该看板还需在名单内
+  if (board && minRole === 'editor' && !(await canEditBoard(env, board, user))) {
+    return { response: jsonResponse({ error: 'Forbidden' }, 403) };
+  }
+  return { session, user };
+}
+
+// 辅助函数：识别可选登录的访问者（Bearer 令牌或会话 Cookie），未登录或会话无效时返回 null，不计入失败次数
+async function getOptionalUser(request, env) {
+  const session = (await authenticate(request, env))
+    || (await verifySessionToken(env, getCookie(request, AUTH_CONFIG.SESSION_COOKIE)));
+  const user = session ? await resolveSessionUser(env, session) : null;
+  if (!user) return null;
+  if (!user.sso && !session.mfa && (await getTotpState(env, user.username)).enabled) return null;
+  return user;
+}
+
+// 辅助函数：会话 Cookie（expiresAt 为 0 时清除）
+function sessionCookie(token, expiresAt) {
+  const maxAge = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+  return `${AUTH_CONFIG.SESSION_COOKIE}=${maxAge > 0 ? encodeURIComponent(token) : ''}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Lax`;
+}
+
+// 辅助函数：是否开启私有模式（环境变量 PRIVATE_DASHBOARD），开启后首页和公开接口都需要登录
+function isPrivateDashboard(env) {
+  return ['1', 'true', 'yes'].includes(String(env.PRIVATE_DASHBOARD || '').toLowerCase());
+}
+
+async function revokeSession(env, session) {
+  const revocations = await getRevocations(env);
+  revocations.sids[session.sid] = session.exp;
+  await saveRevocations(env, revocations);
+}
+
+async function revokeAllSessions(env) {
+  const revocations = await getRevocations(env);
+  revocations.notBefore = Date.now();
+  revocations.sids = {};
+  await saveRevocations(env, revocations);
+}
+
+// 辅助函数：写入初始化向导中填写的站点标题与起始分类
+// 未勾选任何分类、或 KV 中已有数据时，不改动现有链接和分类
+async function applyInitialSetup(env, body) {
+  const kv = getKV(env);
+  const hasData = !!(await kv.get('data'));
+  const data = await getLinksFromKV(env);
+  const settings = { ...(data.settings || {}) };
+  const title = typeof body.title === 'string' ? body.title.trim() : '';
+  if (title) settings.title = title.slice(0, 60);
+
+  const keys = Array.isArray(body.categories)
+    ? body.categories.filter(k => Object.prototype.hasOwnProperty.call(SETUP_CONFIG.STARTER_CATEGORIES, k))
+    : [];
+
+  let { links, categories } = data;
+  if (keys.length > 0 && !hasData) {
+    categories = {};
+    keys.forEach(k => { categories[k] = SETUP_CONFIG.STARTER_CATEGORIES[k]; });
+    links = links.filter(link => keys.includes(link.category));
+  }
+
+  await saveLinksData(env, { ...data, links, categories, settings }, {
+    author: AUTH_CONFIG.ROOT_USERNAME,
+    summary: '初始化站点',
+    previous: data
+  });
+}
+
+// 辅助函数：根据数据内容计算 ETag（SHA-256 前 16 位），内容不变则 ETag 不变
+async function computeETag(data) {
+  return `"${(await sha256Hex(JSON.stringify(data))).slice(0, 16)}"`;
+}
+
+// 辅助函数：写入 KV (增加重试机制)
+async function putWithRetry(env, key, value) {
+  let lastError;
+  for (let i = 0; i < KV_CONFIG.MAX_RETRIES; i++) {
+    try {
+      const kv = getKV(env);
+      await kv.put(key, value);
+      lastError = null;
+      break;
+    } catch (e) {
+      lastError = e;
+      await new Promise(r => setTimeout(r, KV_CONFIG.RETRY_BASE_DELAY * (i + 1))); // 指数退避
+    }
+  }
+
+  if (lastError) {
+    throw lastError;
+  }
+}
+
+// 辅助函数：保存导航数据，并记录一条历史版本，返回实际写入的数据
+// meta = { author, summary?, previous? }，summary 缺省时根据与 previous 的差异自动生成
+async function saveLinksData(env, data, meta = {}) {
+  data = { ...data, links: await assignLinkIds(data.links) };
+  await putWithRetry(env, boardKey(meta.board, 'data'), JSON.stringify(data));
+  try {
+    await recordRevision(env, data, meta);
+  } catch (e) {
+    // 历史记录失败不影响保存本身
+    console.error('Revision write error:', e);
+  }
+  return data;
+}
+
+// ==========================================
+// 多看板
+// 看板列表：boards = [{ slug, title, editors, createdAt }]，默认看板即使未保存也总是存在
+// 默认看板沿用原有的 data、revisions、health 等键，其他看板的键加上 board:<slug>: 前缀
+// ==========================================
+
+const BOARD_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+// 辅助函数：看板数据在 KV 中的键名
+function boardKey(board, key) {
+  return !board || board === BOARD_CONFIG.DEFAULT_SLUG ? key : `board:${board}:${key}`;
+}
+
+async function getBoards(env) {
+  let boards = [];
+  try {
+    const v = await getKV(env).get('boards');
+    if (v) boards = JSON.parse(v) || [];
+  } catch (_) { }
+  if (!boards.some(b => b.slug === BOARD_CONFIG.DEFAULT_SLUG)) {
+    boards.unshift({ slug: BOARD_CONFIG.DEFAULT_SLUG, title: BOARD_CONFIG.DEFAULT_TITLE, editors: [] });
+  }
+  return boards;
+}
+
+async function saveBoards(env, boards) {
+  await putWithRetry(env, 'boards', JSON.stringify(boards));
+}
+
+async function findBoard(env, slug) {
+  return (await getBoards(env)).find(b => b.slug === slug) || null;
+}
+
+// 辅助函数：用户能否修改该看板（admin 总是可以；看板未设置编辑者名单时所有 editor 都可以）
+async function canEditBoard(env, slug, user) {
+  if (hasRole(user, 'admin')) return true;
+  const entry = await findBoard(env, slug);
+  const editors = (entry && entry.editors) || [];
+  return editors.length === 0 || editors.includes(user.username);
+}
+
+// 删除看板的全部数据：链接、历史版本、健康检查结果和点击统计
+async function deleteBoardData(env, slug) {
+  const kv = getKV(env);
+  const keys = [boardKey(slug, 'data'), boardKey(slug, 'revisions'), boardKey(slug, 'health'), boardKey(slug, 'clicks')];
+  (await getRevisionIndex(env, slug)).forEach(rev => keys.push(boardKey(slug, 'revision:' + rev.id)));
+  (await getClickTotals(env, slug)).days.forEach(day => keys.push(boardKey(slug, 'clicks:' + day)));
+  for (const key of keys) {
+    try { await kv.delete(key); } catch (_) { }
+  }
+}
+
+// ==========================================
+// 可见性
+// 链接的 visibility 字段与站点设置 categoryVisibility 共同决定首页上谁能看到哪些链接：
+// 未登录只能看到公开内容，登录用户还能看到 authenticated，hidden 只在后台出现
+// ==========================================
+
+// 辅助函数：按访问者过滤数据文档，链接本身和所在分类都可见时才保留
+function filterVisibleData(data, visitor) {
+  const allowed = VISIBILITY_LEVELS.indexOf(visitor ? 'authenticated' : 'public');
+  const visible = level => VISIBILITY_LEVELS.indexOf(level || 'public') <= allowed;
+  const settings = { ...(data.settings || {}) };
+  const categoryVisibility = settings.categoryVisibility || {};
+  delete settings.categoryVisibility;
+
+  const categories = {};
+  Object.keys(data.categories || {}).forEach(key => {
+    if (visible(categoryVisibility[key])) categories[key] = data.categories[key];
+  });
+  const links = (data.links || []).filter(link => visible(link.visibility) && visible(categoryVisibility[link.category]));
+  return { ...data, links, categories, settings };
+}
+
+// ==========================================
+// 数据校验
+// 链接、分类、站点设置和搜索引擎写入前统一按 schema 校验，错误以 { path, message } 列表返回，
+// path 形如 links.3.url、categories.media.name、settings.title、search.engines.0.url，便于后台定位到具体输入框
+// ==========================================
+
+// 分类 ID 会出现在 HTML 属性和内联脚本中，不允许空白、引号、尖括号和反斜杠；
+// 同时不能是保留名称（见 isReservedKey）
+const CATEGORY_KEY_PATTERN = /^[^\s'"`<>\\]{1,40}$/;
+const LINK_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+// 搜索引擎的快捷前缀，如 g、gh、wiki
+const SEARCH_KEY_PATTERN = /^[a-z0-9][a-z0-9._-]{0,19}$/;
+
+// 可见性：public 所有人可见（缺省），authenticated 仅登录用户可见，hidden 只在后台显示
+const VISIBILITY_LEVELS = ['public', 'authenticated', 'hidden'];
+
+// 站点设置中允许的字段及其校验函数（返回错误信息或 null）
+const SETTINGS_SCHEMA = {
+  title: value => (typeof value !== 'string' || value.trim().length > SCHEMA_CONFIG.MAX_TITLE_LENGTH)
+    ? `Must be a string of at most ${SCHEMA_CONFIG.MAX_TITLE_LENGTH} characters`
+    : null,
+  trackClicks: value => typeof value !== 'boolean' ? 'Must be a boolean' : null,
+  // 分类的可见性 { <分类 ID>: 'authenticated' | 'hidden' }，未列出的分类为公开
+  categoryVisibility: value => (!value || typeof value !== 'object' || Array.isArray(value)
+    || Object.keys(value).some(key => !CATEGORY_KEY_PATTERN.test(key) || isReservedKey(key) || !VISIBILITY_LEVELS.includes(value[key])))
+    ? `Must map category keys to one of: ${VISIBILITY_LEVELS.join(', ')}`
+    : null,
+};
+
+// 辅助函数：是否为保留名称。ID 会被用作普通对象的键，
+// __proto__、constructor、toString 等会命中 Object.prototype 上的属性甚至修改原型，prototype 同样保留
+function isReservedKey(key) {
+  return key === 'prototype' || key in Object.prototype;
+}
+
+// 辅助函数：判断 URL 是否为允许的协议（必须是绝对地址）
+function isAllowedUrl(value, schemes = SCHEMA_CONFIG.ALLOWED_URL_SCHEMES) {
+  if (typeof value !== 'string' || !value) return false;
+  try {
+    return schemes.includes(new URL(value).protocol);
+  } catch (_) {
+    return false;
+  }
+}
+
+// 辅助函数：校验单个链接，返回去除首尾空白后的副本和错误列表
+// 传入 environmentKeys 时 urls 只能使用已配置的环境，previousUrls 为该链接已保存的 urls（删除环境后保留的旧地址不变时仍然允许）
+function validateLink(link, prefix = '', environmentKeys = null, previousUrls = null) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ path: prefix + field, message });
+  if (!link || typeof link !== 'object' || Array.isArray(link)) {
+    errors.push({ path: prefix.replace(/\.$/, ''), message: 'Must be an object' });
+    return { value: null, errors };
+  }
+
+  const value = {};
+  Object.keys(link).forEach(field => {
+    if (field !== 'id' && !LINK_FIELDS.includes(field)) {
+      fail(field, 'Unknown field');
+      return;
+    }
+    if (field === 'urls') {
+      const urls = validateLinkUrls(link.urls, prefix, errors, environmentKeys, previousUrls);
+      if (urls) value.urls = urls;
+      return;
+    }
+    if (typeof link[field] !== 'string') {
+      fail(field, 'Must be a string');
+      return;
+    }
+    value[field] = link[field].trim();
+  });
+
+  if (value.id !== undefined && !LINK_ID_PATTERN.test(value.id)) {
+    fail('id', 'Must contain only letters, digits, "-" and "_"');
+  } else if (value.id !== undefined && isReservedKey(value.id)) {
+    fail('id', 'Must not be a reserved name such as "__proto__" or "constructor"');
+  }
+  if (!value.name) {
+    if (!errors.some(e => e.path === prefix + 'name')) fail('name', 'Required');
+  } else if (value.name.length > SCHEMA_CONFIG.MAX_NAME_LENGTH) {
+    fail('name', `Must be at most ${SCHEMA_CONFIG.MAX_NAME_LENGTH} characters`);
+  }
+  ['url', 'url_intranet'].forEach(field => {
+    const url = value[field];
+    if (!url) {
+      if (field === 'url' && !errors.some(e => e.path === prefix + field)) fail(field, 'Required');
+      return;
+    }
+    if (url.length > SCHEMA_CONFIG.MAX_URL_LENGTH) {
+      fail(field, `Must be at most ${SCHEMA_CONFIG.MAX_URL_LENGTH} characters`);
+    } else if (!isAllowedUrl(url)) {
+      fail(field, `Must be an absolute URL using one of: ${SCHEMA_CONFIG.ALLOWED_URL_SCHEMES.join(' ')}`);
+    }
+  });
+  if (value.icon) {
+    // 图标可以是 Emoji/短文本，也可以是图片地址（http/https 或站内路径）
+    const looksLikeUrl = value.icon.includes(':') || value.icon.startsWith('/');
+    if (looksLikeUrl) {
+      const sitePath = value.icon.startsWith('/') && !value.icon.startsWith('//');
+      if (value.icon.length > SCHEMA_CONFIG.MAX_URL_LENGTH || (!sitePath && !isAllowedUrl(value.icon, SCHEMA_CONFIG.ALLOWED_ICON_SCHEMES))) {
+        fail('icon', 'Must be a short text/emoji or an http(s) image URL');
+      }
+    } else if (value.icon.length > SCHEMA_CONFIG.MAX_ICON_TEXT_LENGTH) {
+      fail('icon', `Text icons must be at most ${SCHEMA_CONFIG.MAX_ICON_TEXT_LENGTH} characters`);
+    }
+  }
+  if (value.category && !CATEGORY_KEY_PATTERN.test(value.category)) {
+    fail('category', 'Must be 1-40 characters without spaces, quotes, "<", ">" or "\\"');
+  } else if (value.category && isReservedKey(value.category)) {
+    fail('category', 'Must not be a reserved name such as "__proto__" or "constructor"');
+  }
+  if (value.description && value.description.length > SCHEMA_CONFIG.MAX_DESCRIPTION_LENGTH) {
+    fail('description', `Must be at most ${SCHEMA_CONFIG.MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  if (value.keywords && value.keywords.length > SCHEMA_CONFIG.MAX_KEYWORDS_LENGTH) {
+    fail('keywords', `Must be at most ${SCHEMA_CONFIG.MAX_KEYWORDS_LENGTH} characters`);
+  }
+  if (value.visibility !== undefined && !VISIBILITY_LEVELS.includes(value.visibility)) {
+    fail('visibility', `Must be one of: ${VISIBILITY_LEVELS.join(', ')}`);
+  }
+  return { value, errors };
+}
+
+// 辅助函数：校验链接在其他访问环境下的地址 { <环境 key>: url }（外网 / 内网仍使用 url / url_intranet）
+// 空地址会被去掉，全部为空时返回 null
+function validateLinkUrls(urls, prefix, errors, environmentKeys = null, previousUrls = null) {
+  const fail = (field, message) => errors.push({ path: prefix + field, message });
+  if (!urls || typeof urls !== 'object' || Array.isArray(urls)) {
+    fail('urls', 'Must be an object');
+    return null;
+  }
+  const keys = Object.keys(urls);
+  if (keys.length > NETWORK_CONFIG.MAX_ENVIRONMENTS) {
+    fail('urls', `At most ${NETWORK_CONFIG.MAX_ENVIRONMENTS} environments are allowed`);
+    return null;
+  }
+  const value = {};
+  keys.forEach(key => {
+    const url = typeof urls[key] === 'string' ? urls[key].trim() : urls[key];
+    const kept = previousUrls && Object.prototype.hasOwnProperty.call(previousUrls, key) && previousUrls[key] === url;
+    if (!ENVIRONMENT_KEY_PATTERN.test(key) || key === 'ext' || key === 'int') {
+      fail(`urls.${key}`, 'Must be keyed by an environment other than ext / int');
+    } else if (environmentKeys && !environmentKeys.includes(key) && !kept) {
+      fail(`urls.${key}`, 'Must be keyed by a configured environment');
+    } else if (typeof url !== 'string') {
+      fail(`urls.${key}`, 'Must be a string');
+    } else if (url.length > SCHEMA_CONFIG.MAX_URL_LENGTH) {
+      fail(`urls.${key}`, `Must be at most ${SCHEMA_CONFIG.MAX_URL_LENGTH} characters`);
+    } else if (url && !isAllowedUrl(url)) {
+      fail(`urls.${key}`, `Must be an absolute URL using one of: ${SCHEMA_CONFIG.ALLOWED_URL_SCHEMES.join(' ')}`);
+    } else if (url) {
+      value[key] = url;
+    }
+  });
+  return Object.keys(value).length ? value : null;
+}
+
+// 辅助函数：校验分类 ID 与显示名称
+function validateCategory(key, name, prefix = '') {
+  const errors = [];
+  if (typeof key !== 'string' || !CATEGORY_KEY_PATTERN.test(key.trim())) {
+    errors.push({ path: prefix + 'key', message: 'Must be 1-40 characters without spaces, quotes, "<", ">" or "\\"' });
+  } else if (isReservedKey(key.trim())) {
+    // 分类 ID 会用作普通对象的键，命中继承属性时首页分组会出错
+    errors.push({ path: prefix + 'key', message: 'Must not be a reserved name such as "__proto__" or "constructor"' });
+  }
+  if (typeof name !== 'string' || !name.trim()) {
+    errors.push({ path: prefix + 'name', message: 'Required' });
+  } else if (name.trim().length > SCHEMA_CONFIG.MAX_NAME_LENGTH) {
+    errors.push({ path: prefix + 'name', message: `Must be at most ${SCHEMA_CONFIG.MAX_NAME_LENGTH} characters` });
+  }
+  return errors;
+}
+
+// 辅助函数：校验整份导航数据 { links, categories, settings, search }
+// environmentKeys、previousLinks（已保存的链接）用于校验链接的 urls，见 validateLink
+function validateLinksData(data, environmentKeys = null, previousLinks = []) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: [{ path: '', message: 'Must be an object' }] };
+  }
+
+  Object.keys(data).forEach(key => {
+    if (!DOCUMENT_KEYS.includes(key)) errors.push({ path: key, message: 'Unknown field' });
+  });
+
+  const value = { links: [], categories: {} };
+
+  if (!Array.isArray(data.links)) {
+    errors.push({ path: 'links', message: 'Must be an array' });
+  } else if (data.links.length > SCHEMA_CONFIG.MAX_LINKS) {
+    errors.push({ path: 'links', message: `At most ${SCHEMA_CONFIG.MAX_LINKS} links are allowed` });
+  } else {
+    const ids = new Set();
+    const previousUrls = {};
+    (previousLinks || []).forEach(link => { if (link.id && link.urls) previousUrls[link.id] = link.urls; });
+    data.links.forEach((link, index) => {
+      const previous = link && typeof link.id === 'string' && Object.prototype.hasOwnProperty.call(previousUrls, link.id) ? previousUrls[link.id] : null;
+      const result = validateLink(link, `links.${index}.`, environmentKeys, previous);
+      errors.push(...result.errors);
+      if (!result.value) return;
+      if (result.value.id) {
+        if (ids.has(result.value.id)) errors.push({ path: `links.${index}.id`, message: 'Duplicate id' });
+        ids.add(result.value.id);
+      }
+      value.links.push(result.value);
+    });
+  }
+
+  const categories = data.categories === undefined ? {} : data.categories;
+  if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+    errors.push({ path: 'categories', message: 'Must be an object' });
+  } else if (Object.keys(categories).length > SCHEMA_CONFIG.MAX_CATEGORIES) {
+    errors.push({ path: 'categories', message: `At most ${SCHEMA_CONFIG.MAX_CATEGORIES} categories are allowed` });
+  } else {
+    Object.keys(categories).forEach(key => {
+      const categoryErrors = validateCategory(key, categories[key], `categories.${key}.`);
+      errors.push(...categoryErrors);
+      if (categoryErrors.length === 0) value.categories[key] = categories[key].trim();
+    });
+  }
+
+  if (data.settings !== undefined) {
+    const settings = data.settings;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      errors.push({ path: 'settings', message: 'Must be an object' });
+    } else {
+      value.settings = {};
+      Object.keys(settings).forEach(key => {
+        const check = SETTINGS_SCHEMA[key];
+        const message = check ? check(settings[key]) : 'Unknown field';
+        if (message) {
+          errors.push({ path: `settings.${key}`, message });
+        } else {
+          value.settings[key] = typeof settings[key] === 'string' ? settings[key].trim() : settings[key];
+        }
+      });
+    }
+  }
+
+  if (data.search !== undefined) {
+    const search = validateSearchConfig(data.search);
+    errors.push(...search.errors);
+    if (search.value) value.search = search.value;
+  }
+
+  return { value, errors };
+}
+
+// 辅助函数：校验首页搜索引擎配置 { default, engines: [{ key, name, url }] }
+// key 为快捷前缀（如 g、gh、wiki）；url 为搜索地址模板，查询词替换 %s；default 为空表示不使用默认引擎
+function validateSearchConfig(search) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path: 'search' + (path ? '.' + path : ''), message });
+  if (!search || typeof search !== 'object' || Array.isArray(search)) {
+    fail('', 'Must be an object');
+    return { value: null, errors };
+  }
+  Object.keys(search).forEach(key => {
+    if (key !== 'default' && key !== 'engines') fail(key, 'Unknown field');
+  });
+  if (!Array.isArray(search.engines)) {
+    fail('engines', 'Must be an array');
+    return { value: null, errors };
+  }
+  if (search.engines.length > SEARCH_CONFIG.MAX_ENGINES) {
+    fail('engines', `At most ${SEARCH_CONFIG.MAX_ENGINES} engines are allowed`);
+    return { value: null, errors };
+  }
+
+  const engines = [];
+  const keys = new Set();
+  search.engines.forEach((engine, index) => {
+    const prefix = `engines.${index}.`;
+    if (!engine || typeof engine !== 'object' || Array.isArray(engine)) {
+      fail(`engines.${index}`, 'Must be an object');
+      return;
+    }
+    const key = typeof engine.key === 'string' ? engine.key.trim() : '';
+    const name = typeof engine.name === 'string' ? engine.name.trim() : '';
+    const url = typeof engine.url === 'string' ? engine.url.trim() : '';
+    if (!SEARCH_KEY_PATTERN.test(key)) {
+      fail(prefix + 'key', 'Must be 1-20 lowercase letters, digits, ".", "_" or "-"');
+    } else if (keys.has(key)) {
+      fail(prefix + 'key', 'Duplicate key');
+    }
+    keys.add(key);
+    if (!name) {
+      fail(prefix + 'name', 'Required');
+    } else if (name.length > SCHEMA_CONFIG.MAX_NAME_LENGTH) {
+      fail(prefix + 'name', `Must be at most ${SCHEMA_CONFIG.MAX_NAME_LENGTH} characters`);
+    }
+    if (url.length > SCHEMA_CONFIG.MAX_URL_LENGTH) {
+      fail(prefix + 'url', `Must be at most ${SCHEMA_CONFIG.MAX_URL_LENGTH} characters`);
+    } else if (!isAllowedUrl(url, ['http:', 'https:']) || !url.includes(SEARCH_CONFIG.QUERY_PLACEHOLDER)) {
+      fail(prefix + 'url', `Must be an http(s) URL containing ${SEARCH_CONFIG.QUERY_PLACEHOLDER} for the query`);
+    }
+    engines.push({ key, name, url });
+  });
+
+  const defaultKey = search.default === undefined || search.default === null ? '' : search.default;
+  if (typeof defaultKey !== 'string') {
+    fail('default', 'Must be a string');
+  } else if (defaultKey && !keys.has(defaultKey)) {
+    fail('default', 'Must be the key of one of the engines');
+  }
+  return errors.length ? { value: null, errors } : { value: { default: defaultKey, engines }, errors };
+}
+
+// 辅助函数：处理 If-Match，版本不一致时返回 409 响应，否则返回 null
+async function checkIfMatch(request, currentData) {
+  const ifMatch = request.headers.get('If-Match');
+  if (!ifMatch || ifMatch === '*') return null;
+  const currentETag = await computeETag(currentData);
+  if (ifMatch.split(',').map(t => t.trim()).includes(currentETag)) return null;
+  return jsonResponse({ error: 'Conflict', etag: currentETag, current: currentData }, 409, { 'ETag': currentETag });
+}
+
+// ==========================================
+// 链接与分类资源
+// 每个链接都有稳定的 id；旧数据中没有 id 的链接按内容生成确定性 id，
+// 在下一次保存时写回 KV，因此迁移前后同一链接的 id 保持一致
+// ==========================================
+
+// 数据文档的顶层字段，POST /api/links 的请求体包含其中之一时视为整体更新
+const DOCUMENT_KEYS = ['links', 'categories', 'settings', 'search'];
+
+// 链接允许的字段（id 由服务端分配，不可修改）
+const LINK_FIELDS = ['name', 'url', 'url_intranet', 'icon', 'category', 'description', 'keywords', 'visibility', 'urls'];
+
+async function assignLinkIds(links) {
+  const list = Array.isArray(links) ? links : [];
+  const used = new Set(list.map(l => l && l.id).filter(Boolean));
+  const seen = {};
+  const result = [];
+  for (const link of list) {
+    if (!link || typeof link !== 'object') continue;
+    if (link.id) {
+      result.push(link);
+      continue;
+    }
+    const base = `${link.name || ''}|${link.url || ''}`;
+    seen[base] = (seen[base] || 0) + 1;
+    let id = 'l' + (await sha256Hex(`${base}|${seen[base]}`)).slice(0, 10);
+    while (used.has(id)) id = 'l' + randomId(6);
+    used.add(id);
+    result.push({ id, ...link });
+  }
+  return result;
+}
+
+function pickLinkFields(source) {
+  const link = {};
+  LINK_FIELDS.forEach(field => {
+    if (source[field] !== undefined) link[field] = source[field];
+  });
+  return link;
+}
+
+// 在内存中的数据文档上执行一次 REST 操作（会直接修改 data）
+// 返回 { status, body, changed }
+// environmentKeys 为链接 urls 可使用的环境，见 validateLink
+function applyResourceOperation(data, method, resourcePath, body, environmentKeys = null) {
+  const notFound = { status: 404, body: { error: 'Not Found' }, changed: false };
+  const badRequest = msg => ({ status: 400, body: { error: msg }, changed: false });
+  const invalid = errors => ({ status: 400, body: { error: 'Validation failed', errors }, changed: false });
+  const segments = resourcePath.replace(/^\/api\//, '').split('/').map(decodeURIComponent);
+  const [resource, id] = segments;
+  if (segments.length > 2) return notFound;
+
+  if (resource === 'links') {
+    const links = data.links;
+    if (!id) {
+      if (method === 'GET') return { status: 200, body: links, changed: false };
+      if (method === 'POST') {
+        if (!body || typeof body !== 'object') return badRequest('Invalid link');
+        const { value: link, errors } = validateLink(pickLinkFields(body), '', environmentKeys);
+        if (errors.length > 0) return invalid(errors);
+        link.id = 'l' + randomId(6);
+        links.push(link);
+        return { status: 201, body: link, changed: true };
+      }
+      return { status: 405, body: { error: 'Method Not Allowed' }, changed: false };
+    }
+
+    const index = links.findIndex(l => l.id === id);
+    if (index === -1) return notFound;
+    if (method === 'GET') return { status: 200, body: links[index], changed: false };
+    if (method === 'PATCH') {
+      if (!body || typeof body !== 'object') return badRequest('Invalid link');
+      const { value: updated, errors } = validateLink({ ...links[index], ...pickLinkFields(body), id }, '', environmentKeys, links[index].urls);
+      if (errors.length > 0) return invalid(errors);
+      links[index] = updated;
+      return { status: 200, body: updated, changed: true };
+    }
+    if (method === 'DELETE') {
+      const [removed] = links.splice(index, 1);
+      return { status: 200, body: removed, changed: true };
+    }
+    return { status: 405, body: { error: 'Method Not Allowed' }, changed: false };
+  }
+
+  if (resource === 'categories') {
+    const categories = data.categories;
+    // 分类的可见性保存在站点设置 categoryVisibility 中，公开分类不记录
+    const visibilityOf = key => {
+      const map = (data.settings || {}).categoryVisibility || {};
+      return (Object.prototype.hasOwnProperty.call(map, key) && map[key]) || 'public';
+    };
+    const setVisibility = (key, visibility) => {
+      const map = { ...((data.settings || {}).categoryVisibility || {}) };
+      if (visibility && visibility !== 'public') map[key] = visibility;
+      else delete map[key];
+      data.settings = { ...(data.settings || {}), categoryVisibility: map };
+    };
+    const describe = key => ({ key, name: data.categories[key], visibility: visibilityOf(key) });
+    if (body && typeof body === 'object' && body.visibility !== undefined && !VISIBILITY_LEVELS.includes(body.visibility)) {
+      return invalid([{ path: 'visibility', message: `Must be one of: ${VISIBILITY_LEVELS.join(', ')}` }]);
+    }
+    if (!id) {
+      if (method === 'GET') {
+        return { status: 200, body: Object.keys(categories).map(describe), changed: false };
+      }
+      if (method === 'POST') {
+        if (!body || typeof body !== 'object') return badRequest('Invalid category');
+        const errors = validateCategory(body.key, body.name);
+        if (errors.length > 0) return invalid(errors);
+        const key = body.key.trim();
+        const name = body.name.trim();
+        if (Object.prototype.hasOwnProperty.call(categories, key)) return { status: 409, body: { error: 'Category already exists' }, changed: false };
+        categories[key] = name;
+        setVisibility(key, body.visibility);
+        return { status: 201, body: describe(key), changed: true };
+      }
+      return { status: 405, body: { error: 'Method Not Allowed' }, changed: false };
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(categories, id)) return notFound;
+    if (method === 'GET') return { status: 200, body: describe(id), changed: false };
+    if (method === 'PATCH') {
+      if (!body || typeof body !== 'object') return badRequest('Invalid category');
+      const errors = validateCategory(body.key === undefined ? id : body.key, body.name === undefined ? categories[id] : body.name);
+      if (errors.length > 0) return invalid(errors);
+      const name = body.name === undefined ? categories[id] : body.name.trim();
+      const newKey = body.key === undefined ? id : body.key.trim();
+      const visibility = body.visibility === undefined ? visibilityOf(id) : body.visibility;
+      if (newKey !== id) {
+        if (Object.prototype.hasOwnProperty.call(categories, newKey)) return { status: 409, body: { error: 'Category already exists' }, changed: false };
+        // 重命名分类 ID 时保持原有顺序，并同步更新链接的 category
+        const renamed = {};
+        Object.keys(categories).forEach(k => { renamed[k === id ? newKey : k] = categories[k]; });
+        data.categories = renamed;
+        data.links.forEach(l => { if (l.category === id) l.category = newKey; });
+        setVisibility(id, null);
+      }
+      data.categories[newKey] = name;
+      setVisibility(newKey, visibility);
+      return { status: 200, body: describe(newKey), changed: true };
+    }
+    if (method === 'DELETE') {
+      // 与后台一致：删除分类配置，不删除该分类下的链接
+      const removed = describe(id);
+      delete categories[id];
+      setVisibility(id, null);
+      return { status: 200, body: removed, changed: true };
+    }
+    return { status: 405, body: { error: 'Method Not Allowed' }, changed: false };
+  }
+
+  return notFound;
+}
+
+// 资源请求入口：单个操作或 /api/batch 批量操作，有改动时保存一次并返回新的 ETag
+async function handleResourceRequest(request, env, path, auth, body, board) {
+  let currentData = await getLinksFromKV(env, board);
+  // 未登录的读请求只能看到公开内容
+  if (!auth) currentData = filterVisibleData(currentData, null);
+  if (request.method !== 'GET') {
+    const conflict = await checkIfMatch(request, currentData);
+    if (conflict) return conflict;
+  }
+
+  const environmentKeys = request.method === 'GET' ? null : await getLinkEnvironmentKeys(env);
+  const working = JSON.parse(JSON.stringify(currentData));
+  working.links = working.links || [];
+  working.categories = working.categories || {};
+
+  let status;
+  let responseBody;
+  let changed = false;
+
+  if (path === '/api/batch') {
+    if (request.method !== 'POST') return jsonResponse({ error: 'Method Not Allowed' }, 405);
+    const operations = body && Array.isArray(body.operations) ? body.operations : null;
+    if (!operations) return jsonResponse({ error: 'operations must be an array' }, 400);
+
+    const results = [];
+    for (let i = 0; i < operations.length; i++) {
+      const op = operations[i] || {};
+      const opPath = typeof op.path === 'string' ? op.path : '';
+      const isResource = /^\/api\/(links|categories)(\/[^/]+)?$/.test(opPath);
+      const result = isResource
+        ? applyResourceOperation(working, String(op.method || 'GET').toUpperCase(), opPath, op.body, environmentKeys)
+        : { status: 400, body: { error: 'Unsupported path' }, changed: false };
+      results.push({ status: result.status, body: result.body });
+      if (result.status >= 400) {
+        // 任一操作失败则整体放弃，不写入任何改动
+        return jsonResponse({ error: 'Batch operation failed', failedIndex: i, results }, 400);
+      }
+      changed = changed || result.changed;
+    }
+    status = 200;
+    responseBody = { results };
+  } else {
+    const result = applyResourceOperation(working, request.method, path, body, environmentKeys);
+    status = result.status;
+    responseBody = result.body;
+    changed = result.changed;
+  }
+
+  if (!changed) return jsonResponse(responseBody, status);
+
+  // 单个操作只校验了自身，保存前与整体保存一样校验结果文档（链接、分类数量上限等）
+  const { value, errors } = validateLinksData(working, environmentKeys, currentData.links);
+  if (errors.length > 0) return jsonResponse({ error: 'Validation failed', errors }, 400);
+
+  const saved = await saveLinksData(env, value, { author: auth.user.username, previous: currentData, board });
+  return jsonResponse(responseBody, status, { 'ETag': await computeETag(saved) });
+}
+
+// ==========================================
+// 历史版本
+// 索引：revisions = [{ id, createdAt, author, summary }]（新到旧）
+// 快照：revision:<id> = 完整的 data JSON
+// ==========================================
+
+async function getRevisionIndex(env, board) {
+  try {
+    const kv = getKV(env);
+    const v = await kv.get(boardKey(board, 'revisions'));
+    if (v) return JSON.parse(v) || [];
+  } catch (_) { }
+  return [];
+}
+
+async function getRevision(env, id, board) {
+  const kv = getKV(env);
+  const v = await kv.get(boardKey(board, 'revision:' + id));
+  return v ? JSON.parse(v) : null;
+}
+
+async function recordRevision(env, data, meta) {
+  const kv = getKV(env);
+  const index = await getRevisionIndex(env, meta.board);
+  const previous = meta.previous || null;
+
+  // 第一次记录历史时，先把修改前的数据存为基线版本，保证第一次保存也能回滚
+  if (index.length === 0 && previous) {
+    const baseline = { id: newRevisionId(Date.now() - 1), createdAt: Date.now() - 1, author: 'system', summary: '基线版本' };
+    await kv.put(boardKey(meta.board, 'revision:' + baseline.id), JSON.stringify(previous));
+    index.unshift(baseline);
+  }
+
+  const entry = {
+    id: newRevisionId(Date.now()),
+    createdAt: Date.now(),
+    author: meta.author || 'unknown',
+    summary: meta.summary || summarizeDiff(diffLinksData(previous || {}, data))
+  };
+  await kv.put(boardKey(meta.board, 'revision:' + entry.id), JSON.stringify(data));
+  index.unshift(entry);
+
+  const expired = index.splice(REVISION_CONFIG.MAX_REVISIONS);
+  await kv.put(boardKey(meta.board, 'revisions'), JSON.stringify(index));
+  for (const old of expired) {
+    try { await kv.delete(boardKey(meta.board, 'revision:' + old.id)); } catch (_) { }
+  }
+}
+
+// 时间戳前缀保证按字典序即按时间排序
+function newRevisionId(time) {
+  return time.toString(36) + '-' + randomId(4);
+}
+
+// 链接没有独立 ID 时，以 id / 名称区分，同名链接按出现顺序编号
+function indexLinks(links) {
+  const map = {};
+  const seen = {};
+  (links || []).forEach(link => {
+    const base = link.id || link.name || link.url || '';
+    seen[base] = (seen[base] || 0) + 1;
+    map[seen[base] > 1 ? `${base}#${seen[base]}` : base] = link;
+  });
+  return map;
+}
+
+// 比较两份数据，返回链接与分类的新增 / 删除 / 修改
+function diffLinksData(before, after) {
+  const diff = {
+    links: { added: [], removed: [], changed: [] },
+    categories: { added: [], removed: [], changed: [] }
+  };
+
+  const beforeLinks = indexLinks(before.links);
+  const afterLinks = indexLinks(after.links);
+  Object.keys(afterLinks).forEach(key => {
+    if (!beforeLinks[key]) {
+      diff.links.added.push(afterLinks[key]);
+      return;
+    }
+    const fields = {};
+    const a = beforeLinks[key];
+    const b = afterLinks[key];
+    new Set([...Object.keys(a), ...Object.keys(b)]).forEach(field => {
+      if (JSON.stringify(a[field] ?? '') !== JSON.stringify(b[field] ?? '')) {
+        fields[field] = { from: a[field] ?? '', to: b[field] ?? '' };
+      }
+    });
+    if (Object.keys(fields).length > 0) diff.links.changed.push({ name: b.name, fields });
+  });
+  Object.keys(beforeLinks).forEach(key => {
+    if (!afterLinks[key]) diff.links.removed.push(beforeLinks[key]);
+  });
+
+  const beforeCats = before.categories || {};
+  const afterCats = after.categories || {};
+  Object.keys(afterCats).forEach(key => {
+    if (!(key in beforeCats)) diff.categories.added.push({ key, name: afterCats[key] });
+    else if (beforeCats[key] !== afterCats[key]) diff.categories.changed.push({ key, from: beforeCats[key], to: afterCats[key] });
+  });
+  Object.keys(beforeCats).forEach(key => {
+    if (!(key in afterCats)) diff.categories.removed.push({ key, name: beforeCats[key] });
+  });
+
+  return diff;
+}
+
+function summarizeDiff(diff) {
+  const parts = [];
+  const count = (label, group) => {
+    if (group.added.length) parts.push(`新增${label} ${group.added.length}`);
+    if (group.removed.length) parts.push(`删除${label} ${group.removed.length}`);
+    if (group.changed.length) parts.push(`修改${label} ${group.changed.length}`);
+  };
+  count('链接', diff.links);
+  count('分类', diff.categories);
+  return parts.length ? parts.join('，') : '无链接或分类变化';
+}
+
+// ==========================================
+// 导入 / 导出
+// 各格式的解析器统一输出条目列表 [{ name, url, icon?, description?, group? }]，
+// group 为来源中的文件夹 / 分组名称，由 planImport 映射到 categories
+// ==========================================
+
+const IMPORT_MODES = ['preview', 'merge', 'replace'];
+
+// 各格式的解析器：输入原始文本，返回条目列表（备份格式返回 { links, categories, settings? }），
+// 格式错误时抛出异常
+const IMPORTERS = {
+  bookmarks: parseBookmarksHtml,
+  homer: parseHomerConfig,
+  dashy: parseDashyConfig,
+  heimdall: parseHeimdallExport,
+  homarr: parseHomarrConfig,
+  json: text => normalizeBackup(JSON.parse(text)),
+  yaml: text => normalizeBackup(parseYaml(text)),
+  csv: parseBackupCsv,
+};
+
+// 各格式的导出器：输入导航数据，返回 { body, contentType, filename, version? }
+const EXPORTERS = {
+  bookmarks: exportBookmarksHtml,
+  json: data => ({
+    body: JSON.stringify(createBackup(data), null, 2) + '\n',
+    contentType: 'application/json; charset=utf-8',
+    filename: backupFilename('json'),
+    version: IMPORT_CONFIG.BACKUP_VERSION
+  }),
+  yaml: data => ({
+    body: `# ${IMPORT_CONFIG.BACKUP_FORMAT} v${IMPORT_CONFIG.BACKUP_VERSION}\n` + toYaml(createBackup(data)).trimStart() + '\n',
+    contentType: 'application/yaml; charset=utf-8',
+    filename: backupFilename('yaml'),
+    version: IMPORT_CONFIG.BACKUP_VERSION
+  }),
+  csv: exportBackupCsv,
+};
+
+// 辅助函数：HTML 实体解码（书签文件中的名称、描述和地址均经过转义）
+function decodeHtmlEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const value = named[entity.toLowerCase()];
+    return value === undefined ? match : value;
+  });
+}
+
+// 辅助函数：读取标签属性，如 <A HREF="..." ICON_URI="...">
+function getHtmlAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) return '';
+  return decodeHtmlEntities(match[2] ?? match[3] ?? match[4] ?? '');
+}
+
+// 解析 Chrome / Firefox / Edge 导出的 Netscape 书签文件（bookmarks.html）
+// 以 <DL> 嵌套表示文件夹层级，链接归入最近一层文件夹
+function parseBookmarksHtml(text) {
+  if (!/<!DOCTYPE\s+NETSCAPE-Bookmark-file-1>/i.test(text) && !/<DT>\s*<(A|H3)\b/i.test(text)) {
+    throw new Error('Not a Netscape bookmarks file');
+  }
+
+  const entries = [];
+  const folders = [];
+  let pendingFolder = null;
+  let lastEntry = null;
+  const tokenPattern = /<H3\b[^>]*>([\s\S]*?)<\/H3>|<A\b([^>]*)>([\s\S]*?)<\/A>|<DD>([^<]*)|<DL\b[^>]*>|<\/DL>/gi;
+  let match;
+  while ((match = tokenPattern.exec(text)) !== null) {
+    const token = match[0];
+    if (match[1] !== undefined) {
+      pendingFolder = decodeHtmlEntities(match[1].replace(/<[^>]*>/g, '')).trim();
+      lastEntry = null;
+    } else if (match[2] !== undefined) {
+      const attrs = ' ' + match[2];
+      const entry = {
+        name: decodeHtmlEntities(match[3].replace(/<[^>]*>/g, '')).trim(),
+        url: getHtmlAttribute(attrs, 'HREF').trim(),
+        group: folders.length ? folders[folders.length - 1] : ''
+      };
+      // 内嵌 base64 图标（ICON）不保存，只保留图标地址（ICON_URI）
+      const iconUri = getHtmlAttribute(attrs, 'ICON_URI');
+      if (iconUri) entry.icon = iconUri;
+      entries.push(entry);
+      lastEntry = entry;
+    } else if (match[4] !== undefined) {
+      if (lastEntry) lastEntry.description = decodeHtmlEntities(match[4]).trim();
+    } else if (token[1] === '/') {
+      folders.pop();
+      lastEntry = null;
+    } else {
+      // 进入 <DL>：紧跟在 <H3> 之后的是该文件夹的内容，否则沿用上层文件夹
+      folders.push(pendingFolder !== null ? pendingFolder : (folders.length ? folders[folders.length - 1] : ''));
+      pendingFolder = null;
+      lastEntry = null;
+    }
+  }
+  return entries;
+}
+
+// 辅助函数：去掉 YAML 行尾注释（# 前须为空白，且不在引号字符串内）
+function stripYamlComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    const prev = i > 0 ? line[i - 1] : ' ';
+    if (quote) {
+      if (quote === '"' && ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if ((ch === '"' || ch === "'") && /[\s:\-\[{,]/.test(prev)) {
+      quote = ch;
+    } else if (ch === '#' && /\s/.test(prev)) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+// 辅助函数：拆分 YAML 的 "key: value"，不是映射项时返回 null
+function splitYamlKey(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (quote === '"' && ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (i === 0 && (ch === '"' || ch === "'")) {
+      quote = ch;
+    } else if (ch === ':' && (i === text.length - 1 || text[i + 1] === ' ')) {
+      const key = text.slice(0, i).trim();
+      return [String(parseYamlScalar(key)), text.slice(i + 1).trim()];
+    }
+  }
+  return null;
+}
+
+// 辅助函数：按顶层逗号拆分行内 [] / {} 的内容
+function splitYamlFlow(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (quote === '"' && ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '[' || ch === '{') {
+      depth++;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  const last = text.slice(start).trim();
+  if (last) parts.push(last);
+  return parts;
+}
+
+// 辅助函数：解析单行 YAML 标量（引号字符串、行内列表 / 映射、布尔、数字、null）
+function parseYamlScalar(value) {
+  value = value.replace(/^!!?\w+\s+/, '').replace(/^&\S+\s+/, '');
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+    try { return JSON.parse(value); } catch (_) { return value.slice(1, -1); }
+  }
+  if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitYamlFlow(value.slice(1, -1)).map(parseYamlScalar);
+  }
+  if (value.startsWith('{') && value.endsWith('}')) {
+    const result = {};
+    splitYamlFlow(value.slice(1, -1)).forEach(part => {
+      const pair = splitYamlKey(part);
+      if (pair) result[pair[0]] = pair[1] === '' ? null : parseYamlScalar(pair[1]);
+    });
+    return result;
+  }
+  if (value === '' || value === '~' || value === 'null' || value === 'Null' || value === 'NULL') return null;
+  if (/^(true|True|TRUE)$/.test(value)) return true;
+  if (/^(false|False|FALSE)$/.test(value)) return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+// 辅助函数：解析 YAML 文档
+// 只实现导入 Homer / Dashy 配置所需的常用子集：块状映射与序列、引号字符串、
+// | 与 > 多行文本、行内 [] / {} 以及注释；锚点 / 引用等高级特性按普通字符串处理
+function parseYaml(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).map(raw => ({
+    raw,
+    indent: raw.search(/\S/),
+    text: stripYamlComment(raw).trim()
+  }));
+  let pos = 0;
+
+  const isSeqItem = text => text === '-' || text.startsWith('- ');
+  const skipBlank = () => {
+    while (pos < lines.length && (!lines[pos].text || /^(---|\.\.\.|%)/.test(lines[pos].text))) pos++;
+  };
+
+  function parseNode(minIndent) {
+    skipBlank();
+    const line = lines[pos];
+    if (!line || line.indent < minIndent) return null;
+    return isSeqItem(line.text) ? parseSequence(line.indent) : parseMapping(line.indent);
+  }
+
+  // 块状文本：| 保留换行，> 将换行折叠为空格
+  function parseBlockScalar(style, parentIndent) {
+    const collected = [];
+    while (pos < lines.length && (!lines[pos].raw.trim() || lines[pos].indent > parentIndent)) {
+      collected.push(lines[pos].raw);
+      pos++;
+    }
+    const first = collected.find(l => l.trim());
+    const blockIndent = first ? first.search(/\S/) : 0;
+    const body = collected.map(l => l.slice(blockIndent));
+    const joined = style[0] === '|'
+      ? body.join('\n')
+      : body.reduce((acc, l) => (l === '' ? acc + '\n' : acc + (acc && !acc.endsWith('\n') ? ' ' : '') + l), '');
+    return joined.replace(/\s+$/, '');
+  }
+
+  function parseValue(value, parentIndent) {
+    if (/^[|>][+-]?\d*$/.test(value)) return parseBlockScalar(value, parentIndent);
+    return parseYamlScalar(value);
+  }
+
+  function parseSequence(indent) {
+    const result = [];
+    for (;;) {
+      skipBlank();
+      const line = lines[pos];
+      if (!line || line.indent !== indent || !isSeqItem(line.text)) break;
+      const rest = line.text.slice(1).trimStart();
+      if (!rest) {
+        pos++;
+        result.push(parseNode(indent + 1));
+      } else if (isSeqItem(rest) || splitYamlKey(rest)) {
+        // "- key: value"：把该行视为缩进到 key 所在列的映射
+        lines[pos] = { raw: line.raw, indent: indent + line.text.length - rest.length, text: rest };
+        result.push(parseNode(lines[pos].indent));
+      } else {
+        pos++;
+        result.push(parseValue(rest, indent));
+      }
+    }
+    return result;
+  }
+
+  function parseMapping(indent) {
+    const result = {};
+    for (;;) {
+      skipBlank();
+      const line = lines[pos];
+      if (!line || line.indent !== indent || isSeqItem(line.text)) break;
+      const pair = splitYamlKey(line.text);
+      if (!pair) throw new Error(`Invalid YAML at line ${pos + 1}`);
+      pos++;
+      const [key, value] = pair;
+      if (value !== '') {
+        result[key] = parseValue(value, indent);
+        continue;
+      }
+      skipBlank();
+      const next = lines[pos];
+      // 序列可以与父级 key 同一缩进
+      if (next && (next.indent > indent || (next.indent === indent && isSeqItem(next.text)))) {
+        result[key] = parseNode(next.indent);
+      } else {
+        result[key] = null;
+      }
+    }
+    return result;
+  }
+
+  const doc = parseNode(0);
+  skipBlank();
+  if (pos < lines.length) throw new Error(`Invalid YAML at line ${pos + 1}`);
+  return doc;
+}
+
+// 辅助函数：其他导航工具的图标大多是图标库类名（如 fas fa-code）或相对路径，
+// 只保留 http(s) 图片地址和 Emoji 等不含字母的短文本
+function importIcon(value) {
+  if (typeof value !== 'string') return undefined;
+  const icon = value.trim();
+  if (isAllowedUrl(icon, SCHEMA_CONFIG.ALLOWED_ICON_SCHEMES)) return icon;
+  if (icon && icon.length <= SCHEMA_CONFIG.MAX_ICON_TEXT_LENGTH && !/[A-Za-z0-9]/.test(icon)) return icon;
+  return undefined;
+}
+
+// 解析 Homer 的 config.yml：services 为分组，items 为链接
+function parseHomerConfig(text) {
+  const config = parseYaml(text);
+  if (!config || !Array.isArray(config.services)) throw new Error('Missing "services" list');
+  const entries = [];
+  config.services.forEach(group => {
+    if (!group || !Array.isArray(group.items)) return;
+    group.items.forEach(item => {
+      if (!item || typeof item !== 'object') return;
+      entries.push({
+        name: item.name,
+        url: item.url,
+        description: item.subtitle,
+        keywords: item.keywords,
+        icon: importIcon(item.logo) || importIcon(item.icon),
+        group: group.name
+      });
+    });
+  });
+  return entries;
+}
+
+// 解析 Dashy 的 conf.yml：sections 为分组，items 为链接
+function parseDashyConfig(text) {
+  const config = parseYaml(text);
+  if (!config || !Array.isArray(config.sections)) throw new Error('Missing "sections" list');
+  const entries = [];
+  config.sections.forEach(section => {
+    if (!section || !Array.isArray(section.items)) return;
+    section.items.forEach(item => {
+      if (!item || typeof item !== 'object') return;
+      entries.push({
+        name: item.title,
+        url: item.url,
+        description: item.description,
+        keywords: Array.isArray(item.tags) ? item.tags.join(', ') : undefined,
+        icon: importIcon(item.icon),
+        group: section.name
+      });
+    });
+  });
+  return entries;
+}
+
+// 解析 Heimdall 导出的 JSON：应用列表，第一个标签作为分组（type = 1 的条目是标签本身，跳过）
+function parseHeimdallExport(text) {
+  const parsed = JSON.parse(text);
+  const items = Array.isArray(parsed) ? parsed : (parsed && (parsed.items || parsed.apps));
+  if (!Array.isArray(items)) throw new Error('Expected an array of items');
+  const entries = [];
+  items.forEach(item => {
+    if (!item || typeof item !== 'object' || Number(item.type) === 1) return;
+    const tags = Array.isArray(item.tags) ? item.tags : (item.tag ? [item.tag] : []);
+    const tag = tags[0];
+    entries.push({
+      name: item.title || item.name,
+      url: item.url,
+      description: item.description || item.appdescription,
+      icon: importIcon(item.icon),
+      group: tag && typeof tag === 'object' ? tag.title : tag
+    });
+  });
+  return entries;
+}
+
+// 解析 Homarr 的配置 JSON：新版为 apps + categories，旧版为 services（category 为名称）
+// 新版中 behaviour.externalUrl 为对外地址，与 url 不同时将 url 作为内网地址
+function parseHomarrConfig(text) {
+  const config = JSON.parse(text);
+  const entries = [];
+  if (config && Array.isArray(config.apps)) {
+    const categoryNames = {};
+    (config.categories || []).forEach(cat => {
+      if (cat && cat.id) categoryNames[cat.id] = cat.name;
+    });
+    config.apps.forEach(app => {
+      if (!app || typeof app !== 'object') return;
+      const external = app.behaviour && app.behaviour.externalUrl;
+      const area = app.area || {};
+      entries.push({
+        name: app.name,
+        url: external || app.url,
+        url_intranet: external && app.url && external !== app.url ? app.url : undefined,
+        description: app.behaviour && app.behaviour.tooltipDescription,
+        icon: importIcon(app.appearance && app.appearance.iconUrl),
+        group: area.type === 'category' && area.properties ? categoryNames[area.properties.id] : undefined
+      });
+    });
+    return entries;
+  }
+  if (config && Array.isArray(config.services)) {
+    config.services.forEach(service => {
+      if (!service || typeof service !== 'object') return;
+      entries.push({
+        name: service.name,
+        url: service.openedUrl || service.url,
+        icon: importIcon(service.icon),
+        group: service.category
+      });
+    });
+    return entries;
+  }
+  throw new Error('Missing "apps" or "services" list');
+}
+
+// 辅助函数：生成 YAML 文本（字符串一律使用双引号，保证导入时类型不变）
+function toYaml(value, indent = '') {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return ' []';
+    return value.map(item => {
+      if (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length > 0) {
+        return `\n${indent}- ` + toYaml(item, indent + '  ').trimStart();
+      }
+      return `\n${indent}-` + toYaml(item, indent + '  ');
+    }).join('');
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 0) return ' {}';
+    return keys.map(key => {
+      const safeKey = /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+      return `\n${indent}${safeKey}:` + toYaml(value[key], indent + '  ');
+    }).join('');
+  }
+  if (value === null || value === undefined) return ' null';
+  return ' ' + (typeof value === 'string' ? JSON.stringify(value) : String(value));
+}
+
+function backupFilename(ext) {
+  return `esa-nav-backup-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+// 辅助函数：生成备份文档（带格式标识和版本）
+function createBackup(data) {
+  return {
+    format: IMPORT_CONFIG.BACKUP_FORMAT,
+    version: IMPORT_CONFIG.BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: data.settings || {},
+    ...(data.search ? { search: data.search } : {}),
+    ...(data.network ? { network: data.network } : {}),
+    categories: data.categories || {},
+    links: data.links || []
+  };
+}
+
+// 辅助函数：把备份文件（或 GET /api/links 的返回、旧版纯数组）整理为数据文档
+function normalizeBackup(backup) {
+  if (Array.isArray(backup)) return { links: backup, categories: {} };
+  if (!backup || typeof backup !== 'object') throw new Error('Expected a backup object');
+  if (backup.format !== undefined && backup.format !== IMPORT_CONFIG.BACKUP_FORMAT) {
+    throw new Error(`Unknown backup format "${backup.format}"`);
+  }
+  if (backup.version !== undefined && !(Number(backup.version) <= IMPORT_CONFIG.BACKUP_VERSION)) {
+    throw new Error(`Unsupported backup version ${backup.version}`);
+  }
+  const doc = {
+    links: backup.links === undefined ? [] : backup.links,
+    categories: backup.categories === undefined ? {} : backup.categories
+  };
+  if (backup.settings !== undefined) doc.settings = backup.settings;
+  if (backup.search !== undefined) doc.search = backup.search;
+  // 访问环境配置不属于数据文档，由导入接口单独校验和保存
+  if (backup.network !== undefined) doc.network = backup.network;
+  return doc;
+}
+
+// CSV 备份的列；type 为 link / category / setting / search / network：
+// category 行的 id 为分类 ID、name 为显示名称；setting 行的 id 为设置项、name 为 JSON 编码的值；
+// search、network 行的 name 分别为 JSON 编码的搜索引擎配置和访问环境配置；link 行的 urls 为 JSON 编码
+const BACKUP_CSV_COLUMNS = ['type', 'id', 'name', 'url', 'url_intranet', 'icon', 'category', 'description', 'keywords', 'visibility', 'urls'];
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 导出 CSV 备份，首行为格式版本注释
+function exportBackupCsv(data) {
+  const rows = [BACKUP_CSV_COLUMNS];
+  Object.entries(data.settings || {}).forEach(([key, value]) => {
+    rows.push(['setting', key, JSON.stringify(value)]);
+  });
+  if (data.search) rows.push(['search', '', JSON.stringify(data.search)]);
+  if (data.network) rows.push(['network', '', JSON.stringify(data.network)]);
+  Object.entries(data.categories || {}).forEach(([key, name]) => {
+    rows.push(['category', key, name]);
+  });
+  (data.links || []).forEach(link => {
+    rows.push(['link', ...BACKUP_CSV_COLUMNS.slice(1).map(field => (field === 'urls' && link.urls ? JSON.stringify(link.urls) : link[field]))]);
+  });
+  const header = `#format=${IMPORT_CONFIG.BACKUP_FORMAT};version=${IMPORT_CONFIG.BACKUP_VERSION}`;
+  return {
+    body: [header, ...rows.map(row => row.map(csvField).join(','))].join('\r\n') + '\r\n',
+    contentType: 'text/csv; charset=utf-8',
+    filename: backupFilename('csv'),
+    version: IMPORT_CONFIG.BACKUP_VERSION
+  };
+}
+
+// 辅助函数：解析 CSV（RFC 4180，支持引号内的逗号、换行和 "" 转义）
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(cell => cell !== ''));
+}
+
+// 解析 CSV 备份
+function parseBackupCsv(text) {
+  const rows = parseCsv(String(text).replace(/^\uFEFF/, ''));
+  let version;
+  if (rows.length && rows[0][0].startsWith('#')) {
+    const match = rows.shift().join(',').match(/version=(\d+)/);
+    if (match) version = Number(match[1]);
+  }
+  const header = rows.shift() || [];
+  const column = name => header.indexOf(name);
+  if (column('type') === -1 || column('id') === -1 || column('name') === -1) {
+    throw new Error('Missing header row: ' + BACKUP_CSV_COLUMNS.join(','));
+  }
+
+  const backup = { version, links: [], categories: {}, settings: {} };
+  rows.forEach(row => {
+    const cell = name => (column(name) === -1 ? '' : (row[column(name)] || ''));
+    const type = cell('type');
+    if (type === 'setting') {
+      try { backup.settings[cell('id')] = JSON.parse(cell('name')); } catch (_) { backup.settings[cell('id')] = cell('name'); }
+    } else if (type === 'search') {
+      try { backup.search = JSON.parse(cell('name')); } catch (_) { throw new Error('Invalid search row: expected JSON'); }
+    } else if (type === 'network') {
+      try { backup.network = JSON.parse(cell('name')); } catch (_) { throw new Error('Invalid network row: expected JSON'); }
+    } else if (type === 'category') {
+      backup.categories[cell('id')] = cell('name');
+    } else if (type === 'link') {
+      const link = {};
+      BACKUP_CSV_COLUMNS.slice(1).forEach(field => {
+        if (cell(field) === '') return;
+        link[field] = cell(field);
+        if (field === 'urls') {
+          try { link.urls = JSON.parse(cell(field)); } catch (_) { }
+        }
+      });
+      backup.links.push(link);
+    } else {
+      throw new Error(`Unknown row type "${type}"`);
+    }
+  });
+  return normalizeBackup(backup);
+}
+
+// 根据备份文档生成新数据和报告（不写入 KV）
+// replace 按原样恢复链接、分类、站点设置和搜索引擎；merge 按 URL 合并链接，只补充缺少的分类、设置和搜索引擎配置
+function planRestore(currentData, backup, mode) {
+  const links = Array.isArray(backup.links) ? backup.links : [];
+  const categories = backup.categories && typeof backup.categories === 'object' ? backup.categories : {};
+
+  if (mode !== 'replace') {
+    const plan = planImport(currentData, links, mode, categories);
+    if (backup.settings && typeof backup.settings === 'object') {
+      plan.data.settings = { ...backup.settings, ...(currentData.settings || {}) };
+    }
+    if (backup.search && !currentData.search) plan.data.search = backup.search;
+    return plan;
+  }
+
+  const data = { ...currentData, links: backup.links, categories: backup.categories };
+  if (backup.settings !== undefined) data.settings = backup.settings;
+  if (backup.search !== undefined) data.search = backup.search;
+  const report = {
+    created: links.map(link => ({ name: link && link.name, url: link && link.url, category: link && link.category })),
+    merged: [],
+    skipped: [],
+    categories: Object.keys(categories).map(key => ({ key, name: categories[key] }))
+  };
+  return { data, report };
+}
+
+// 导出为 Netscape 书签文件，分类对应文件夹，顺序与首页一致
+function exportBookmarksHtml(data) {
+  const links = data.links || [];
+  // 分组和名称都用无原型对象，分类 ID 不会命中 Object.prototype 上的属性
+  const categoryNames = Object.assign(Object.create(null), data.categories);
+  const grouped = Object.create(null);
+  links.forEach(link => {
+    const cat = link.category || '';
+    if (!grouped[cat]) grouped[cat] = [];
+    grouped[cat].push(link);
+  });
+  const order = [...Object.keys(categoryNames), ...Object.keys(grouped).filter(k => !(k in categoryNames))];
+  const title = escapeHtml((data.settings && data.settings.title) || 'Bookmarks');
+
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    `<TITLE>${title}</TITLE>`,
+    `<H1>${title}</H1>`,
+    '<DL><p>'
+  ];
+  order.forEach(cat => {
+    const items = grouped[cat] || [];
+    if (items.length === 0) return;
+    lines.push(`    <DT><H3>${escapeHtml(categoryNames[cat] || cat || '其他')}</H3>`);
+    lines.push('    <DL><p>');
+    items.forEach(link => {
+      const iconUri = link.icon && isAllowedUrl(link.icon, SCHEMA_CONFIG.ALLOWED_ICON_SCHEMES)
+        ? ` ICON_URI="${escapeHtml(link.icon)}"`
+        : '';
+      lines.push(`        <DT><A HREF="${escapeHtml(link.url)}"${iconUri}>${escapeHtml(link.name)}</A>`);
+      if (link.description) lines.push(`        <DD>${escapeHtml(link.description)}`);
+    });
+    lines.push('    </DL><p>');
+  });
+  lines.push('</DL><p>');
+
+  return { body: lines.join('\n') + '\n', contentType: 'text/html; charset=utf-8', filename: 'bookmarks.html' };
+}
+
+// 辅助函数：用于判断重复链接的 URL 形式（忽略协议大小写、主机大小写和末尾斜杠）
+function normalizeUrlForCompare(value) {
+  try {
+    const u = new URL(value);
+    return `${u.protocol}//${u.host.toLowerCase()}${u.pathname.replace(/\/+$/, '')}${u.search}${u.hash}`;
+  } catch (_) {
+    return String(value || '').trim().toLowerCase();
+  }
+}
+
+// 辅助函数：为来源分组找到或创建分类，显示名称、ID 或生成的 ID 相同的已有分类直接复用
+function resolveImportCategory(groupName, categories, created) {
+  const name = (groupName || IMPORT_CONFIG.DEFAULT_CATEGORY_NAME).trim().slice(0, SCHEMA_CONFIG.MAX_NAME_LENGTH);
+  const base = !groupName ? 'imported' : name.toLowerCase().replace(/[\s'"`<>\\]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 36) || 'imported';
+  const existing = Object.keys(categories).find(key => categories[key] === name || key === name || key === base);
+  if (existing) return existing;
+
+  let key = base;
+  // constructor、__proto__ 等保留名称同样视为已占用
+  for (let n = 2; Object.prototype.hasOwnProperty.call(categories, key) || isReservedKey(key); n++) key = `${base}-${n}`;
+  categories[key] = name;
+  created.push({ key, name });
+  return key;
+}
+
+// 根据导入条目生成新数据和报告（不写入 KV），preview 模式即以此作为试运行报告
+// 传入 sourceCategories 时（备份合并），条目的 category 直接作为分类 ID，并保留未被占用的 id
+// report = { created, merged, skipped, categories }：
+// created 为新增链接；merged 为与已有链接 URL 相同、仅补全缺失的图标 / 描述 / 关键词 / 内网地址的链接；
+// skipped 为未通过校验或与本次导入中其他条目重复的条目
+function planImport(currentData, entries, mode, sourceCategories = null) {
+  const replace = mode === 'replace';
+  const links = replace ? [] : (currentData.links || []).map(link => ({ ...link }));
+  const categories = replace ? {} : { ...(currentData.categories || {}) };
+  const report = { created: [], merged: [], skipped: [], categories: [] };
+
+  const byUrl = new Map();
+  links.forEach(link => byUrl.set(normalizeUrlForCompare(link.url), { link, imported: false }));
+  const usedIds = new Set(links.map(link => link.id).filter(Boolean));
+
+  entries.forEach(entry => {
+    if (!entry || typeof entry !== 'object') return;
+    const item = {
+      name: String(entry.name || '').slice(0, SCHEMA_CONFIG.MAX_NAME_LENGTH),
+      url: String(entry.url || '')
+    };
+    if (!item.name) {
+      try { item.name = new URL(item.url).hostname; } catch (_) { item.name = item.url.slice(0, SCHEMA_CONFIG.MAX_NAME_LENGTH); }
+    }
+    if (entry.icon) item.icon = String(entry.icon);
+    if (entry.description) item.description = String(entry.description).slice(0, SCHEMA_CONFIG.MAX_DESCRIPTION_LENGTH);
+    if (entry.url_intranet) item.url_intranet = String(entry.url_intranet);
+    if (entry.keywords) item.keywords = String(entry.keywords).slice(0, SCHEMA_CONFIG.MAX_KEYWORDS_LENGTH);
+    if (entry.visibility) item.visibility = String(entry.visibility);
+    if (entry.urls) item.urls = entry.urls;
+
+    // 校验不通过的可选字段直接丢弃，名称 / 地址不合法则跳过整条
+    let { value, errors } = validateLink(item);
+    ['icon', 'description', 'url_intranet', 'keywords', 'visibility', 'urls'].forEach(field => {
+      if (errors.some(e => e.path === field || e.path.startsWith(field + '.'))) delete item[field];
+    });
+    ({ value, errors } = validateLink(item));
+    if (errors.length > 0) {
+      report.skipped.push({ name: item.name, url: item.url, reason: errors.map(e => `${e.path}: ${e.message}`).join('; ') });
+      return;
+    }
+
+    const existing = byUrl.get(normalizeUrlForCompare(value.url));
+    if (existing) {
+      if (existing.imported) {
+        report.skipped.push({ name: value.name, url: value.url, reason: 'Duplicate in import' });
+        return;
+      }
+      ['icon', 'description', 'url_intranet', 'keywords', 'urls'].forEach(field => {
+        if (!existing.link[field] && value[field]) existing.link[field] = value[field];
+      });
+      existing.imported = true;
+      report.merged.push({ name: value.name, url: value.url, existing: existing.link.name });
+      return;
+    }
+
+    if (sourceCategories && typeof entry.category === 'string' && entry.category) {
+      value.category = entry.category;
+      if (!Object.prototype.hasOwnProperty.call(categories, value.category)
+        && Object.prototype.hasOwnProperty.call(sourceCategories, value.category)
+        && typeof sourceCategories[value.category] === 'string') {
+        categories[value.category] = sourceCategories[value.category];
+        report.categories.push({ key: value.category, name: categories[value.category] });
+      }
+    } else {
+      value.category = resolveImportCategory(entry.group, categories, report.categories);
+    }
+    if (sourceCategories && typeof entry.id === 'string' && LINK_ID_PATTERN.test(entry.id) && !isReservedKey(entry.id) && !usedIds.has(entry.id)) {
+      value.id = entry.id;
+      usedIds.add(entry.id);
+    }
+    links.push(value);
+    byUrl.set(normalizeUrlForCompare(value.url), { link: value, imported: true });
+    report.created.push({ name: value.name, url: value.url, category: value.category });
+  });
+
+  return { data: { ...currentData, links, categories }, report };
+}
+
+// ==========================================
+// 网站图标
+// 缓存：favicon:<站点> = { type, data (base64url), expiresAt } 或 { missing: true, expiresAt }
+// ==========================================
+
+function faviconKey(origin) {
+  return 'favicon:' + origin.replace(/[^0-9a-zA-Z.]/g, '_');
+}
+
+// 辅助函数：带超时的 fetch
+async function fetchWithTimeout(resource, init = {}, timeout = FAVICON_CONFIG.FETCH_TIMEOUT) {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      if (controller) controller.abort();
+      reject(new Error('Request timed out'));
+    }, timeout);
+  });
+  try {
+    return await Promise.race([fetch(resource, { ...init, signal: controller ? controller.signal : undefined }), timeoutPromise]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 辅助函数：从首页 HTML 中找出候选图标地址，按质量排序（大尺寸 / apple-touch-icon 优先）
+function findIconLinks(html, baseUrl) {
+  const found = [];
+  (html.match(/<link\b[^>]*>/gi) || []).forEach(tag => {
+    const rel = getHtmlAttribute(tag, 'rel').toLowerCase().split(/\s+/);
+    const href = getHtmlAttribute(tag, 'href');
+    if (!href || !(rel.includes('icon') || rel.includes('apple-touch-icon') || rel.includes('apple-touch-icon-precomposed'))) return;
+    const type = getHtmlAttribute(tag, 'type').toLowerCase();
+    if (type.includes('svg') || /\.svg(\?|#|$)/i.test(href)) return;
+    let resolved;
+    try { resolved = new URL(href, baseUrl); } catch (_) { return; }
+    if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') return;
+    const sizes = getHtmlAttribute(tag, 'sizes').match(/\d+/g) || [];
+    const size = rel.includes('icon') ? Math.max(0, ...sizes.map(Number)) : 180;
+    found.push({ url: resolved.href, size });
+  });
+  return found.sort((a, b) => b.size - a.size).map(item => item.url);
+}
+
+// 辅助函数：下载单个图标，类型或大小不符合要求时返回 null
+async function fetchIcon(iconUrl) {
+  try {
+    const res = await fetchWithTimeout(iconUrl, { redirect: 'follow' });
+    if (!res.ok) return null;
+    let type = (res.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    if ((!type || type === 'application/octet-stream') && /\.ico(\?|$)/i.test(iconUrl)) type = 'image/x-icon';
+    if (!FAVICON_CONFIG.ALLOWED_TYPES.includes(type)) return null;
+    if (Number(res.headers.get('Content-Length') || 0) > FAVICON_CONFIG.MAX_ICON_SIZE) return null;
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    if (bytes.length === 0 || bytes.length > FAVICON_CONFIG.MAX_ICON_SIZE) return null;
+    return { type, data: base64UrlEncode(bytes) };
+  } catch (_) {
+    return null;
+  }
+}
+
+// 辅助函数：查找站点图标
+async function discoverFavicon(origin) {
+  const candidates = [];
+  try {
+    const res = await fetchWithTimeout(origin + '/', { headers: { 'Accept': 'text/html' }, redirect: 'follow' });
+    if (res.ok && (res.headers.get('Content-Type') || '').includes('html')) {
+      const html = (await res.text()).slice(0, FAVICON_CONFIG.MAX_HTML_SIZE);
+      candidates.push(...findIconLinks(html, res.url || origin + '/'));
+    }
+  } catch (_) { }
+  candidates.push(origin + '/favicon.ico');
+
+  for (const candidate of [...new Set(candidates)]) {
+    const icon = await fetchIcon(candidate);
+    if (icon) return icon;
+  }
+  return null;
+}
+
+// 返回 { type, data } 或 null（未找到），优先读取 KV 缓存
+async function getFavicon(env, origin) {
+  const kv = getKV(env);
+  const key = faviconKey(origin);
+  try {
+    const cached = await kv.get(key);
+    if (cached) {
+      const record = JSON.parse(cached);
+      if (record.expiresAt > Date.now()) return record.missing ? null : record;
+    }
+  } catch (_) { }
+
+  const icon = await discoverFavicon(origin);
+  const record = icon
+    ? { ...icon, expiresAt: Date.now() + FAVICON_CONFIG.CACHE_TTL }
+    : { missing: true, expiresAt: Date.now() + FAVICON_CONFIG.MISS_TTL };
+  try {
+    await kv.put(key, JSON.stringify(record));
+  } catch (e) {
+    // 缓存写入失败不影响本次返回
+    console.error('Favicon cache write error:', e);
+  }
+  return icon;
+}
+
+// ==========================================
+// 自定义图标资源库
+// 索引：assets = [{ id, name, type, size, createdAt, author }]（新到旧）
+// 内容：asset:<id> = { type, data (base64url) }
+// ==========================================
+
+// SVG 中允许保留的元素，其余元素的标签被去掉（内容保留为文本）
+const SVG_ALLOWED_ELEMENTS = [
+  'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'rect', 'text', 'tspan',
+  'defs', 'lineargradient', 'radialgradient', 'stop', 'clippath', 'mask', 'pattern', 'symbol', 'use',
+  'title', 'desc', 'filter', 'fegaussianblur', 'feoffset', 'feblend', 'fecolormatrix', 'feflood', 'fecomposite', 'femerge', 'femergenode'
+];
+
+// 连同内容一起删除的元素（脚本、外部内容、可修改属性的动画等）
+const SVG_REMOVED_ELEMENTS = /<(script|style|foreignObject|iframe|object|embed|audio|video|image|animate|animateMotion|animateTransform|set|a)\b[\s\S]*?(<\/\1\s*>|\/>)/gi;
+
+async function getAssetIndex(env) {
+  try {
+    const v = await getKV(env).get('assets');
+    const list = v ? JSON.parse(v) : [];
+    return Array.isArray(list) ? list : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+async function getAsset(env, id) {
+  try {
+    const v = await getKV(env).get('asset:' + id);
+    return v ? JSON.parse(v) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// 辅助函数：根据文件头判断类型（不信任客户端提供的 Content-Type）
+function detectAssetType(bytes) {
+  const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+  if (bytes.length > 8 && ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+  if (bytes.length > 12 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  const head = new TextDecoder().decode(bytes.slice(0, 4096))
+    .replace(/^\uFEFF/, '')
+    .replace(/<\?xml[\s\S]*?\?>/i, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!DOCTYPE[^>\[]*>/i, '');
+  if (/^\s*<svg[\s>]/i.test(head)) return 'image/svg+xml';
+  return null;
+}
+
+// 辅助函数：清理 SVG，只保留白名单中的元素和安全属性
+// 去掉脚本、事件属性、外部引用和带 url()/javascript 的样式；含实体声明的文件直接拒绝
+function sanitizeSvg(text) {
+  if (/<!ENTITY|<!DOCTYPE[^>]*\[/i.test(text)) throw new Error('SVG must not contain entity declarations');
+  let svg = text
+    .replace(/^\uFEFF/, '')
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!DOCTYPE[^>]*>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+    .replace(SVG_REMOVED_ELEMENTS, '');
+
+  svg = svg.replace(/<(\/?)([A-Za-z][\w:.-]*)([^>]*)>/g, (tag, closing, name, rest) => {
+    if (!SVG_ALLOWED_ELEMENTS.includes(name.toLowerCase())) return '';
+    if (closing) return `</${name}>`;
+    const selfClosing = /\/\s*$/.test(rest);
+    const attrs = [];
+    const attrPattern = /([^\s=\/]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let m;
+    while ((m = attrPattern.exec(rest)) !== null) {
+      const attr = m[1];
+      const value = m[3] !== undefined ? m[3] : m[4];
+      const lower = attr.toLowerCase();
+      if (lower.startsWith('on')) continue;
+      if ((lower === 'href' || lower === 'xlink:href') && !value.trim().startsWith('#')) continue;
+      if (/javascript:|data:|vbscript:/i.test(value)) continue;
+      if (lower === 'style' && /url\s*\(|expression|@import|behavior/i.test(value)) continue;
+      if (/url\s*\(/i.test(value) && !/url\s*\(\s*['"]?#/i.test(value)) continue;
+      attrs.push(`${attr}="${value.replace(/"/g, '&quot;')}"`);
+    }
+    return `<${name}${attrs.length ? ' ' + attrs.join(' ') : ''}${selfClosing ? ' /' : ''}>`;
+  });
+
+  if (!/<svg[\s>]/i.test(svg)) throw new Error('Invalid SVG');
+  return svg.trim();
+}
+
+// 保存上传的图标，内容相同的文件复用同一个资源
+// 返回 { asset, created } 或 { error, status }
+async function storeAsset(env, bytes, name, author) {
+  const type = detectAssetType(bytes);
+  if (!type) return { error: 'Unsupported file type (PNG, SVG and WebP only)', status: 415 };
+
+  let content = bytes;
+  if (type === 'image/svg+xml') {
+    try {
+      content = new TextEncoder().encode(sanitizeSvg(new TextDecoder().decode(bytes)));
+    } catch (e) {
+      return { error: e.message, status: 400 };
+    }
+  }
+
+  const id = 'a' + (await sha256Hex(base64UrlEncode(content))).slice(0, 20);
+  const index = await getAssetIndex(env);
+  const existing = index.find(asset => asset.id === id);
+  if (existing) return { asset: existing, created: false };
+  if (index.length >= ASSET_CONFIG.MAX_ASSETS) {
+    return { error: `At most ${ASSET_CONFIG.MAX_ASSETS} assets are allowed`, status: 409 };
+  }
+
+  const asset = { id, name: name || id, type, size: content.length, createdAt: Date.now(), author };
+  await putWithRetry(env, 'asset:' + id, JSON.stringify({ type, data: base64UrlEncode(content) }));
+  await putWithRetry(env, 'assets', JSON.stringify([asset, ...index]));
+  return { asset, created: true };
+}
+
+async function deleteAsset(env, id) {
+  const kv = getKV(env);
+  const index = await getAssetIndex(env);
+  await putWithRetry(env, 'assets', JSON.stringify(index.filter(asset => asset.id !== id)));
+  try {
+    await kv.delete('asset:' + id);
+  } catch (e) {
+    console.error('Asset delete error:', e);
+  }
+}
+
+// ==========================================
+// 链接健康检查
+// 结果：health = { checkedAt, links: { <链接 id>: { url: {...}, url_intranet: {...} } } }
+// 单个地址：{ url, ok, status, latency, checkedAt, failures, error? }，failures 为连续失败次数
+// ==========================================
+
+async function getHealthResults(env, board) {
+  try {
+    const v = await getKV(env).get(boardKey(board, 'health'));
+    const results = v ? JSON.parse(v) : null;
+    if (results && results.links) return results;
+  } catch (_) { }
+  return { checkedAt: 0, links: {} };
+}
+
+// 探测单个地址：先 HEAD，服务不支持 HEAD 时改用 GET
+async function probeUrl(target) {
+  const started = Date.now();
+  const attempt = method => fetchWithTimeout(target, { method, redirect: 'follow' }, HEALTH_CONFIG.TIMEOUT);
+  try {
+    let res = await attempt('HEAD');
+    if (res.status === 405 || res.status === 501) res = await attempt('GET');
+    // 不需要响应体，尽早释放连接
+    try { if (res.body && typeof res.body.cancel === 'function') await res.body.cancel(); } catch (_) { }
+    const ok = (res.status >= 200 && res.status < 400) || HEALTH_CONFIG.AUTH_STATUSES.includes(res.status);
+    return { ok, status: res.status, latency: Date.now() - started };
+  } catch (e) {
+    return { ok: false, status: 0, latency: Date.now() - started, error: e.message || 'Request failed' };
+  }
+}
+
+// 检查所有链接（或指定 id 的单个链接）的外网和内网地址，保存并返回结果
+// 只探测 http/https 地址；已删除链接的结果会被清理
+async function runHealthChecks(env, onlyId = null, board) {
+  const data = await getLinksFromKV(env, board);
+  const previous = await getHealthResults(env, board);
+  const links = (data.links || []).filter(link => link.id && (!onlyId || link.id === onlyId));
+
+  const tasks = [];
+  links.forEach(link => {
+    ['url', 'url_intranet'].forEach(field => {
+      if (isAllowedUrl(link[field], ['http:', 'https:'])) tasks.push({ id: link.id, field, url: link[field] });
+    });
+  });
+
+  const fresh = {};
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const task = tasks[next++];
+      const result = await probeUrl(task.url);
+      const prev = previous.links[task.id] && previous.links[task.id][task.field];
+      const streak = prev && prev.url === task.url ? prev.failures || 0 : 0;
+      if (!fresh[task.id]) fresh[task.id] = {};
+      fresh[task.id][task.field] = {
+        url: task.url,
+        ...result,
+        checkedAt: Date.now(),
+        failures: result.ok ? 0 : streak + 1
+      };
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(HEALTH_CONFIG.CONCURRENCY, tasks.length) }, worker));
+
+  const results = { checkedAt: onlyId ? previous.checkedAt : Date.now(), links: {} };
+  (data.links || []).forEach(link => {
+    if (!link.id) return;
+    const entry = onlyId && link.id !== onlyId ? previous.links[link.id] : fresh[link.id];
+    if (entry) results.links[link.id] = entry;
+  });
+  await putWithRetry(env, boardKey(board, 'health'), JSON.stringify(results));
+  return results;
+}
+
+// 辅助函数：地址对应的健康状态（up / down），没有结果或地址已修改时返回空字符串
+function healthStatus(entry, target) {
+  if (!entry || !target || entry.url !== target) return '';
+  return entry.ok ? 'up' : 'down';
+}
+
+// ==========================================
+// 点击统计
+// 累计：clicks = { days: [已有明细的日期], links: { <链接 id>: { ext, int, last } } }
+// 按天明细：clicks:<YYYY-MM-DD> = { <链接 id>: { ext, int, ... } }，键为访问环境 key（ext / int 即外网 / 内网），值为该环境下的点击数
+// EdgeKV 没有原子自增，同时点击时可能少记几次，对统计用途可以接受
+// 以链接 id 为键的计数都放在无原型对象中，旧数据里的 __proto__ 等 id 不会读到或改写 Object.prototype
+// ==========================================
+
+// 辅助函数：时间戳对应的日期（按 CLICK_CONFIG.TIMEZONE_OFFSET 划分）
+function clickDay(time = Date.now()) {
+  return new Date(time + CLICK_CONFIG.TIMEZONE_OFFSET * 60000).toISOString().slice(0, 10);
+}
+
+async function getClickTotals(env, board) {
+  try {
+    const v = await getKV(env).get(boardKey(board, 'clicks'));
+    const totals = v ? JSON.parse(v) : null;
+    if (totals && totals.links) return { days: totals.days || [], links: Object.assign(Object.create(null), totals.links) };
+  } catch (_) { }
+  return { days: [], links: Object.create(null) };
+}
+
+async function getClickDay(env, day, board) {
+  try {
+    const v = await getKV(env).get(boardKey(board, 'clicks:' + day));
+    if (v) return Object.assign(Object.create(null), JSON.parse(v));
+  } catch (_) { }
+  return Object.create(null);
+}
+
+// 记录一次点击，mode 为 ext 或 int；超出保留天数的明细随之删除
+async function recordClick(env, id, mode, board) {
+  const now = Date.now();
+  const day = clickDay(now);
+
+  const daily = await getClickDay(env, day, board);
+  const dayEntry = daily[id] || { ext: 0, int: 0 };
+  dayEntry[mode] = (dayEntry[mode] || 0) + 1;
+  daily[id] = dayEntry;
+  await putWithRetry(env, boardKey(board, 'clicks:' + day), JSON.stringify(daily));
+
+  const totals = await getClickTotals(env, board);
+  const entry = totals.links[id] || { ext: 0, int: 0 };
+  entry[mode] = (entry[mode] || 0) + 1;
+  entry.last = now;
+  totals.links[id] = entry;
+  if (!totals.days.includes(day)) {
+    totals.days.push(day);
+    totals.days.sort();
+    const expired = totals.days.splice(0, Math.max(0, totals.days.length - CLICK_CONFIG.RETENTION_DAYS));
+    for (const old of expired) {
+      try { await getKV(env).delete(boardKey(board, 'clicks:' + old)); } catch (_) { }
+    }
+  }
+  await putWithRetry(env, boardKey(board, 'clicks'), JSON.stringify(totals));
+}
+
+// 最近 days 天（含今天）的统计：daily 按日期从早到晚排列，links 为区间内各链接的点击数
+// 辅助函数：把一条按环境计数的记录累加到 target 上，并更新 total
+function addClickCounts(target, counts) {
+  Object.keys(counts).forEach(mode => {
+    if (mode === 'last' || mode === 'total' || typeof counts[mode] !== 'number') return;
+    target[mode] = (target[mode] || 0) + counts[mode];
+    target.total = (target.total || 0) + counts[mode];
+  });
+  return target;
+}
+
+async function getClickStats(env, days, board) {
+  const totals = await getClickTotals(env, board);
+  const today = Date.now();
+  const dates = [];
+  for (let i = days - 1; i >= 0; i--) dates.push(clickDay(today - i * 86400000));
+
+  const daily = [];
+  const links = Object.create(null);
+  for (const date of dates) {
+    const counts = totals.days.includes(date) ? await getClickDay(env, date, board) : Object.create(null);
+    const row = { date, ext: 0, int: 0, total: 0 };
+    Object.keys(counts).forEach(id => {
+      const entry = links[id] || (links[id] = { ext: 0, int: 0, total: 0, last: (totals.links[id] || {}).last || 0 });
+      addClickCounts(row, counts[id]);
+      addClickCounts(entry, counts[id]);
+    });
+    daily.push(row);
+  }
+  return { days, daily, links };
+}
+
+// 辅助函数：图标是否为图片地址（http/https 或站内路径）
+function isImageIcon(icon) {
+  if (typeof icon !== 'string') return false;
+  return isAllowedUrl(icon, SCHEMA_CONFIG.ALLOWED_ICON_SCHEMES) || (icon.startsWith('/') && !icon.startsWith('//'));
+}
+
+// 辅助函数：卡片使用的图片地址：自定义图片图标优先，其次是站点 favicon
+function cardIconSrc(site, board = BOARD_CONFIG.DEFAULT_SLUG) {
+  if (isImageIcon(site.icon)) return site.icon;
+  if (!isAllowedUrl(site.url, ['http:', 'https:'])) return '';
+  const src = '/api/favicon?url=' + encodeURIComponent(new URL(site.url).origin);
+  return board === BOARD_CONFIG.DEFAULT_SLUG ? src : src + '&board=' + encodeURIComponent(board);
+}
+
+// 辅助函数：获取数据（board 缺省为默认看板）
+async function getLinksFromKV(env, board = BOARD_CONFIG.DEFAULT_SLUG) {
+  let dataStr = null;
+  try {
+    const kv = getKV(env);
+    dataStr = await kv.get(boardKey(board, 'data'));
+  } catch (e) {
+    console.error('KV Get Error:', e);
+  }
+
+  // 默认数据结构
+  let defaultData = {
+    links: [
+      { name: "哔哩哔哩", url: "https://www.bilibili.com", icon: "📺", category: "media", description: "二次元弹幕视频网站" },
+      { name: "腾讯视频", url: "https://v.qq.com", icon: "🎬", category: "media", description: "中国领先的在线视频媒体平台", url_intranet: "" },
+      { name: "微信读书", url: "https://weread.qq.com", icon: "📖", category: "books", description: "深度阅读，即刻出发" },
+      { name: "知乎", url: "https://www.zhihu.com", icon: "🧠", category: "books", description: "有问题，就会有答案" },
+      { name: "GitHub", url: "https://github.com", icon: "💻", category: "dev", description: "全球最大的代码托管平台" },
+      { name: "阿里云", url: "https://www.aliyun.com", icon: "☁️", category: "tools", description: "全球领先的云计算及人工智能科技公司" }
+    ],
+    categories: {
+      'media': '🎬 影音媒体',
+      'books': '📚 图书资源',
+      'tools': '🛠️ 常用工具',
+      'dev': '💻 开发资源'
+    }
+  };
+  // 示例链接只用于默认看板，其他看板从空白开始
+  if (board !== BOARD_CONFIG.DEFAULT_SLUG) defaultData = { links: [], categories: {} };
+
+  let data = defaultData;
+  if (dataStr) {
+    // 兼容旧格式（纯数组）
+    try {
+      const parsed = JSON.parse(dataStr);
+      if (Array.isArray(parsed)) {
+        data = { ...defaultData, links: parsed };
+      } else {
+        data = { ...defaultData, ...parsed }; // 合并默认值以防缺少字段
+      }
+    } catch (e) {
+      data = defaultData;
+    }
+  }
+
+  // 为缺少 id 的旧链接补上确定性 id
+  data.links = await assignLinkIds(data.links);
+  return data;
+}
+
+
+// ==========================================
+// 访问环境
+// 规则（全站共用）：network = { environments: [{ key, name, color, cidrs, headers, probeUrl, rewrites }] }
+// 第一个环境 ext（外网）为默认环境，使用链接的 url；int（内网）使用 url_intranet；其他环境使用链接的 urls[key]。
+// 链接没有单独填写某个环境的地址时，按该环境的域名改写规则 rewrites = [{ from, to }] 由外网地址生成，仍没有则使用外网地址
+// 首页按 手动选择 Cookie → 可信请求头 → 客户端 IP 网段 的顺序决定环境，都未命中时为默认环境；
+// 环境配置了 probeUrl 时，处于默认环境的首页还会在浏览器中尝试加载该地址，加载成功则切换到该环境
+// ==========================================
+
+const ENVIRONMENT_KEY_PATTERN = /^[a-z][a-z0-9-]{0,19}$/;
+const ENVIRONMENT_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9!#$%&'*+.^_`|~-]{1,64}$/;
+const REWRITE_HOST_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*(:\d{1,5})?$/i;
+
+// 内置环境：外网、内网分别对应链接原有的 url 与 url_intranet 字段
+const BUILTIN_ENVIRONMENTS = [
+  { key: 'ext', name: '外网', color: '' },
+  { key: 'int', name: '内网', color: '#059669' },
+];
+
+function normalizeEnvironment(environment) {
+  return { key: '', name: '', color: '', cidrs: [], headers: [], probeUrl: '', rewrites: [], ...environment };
+}
+
+async function getNetworkConfig(env) {
+  let stored = null;
+  try {
+    const v = await getKV(env).get('network');
+    if (v) stored = JSON.parse(v);
+  } catch (_) { }
+  if (stored && Array.isArray(stored.environments)) {
+    return { environments: stored.environments.map(normalizeEnvironment) };
+  }
+  // 旧版规则 { cidrs, headers, probeUrl } 即内网环境的识别规则
+  const legacy = stored || {};
+  return {
+    environments: [
+      normalizeEnvironment(BUILTIN_ENVIRONMENTS[0]),
+      normalizeEnvironment({ ...BUILTIN_ENVIRONMENTS[1], cidrs: legacy.cidrs || [], headers: legacy.headers || [], probeUrl: legacy.probeUrl || '' })
+    ]
+  };
+}
+
+// 辅助函数：链接 urls 可使用的环境 key（已配置的、外网 / 内网以外的环境）
+async function getLinkEnvironmentKeys(env) {
+  return (await getNetworkConfig(env)).environments.map(e => e.key).filter(key => key !== 'ext' && key !== 'int');
+}
+
+// 辅助函数：校验访问环境配置，返回规范化后的副本和错误列表
+function validateNetworkConfig(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, errors: [{ path: '', message: 'Must be an object' }] };
+  }
+  if (!Array.isArray(input.environments) || input.environments.length > NETWORK_CONFIG.MAX_ENVIRONMENTS) {
+    return { value: null, errors: [{ path: 'environments', message: `Must be an array of at most ${NETWORK_CONFIG.MAX_ENVIRONMENTS} environments` }] };
+  }
+
+  const environments = input.environments.map((environment, i) => {
+    const result = validateEnvironment(environment, `environments[${i}].`, i === 0);
+    errors.push(...result.errors);
+    return result.value;
+  });
+  const keys = environments.map(e => e.key);
+  if (keys[0] !== 'ext' || !keys.includes('int')) {
+    errors.push({ path: 'environments', message: 'The first environment must be "ext" and "int" must be present' });
+  }
+  keys.forEach((key, i) => {
+    if (key && keys.indexOf(key) !== i) errors.push({ path: `environments[${i}].key`, message: 'Duplicate key' });
+  });
+  return { value: { environments }, errors };
+}
+
+// 辅助函数：校验单个环境；默认环境是兜底，不能有识别规则和改写规则
+function validateEnvironment(input, prefix, isDefault) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ path: prefix + field, message });
+  const value = normalizeEnvironment({});
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    errors.push({ path: prefix.replace(/\.$/, ''), message: 'Must be an object' });
+    return { value, errors };
+  }
+
+  value.key = typeof input.key === 'string' ? input.key.trim() : '';
+  if (!ENVIRONMENT_KEY_PATTERN.test(value.key)) fail('key', 'Must be lowercase letters, digits or "-", starting with a letter');
+  value.name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!value.name || value.name.length > SCHEMA_CONFIG.MAX_NAME_LENGTH) fail('name', `Must be 1-${SCHEMA_CONFIG.MAX_NAME_LENGTH} characters`);
+  value.color = typeof input.color === 'string' ? input.color.trim() : '';
+  if (value.color && !ENVIRONMENT_COLOR_PATTERN.test(value.color)) fail('color', 'Must be a colour such as #059669');
+
+  if (input.cidrs !== undefined) {
+    if (!Array.isArray(input.cidrs) || input.cidrs.length > NETWORK_CONFIG.MAX_RULES) {
+      fail('cidrs', `Must be an array of at most ${NETWORK_CONFIG.MAX_RULES} CIDR ranges`);
+    } else {
+      input.cidrs.forEach((cidr, i) => {
+        if (typeof cidr !== 'string' || !parseCidr(cidr)) fail(`cidrs[${i}]`, 'Must be an IPv4 or IPv6 CIDR range such as 10.0.0.0/8');
+      });
+      value.cidrs = [...new Set(input.cidrs.map(c => String(c).trim()))];
+    }
+  }
+
+  if (input.headers !== undefined) {
+    if (!Array.isArray(input.headers) || input.headers.length > NETWORK_CONFIG.MAX_RULES) {
+      fail('headers', `Must be an array of at most ${NETWORK_CONFIG.MAX_RULES} header rules`);
+    } else {
+      value.headers = input.headers.map((rule, i) => {
+        const name = rule && typeof rule.name === 'string' ? rule.name.trim() : '';
+        const ruleValue = rule && typeof rule.value === 'string' ? rule.value.trim() : '';
+        if (!HEADER_NAME_PATTERN.test(name)) fail(`headers[${i}].name`, 'Must be a valid HTTP header name');
+        if (rule && rule.value !== undefined && (typeof rule.value !== 'string' || ruleValue.length > SCHEMA_CONFIG.MAX_NAME_LENGTH)) {
+          fail(`headers[${i}].value`, `Must be a string of at most ${SCHEMA_CONFIG.MAX_NAME_LENGTH} characters`);
+        }
+        return { name, value: ruleValue };
+      });
+    }
+  }
+
+  if (input.probeUrl !== undefined && input.probeUrl !== '') {
+    if (typeof input.probeUrl !== 'string' || !/^https?:\/\//i.test(input.probeUrl.trim()) || !isAllowedUrl(input.probeUrl.trim())) {
+      fail('probeUrl', 'Must be an http(s) URL');
+    } else {
+      value.probeUrl = input.probeUrl.trim();
+    }
+  }
+
+  if (input.rewrites !== undefined) {
+    if (!Array.isArray(input.rewrites) || input.rewrites.length > NETWORK_CONFIG.MAX_RULES) {
+      fail('rewrites', `Must be an array of at most ${NETWORK_CONFIG.MAX_RULES} rewrite rules`);
+    } else {
+      value.rewrites = input.rewrites.map((rule, i) => {
+        const from = rule && typeof rule.from === 'string' ? rule.from.trim().toLowerCase() : '';
+        const to = rule && typeof rule.to === 'string' ? rule.to.trim().toLowerCase() : '';
+        if (!REWRITE_HOST_PATTERN.test(from) || from.includes(':')) fail(`rewrites[${i}].from`, 'Must be a host name such as example.com');
+        if (!REWRITE_HOST_PATTERN.test(to)) fail(`rewrites[${i}].to`, 'Must be a host name, optionally with a port');
+        return { from, to };
+      });
+    }
+  }
+
+  if (isDefault && (value.cidrs.length || value.headers.length || value.probeUrl || value.rewrites.length)) {
+    fail('key', 'The default environment cannot have detection or rewrite rules');
+  }
+  return { value, errors };
+}
+
+// 辅助函数：解析 IPv4 / IPv6 地址，返回 { bits, value }（value 为 BigInt），无法解析时返回 null
+function parseIp(text) {
+  const ip = String(text || '').trim().replace(/^\[|\]$/g, '').split('%')[0];
+  const v4 = ip.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (v4) {
+    const parts = v4.slice(1).map(Number);
+    if (parts.some(n => n > 255)) return null;
+    return { bits: 32, value: parts.reduce((acc, n) => (acc << 8n) + BigInt(n), 0n) };
+  }
+  // IPv4 映射的 IPv6 地址（::ffff:1.2.3.4）按 IPv4 处理
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return parseIp(mapped[1]);
+
+  const halves = ip.split('::');
+  if (!ip.includes(':') || halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const groups = [...head, ...Array(missing).fill('0'), ...tail];
+  if (groups.some(g => !/^[0-9a-f]{1,4}$/i.test(g))) return null;
+  return { bits: 128, value: groups.reduce((acc, g) => (acc << 16n) + BigInt(parseInt(g, 16)), 0n) };
+}
+
+// 辅助函数：解析 CIDR 网段（不带前缀长度时视为单个地址）
+function parseCidr(text) {
+  const [address, prefixText, extra] = String(text || '').trim().split('/');
+  const ip = parseIp(address);
+  if (!ip || extra !== undefined) return null;
+  if (prefixText === undefined) return { ...ip, prefix: ip.bits };
+  const prefix = Number(prefixText);
+  if (!/^\d{1,3}$/.test(prefixText) || prefix > ip.bits) return null;
+  return { ...ip, prefix };
+}
+
+function ipInCidr(ip, cidr) {
+  if (!ip || !cidr || ip.bits !== cidr.bits) return false;
+  const shift = BigInt(cidr.bits - cidr.prefix);
+  return (ip.value >> shift) === (cidr.value >> shift);
+}
+
+// 是否配置了服务端识别规则；配置后首页内容随访问者网络变化，不能再按网址共享缓存
+function hasNetworkRules(config) {
+  return config.environments.some(e => e.cidrs.length > 0 || e.headers.length > 0);
+}
+
+// 辅助函数：按 key 查找环境，找不到时返回默认环境
+function findEnvironment(config, key) {
+  return config.environments.find(e => e.key === key) || config.environments[0];
+}
+
+// 辅助函数：识别访问者所在的环境，返回 { mode: <环境 key>, source: 'cookie' | 'header' | 'cidr' | 'default' }
+function detectNetwork(request, config, env) {
+  const override = getCookie(request, NETWORK_CONFIG.COOKIE);
+  if (override && config.environments.some(e => e.key === override)) return { mode: override, source: 'cookie' };
+
+  // 默认环境没有识别规则，按配置顺序检查其余环境
+  const candidates = config.environments.slice(1);
+  const byHeader = candidates.find(e => e.headers.some(rule => {
+    const value = request.headers.get(rule.name);
+    return value !== null && (!rule.value || value.trim() === rule.value);
+  }));
+  if (byHeader) return { mode: byHeader.key, source: 'header' };
+
+  const ip = parseIp(getClientIp(request, env));
+  const byCidr = ip && candidates.find(e => e.cidrs.some(cidr => ipInCidr(ip, parseCidr(cidr))));
+  if (byCidr) return { mode: byCidr.key, source: 'cidr' };
+  return { mode: config.environments[0].key, source: 'default' };
+}
+
+// 辅助函数：识别访问环境，返回渲染首页所需的 { mode, source, environments, auto }
+function resolveNetwork(request, config, env) {
+  return {
+    ...detectNetwork(request, config, env),
+    environments: config.environments,
+    auto: hasNetworkRules(config) || config.environments.some(e => e.probeUrl)
+  };
+}
+
+// 辅助函数：按改写规则替换地址中的域名（匹配域名本身及其子域名），没有命中规则时返回空字符串
+function rewriteHost(url, rules) {
+  let parsed;
+  try { parsed = new URL(url); } catch (_) { return ''; }
+  const host = parsed.hostname.toLowerCase();
+  const rule = rules.find(r => host === r.from || host.endsWith('.' + r.from));
+  if (!rule) return '';
+  const target = host.slice(0, host.length - rule.from.length) + rule.to;
+  if (rule.to.includes(':')) parsed.host = target; else parsed.hostname = target;
+  return parsed.toString();
+}
+
+// 辅助函数：链接在指定环境下的地址：单独填写的地址 → 域名改写 → 外网地址
+function environmentUrl(link, environment) {
+  const explicit = environment.key === 'ext' ? link.url
+    : environment.key === 'int' ? link.url_intranet
+      : (link.urls || {})[environment.key];
+  if (isAllowedUrl(explicit)) return explicit;
+  const rewritten = rewriteHost(link.url, environment.rewrites || []);
+  return isAllowedUrl(rewritten) ? rewritten : link.url;
+}
+
+// 辅助函数：环境主题色对应的页面 CSS 变量，前端切换环境时按同样的规则设置
+function environmentTheme(color) {
+  return color ? `--primary-color: ${color}; --sidebar-bg: ${color}0d; --main-bg: linear-gradient(135deg, ${color}14 0%, ${color}33 100%);` : '';
+}
+
+// ==========================================
+// 搜索
+// 首页搜索框按 名称 > 关键词 / 别名 > 分类 > 描述 > 地址 的权重模糊匹配并排序，
+// 含汉字的名称、关键词和分类同时按拼音全拼和首字母匹配（如 “bl”、“bili” 都能找到 哔哩哔哩）。
+// 下面几个函数不依赖模块内的其他变量，首页脚本直接内嵌它们的源码。
+// 网格中没有匹配项时可以交给搜索引擎，输入以快捷前缀开头（如 “g rust”）时使用对应的引擎；
+// 引擎配置保存在数据文档的 search 字段（与 categories 一起），每个看板各自配置
+// ==========================================
+
+// 拼音音节分界表：音节 + 该音节在 zh-Hans-CN 排序规则下的第一个汉字。
+// 按排序规则二分查找，汉字落在哪两个分界字之间就读哪个音节（多音字取排序规则采用的读音）
+const PINYIN_BOUNDARIES = 'a吖ai哎an安ang肮ao凹ba八bai挀ban扳bang邦bao勹bei卑ben奔beng伻bi屄bian边biao灬bie憋bin汃bing冫bo癶bu峬ca嚓cai偲can参cang仓cao撡ce冊cen嵾ceng曽cha叉chai芆chan辿chang伥chao抄che车chen抻cheng阷chi吃chong充chou抽chu出chua歘chuai揣chuan巛chuang刅chui吹chun旾chuo逴ci呲cong匆cou凑cu粗cuan汆cui崔cun邨cuo搓da咑dai呆dan丹dang当dao刀de嘚den扥deng灯di氐dia嗲dian敁diao刁die爹ding丁diu丟dong东dou吺du厾duan耑dui垖dun吨duo多e妸ei诶en奀eng鞥er儿fa发fan帆fang匚fei飞fen分feng丰fo仏fou紑fu夫ga旮gai侅gan甘gang冈gao皋ge戈gei给gen根geng搄gong工gou勾gu估gua瓜guai乖guan关guang光gui归gun丨guo呙ha哈hai咍han佄hang夯hao茠he诃hei黒hen拫heng亨hong叿hou齁hu乎hua花huai怀huan欢huang巟hui灰hun昏huo吙ji丌jia加jian戋jiang江jiao艽jie阶jin巾jing坕jiong冂jiu丩ju凥juan姢jue噘jun军ka咔kai开kan刊kang忼kao尻ke匼ken肎keng劥kong空kou抠ku扝kua夸kuai蒯kuan宽kuang匡kui亏kun坤kuo扩la垃lai来lan兰lang啷lao捞le仂lei勒leng冷li哩lia俩lian奁liang良liao撩lie毟lin拎ling〇liu溜long龙lou瞜lu噜lv驴luan娈lue掠lun抡luo啰ma呣mai埋man姏mang牤mao猫me嚒mei呅men椚meng擝mi咪mian宀miao喵mie乜min民ming名miu谬mo摸mou哞mu拇na拏nai乃nan男nang囔nao孬ne疒nei娞nen恁neng能ng嗯ni妮nian拈niang娘niao鸟nie捏nin囜ning宁niu妞nong农nou槈nu奴nv女nuan渜nue疟nuo郍o喔ou讴pa妑pai拍pan眅pang乓pao抛pei呸pen喷peng匉pi丕pian囨piao剽pie氕pin姘ping乒po钋pou剖pu仆qi七qia掐qian千qiang呛qiao悄qie切qin亲qing靑qiong卭qiu丘qu区quan峑que缺qun夋ran呥rang穣rao娆re热ren人reng扔ri日rong戎rou厹ru邚ruan阮rui汭run闰ruo叒sa仨sai毢san三sang桒sao掻se色sen森seng僧sha杀shai筛shan山shang伤shao弰she奢shei谁shen申sheng升shi尸shou収shu书shua刷shuai衰shuan闩shuang双shui脽shun顺shuo说si厶song忪sou捜su苏suan狻sui夊sun孙suo唆ta他tai囼tan坍tang汤tao夲te忑teng疼ti剔tian天tiao旫tie帖ting厅tong囲tou偷tu凸tuan湍tui推tun吞tuo乇wa屲wai歪wan弯wang尣wei危wen昷weng翁wo挝wu乌xi夕xia虲xian仙xiang乡xiao灱xie些xin心xing星xiong凶xiu休xu吁xuan吅xue削xun坃ya丫yan恹yang央yao幺ye爷yi一yin囙ying应yo哟yong佣you优yu扜yuan囦yue曰yun晕za帀zai災zan兂zang奘zao傮ze则zei贼zen怎zeng増zha扎zhai夈zhan沾zhang张zhao佋zhe蜇zhen贞zheng凧zhi之zhong中zhou州zhu朱zhua抓zhuai跩zhuan专zhuang妆zhui隹zhun宒zhuo拙zi乲zong宗zou邹zu租zuan钻zui嶊zun尊zuo昨';
+
+// 辅助函数：创建拼音转换器 text => { full, initials }（小写，非汉字原样保留）
+// 运行环境没有中文拼音排序规则时返回 null，此时只按原文匹配
+function createPinyinConverter(table) {
+  if (typeof Intl === 'undefined' || !Intl.Collator.supportedLocalesOf(['zh-Hans-CN']).length) return null;
+  const collator = new Intl.Collator('zh-Hans-CN');
+  // 按笔画或码位排序时 八 排在 阿 之前
+  if (collator.compare('阿', '八') >= 0) return null;
+  const syllables = [];
+  const bounds = [];
+  table.replace(/([a-z]+)([^a-z])/g, (_, syllable, ch) => {
+    syllables.push(syllable);
+    bounds.push(ch);
+    return '';
+  });
+  const cache = {};
+  const syllableOf = ch => {
+    if (!/[\u3400-\u9fff]/.test(ch) || collator.compare(ch, bounds[0]) < 0) return '';
+    if (cache[ch] === undefined) {
+      let lo = 0;
+      let hi = bounds.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (collator.compare(bounds[mid], ch) <= 0) lo = mid;
+        else hi = mid - 1;
+      }
+      cache[ch] = syllables[lo];
+    }
+    return cache[ch];
+  };
+  return text => {
+    let full = '';
+    let initials = '';
+    for (const ch of String(text).toLowerCase()) {
+      const syllable = syllableOf(ch);
+      full += syllable || ch;
+      initials += syllable ? syllable[0] : ch;
+    }
+    return { full, initials };
+  };
+}
+
+// 辅助函数：生成链接的搜索字段 [{ text, weight }]
+// entry = { name, keywords, category（分类显示名称）, description, urls: [] }；keywords 以逗号 / 顿号分隔
+function searchFields(entry, pinyin) {
+  const fields = [];
+  const add = (text, weight, withPinyin) => {
+    const value = String(text || '').toLowerCase().trim();
+    if (!value) return;
+    fields.push({ text: value, weight });
+    if (withPinyin && pinyin && /[\u3400-\u9fff]/.test(value)) {
+      const converted = pinyin(value);
+      fields.push({ text: converted.full, weight: weight * 0.9 }, { text: converted.initials, weight: weight * 0.85 });
+    }
+  };
+  add(entry.name, 1, true);
+  String(entry.keywords || '').split(/[,，、;；]/).forEach(keyword => add(keyword, 0.9, true));
+  add(entry.category, 0.6, true);
+  add(entry.description, 0.5, false);
+  (entry.urls || []).forEach(url => add(String(url).replace(/^[a-z][a-z0-9+.-]*:\/\/(www\.)?/i, ''), 0.4, false));
+  return fields;
+}
+
+// 辅助函数：计算查询与搜索字段的匹配分，0 表示不匹配；查询按空白拆分为多个词，每个词都必须命中某个字段
+// 单个词的得分：完全相同 > 前缀 > 词首包含 > 包含 > 按顺序出现的子序列（连续、词首命中加分，跨度越大得分越低）
+function searchScore(query, fields) {
+  const separator = /[\s\-_.\/:?&=#@,，、]/;
+  const score = (term, text) => {
+    if (text === term) return 100;
+    if (text.startsWith(term)) return 90 - Math.min(10, text.length - term.length);
+    const index = text.indexOf(term);
+    if (index > 0) return separator.test(text[index - 1]) ? 75 : 60;
+    if (term.length < 2) return 0;
+    let points = 0;
+    let streak = 0;
+    let last = -1;
+    let first = -1;
+    for (const ch of term) {
+      const next = text.indexOf(ch, last + 1);
+      if (next === -1) return 0;
+      if (first === -1) first = next;
+      streak = next === last + 1 ? streak + 1 : 0;
+      points += 1 + Math.min(streak, 2) + (next === 0 || separator.test(text[next - 1]) ? 2 : 0);
+      last = next;
+    }
+    // 得分过低的子序列多为巧合，不算命中
+    const value = Math.round(points / (term.length * 5) * 50 - (last - first + 1 - term.length));
+    return value >= 10 ? value : 0;
+  };
+  const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  let total = 0;
+  for (const term of terms) {
+    let best = 0;
+    fields.forEach(field => {
+      best = Math.max(best, score(term, field.text) * field.weight);
+    });
+    if (!best) return 0;
+    total += best;
+  }
+  return total;
+}
+
+// 未配置时使用的搜索引擎
+const DEFAULT_SEARCH = {
+  default: 'bing',
+  engines: [
+    { key: 'bing', name: '必应', url: 'https://www.bing.com/search?q=%s' },
+    { key: 'bd', name: '百度', url: 'https://www.baidu.com/s?wd=%s' },
+    { key: 'g', name: 'Google', url: 'https://www.google.com/search?q=%s' },
+    { key: 'gh', name: 'GitHub', url: 'https://github.com/search?q=%s' },
+    { key: 'wiki', name: '维基百科', url: 'https://zh.wikipedia.org/w/index.php?search=%s' }
+  ]
+};
+
+// 辅助函数：读取数据文档中的搜索引擎配置
+function getSearchConfig(data) {
+  return data.search || DEFAULT_SEARCH;
+}
+
+let serverPinyin; // 服务端拼音转换器，首次搜索时创建；运行环境不支持时为 null
+
+// 辅助函数：在服务端按首页搜索框的规则为链接打分，返回按得分从高到低排列的 [{ link, score }]
+function rankLinks(data, query) {
+  if (serverPinyin === undefined) serverPinyin = createPinyinConverter(PINYIN_BOUNDARIES);
+  const categoryNames = data.categories || {};
+  return (data.links || [])
+    .map(link => ({
+      link,
+      score: searchScore(query, searchFields({
+        name: link.name,
+        keywords: link.keywords,
+        category: categoryNames[link.category] || link.category || '其他',
+        description: link.description,
+        urls: [link.url, link.url_intranet, ...Object.values(link.urls || {})].filter(Boolean)
+      }, serverPinyin))
+    }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+// 辅助函数：地址栏搜索的最佳匹配：只有一个结果，或第一名足够明确（见 SEARCH_CONFIG.REDIRECT_SCORE）时返回该链接
+function pickBestMatch(results, query) {
+  if (results.length === 1) return results[0].link;
+  if (!results.length || results[0].score === results[1].score) return null;
+  const terms = query.split(/\s+/).filter(Boolean).length;
+  return results[0].score / terms >= SEARCH_CONFIG.REDIRECT_SCORE ? results[0].link : null;
+}
+
+// 辅助函数：查询以快捷前缀开头（如 “g rust” 或 “!g rust”）时返回对应引擎的搜索地址，否则返回空字符串
+function searchShortcutUrl(search, query) {
+  const match = query.match(/^!?(\S+)\s+(.+)$/);
+  const engine = match && search.engines.find(e => e.key === match[1].toLowerCase());
+  return engine ? engine.url.split(SEARCH_CONFIG.QUERY_PLACEHOLDER).join(encodeURIComponent(match[2].trim())) : '';
+}
+
+// 辅助函数：生成 OpenSearch 描述文件，浏览器据此把看板添加为地址栏搜索引擎
+function renderOpenSearchDescription(baseUrl, title) {
+  const name = title || '我的工作台';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/" xmlns:moz="http://www.mozilla.org/2006/browser/search/">
+  <ShortName>${escapeHtml(name.slice(0, 16))}</ShortName>
+  <Description>${escapeHtml('在' + name + '中搜索链接')}</Description>
+  <InputEncoding>UTF-8</InputEncoding>
+  <Url type="text/html" method="get" template="${escapeHtml(baseUrl)}/search?q={searchTerms}"/>
+  <Url type="application/x-suggestions+json" method="get" template="${escapeHtml(baseUrl)}/suggest?q={searchTerms}"/>
+  <moz:SearchForm>${escapeHtml(baseUrl)}/</moz:SearchForm>
+</OpenSearchDescription>
+`;
+}
+
+// 辅助函数：读取看板数据并渲染主页
+async function renderBoard(env, board, visitor = null, network = { mode: 'ext', environments: BUILTIN_ENVIRONMENTS }) {
+  const data = filterVisibleData(await getLinksFromKV(env, board.slug), visitor);
+  const clicks = data.settings && data.settings.trackClicks ? await getClickTotals(env, board.slug) : undefined;
+  return renderHome(data, await getHealthResults(env, board.slug), clicks, board, network);
+}
+
+// 辅助函数：渲染看板列表页（有多个看板时的首页）
+function renderBoardIndex(boards) {
+  const items = boards.map(b => `
+        <a class="board" href="/b/${encodeURIComponent(b.slug)}">
+            <span class="board-title">${escapeHtml(b.title)}</span>
+            <span class="board-slug">/b/${escapeHtml(b.slug)}</span>
+        </a>`).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>全部看板</title>
+    <style>
+        :root { --primary: #007AFF; --bg: #f5f5f7; --card: #fff; --text: #1d1d1f; }
+        body { font-family: -apple-system, sans-serif; background: var(--bg); color: var(--text); padding: 20px; max-width: 720px; margin: 40px auto; }
+        h1 { margin: 0 0 20px; font-size: 24px; }
+        .boards { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 12px; }
+        .board { background: var(--card); padding: 20px; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.05); text-decoration: none; color: inherit; display: flex; flex-direction: column; gap: 6px; transition: transform 0.2s; }
+        .board:hover { transform: translateY(-2px); }
+        .board-title { font-size: 16px; font-weight: 600; }
+        .board-slug { font-size: 12px; color: #8e8e93; }
+        footer { margin-top: 40px; text-align: center; color: #94a3b8; font-size: 12px; }
+        footer a { color: inherit; }
+    </style>
+</head>
+<body>
+    <h1>🗂️ 全部看板</h1>
+    <div class="boards">${items}
+    </div>
+    <footer>Powered by Aliyun ESA Edge Routine | <a href="/admin">管理后台</a></footer>
+</body>
+</html>
+  `;
+}
+
+// 辅助函数：HTML 转义（防止 XSS）
+function escapeHtml(unsafe) {
+  if (typeof unsafe !== 'string') return '';
+  return unsafe
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+// 辅助函数：渲染主页 (企业工作台风格)
+// searchResults = { query, links } 时渲染地址栏搜索的结果页：搜索框填入查询词，只显示命中的卡片
+function renderHome(data, health = { links: {} }, clicks = { links: {} }, board = { slug: BOARD_CONFIG.DEFAULT_SLUG }, network = { mode: 'ext' }, searchResults = null) {
+  const links = data.links || [];
+  const categoryNames = Object.assign(Object.create(null), data.categories);
+  const settings = data.settings || {};
+  const isDefaultBoard = board.slug === BOARD_CONFIG.DEFAULT_SLUG;
+  // 其他看板未设置站点标题时使用看板名称
+  const title = settings.title || (isDefaultBoard ? '' : board.title);
+  // 开启点击统计时卡片经 /go/:id 跳转计数，并提供“最常用”排序
+  const tracking = !!settings.trackClicks;
+  // 服务端识别出的访问环境，卡片直接渲染为该环境下的地址
+  const environments = network.environments || BUILTIN_ENVIRONMENTS;
+  const currentEnv = environments.find(e => e.key === network.mode) || environments[0];
+  const defaultEnvKey = environments[0].key;
+  const probes = environments.slice(1).filter(e => e.probeUrl).map(e => ({ key: e.key, url: e.probeUrl }));
+  // 搜索引擎：占位文字中提示默认引擎
+  const search = getSearchConfig(data);
+  const defaultEngine = search.engines.find(e => e.key === search.default);
+  // 地址栏搜索 (OpenSearch) 的描述文件、结果页和自动补全都在看板路径下
+  const boardPath = isDefaultBoard ? '' : '/b/' + board.slug;
+  const query = searchResults ? searchResults.query : '';
+
+  // 默认分类
+  const defaultCategory = '其他';
+  // 无原型对象：分类 ID 为 constructor 等名称时不会取到继承的属性
+  const categories = Object.create(null);
+
+  links.forEach(link => {
+    const cat = link.category || defaultCategory;
+    if (!categories[cat]) categories[cat] = [];
+    categories[cat].push(link);
+  });
+
+  const definedKeys = Object.keys(categoryNames);
+  const usedKeys = Object.keys(categories);
+  const extraKeys = usedKeys.filter(k => !definedKeys.includes(k));
+  const order = [...definedKeys, ...extraKeys];
+
+  // 生成左侧侧边栏分类项
+  let sidebarItemsHtml = `<div class="sidebar-item active" data-cat="all" onclick="filterCategory('all')">
+      <span class="icon">💻</span> 全部应用
+      <span class="count">${links.length}</span>
+  </div>`;
+
+  order.forEach((catKey) => {
+    const items = categories[catKey] || [];
+    if (items.length === 0) return;
+    const rawName = categoryNames[catKey] || catKey;
+    const name = escapeHtml(rawName);
+    sidebarItemsHtml += `
+      <div class="sidebar-item" data-cat="${escapeHtml(catKey)}" onclick="filterCategory('${escapeHtml(catKey)}')">
+        <span class="icon">📂</span> ${name}
+        <span class="count">${items.length}</span>
+      </div>
+    `;
+  });
+
+  // 生成移动端横向滚动分类栏 HTML
+  let mobileCatHtml = `<div class="cat-pill active" data-cat="all" onclick="filterCategory('all')">全部</div>`;
+  order.forEach(catKey => {
+    const items = categories[catKey] || [];
+    if (items.length === 0) return;
+    const name = escapeHtml(categoryNames[catKey] || catKey);
+    mobileCatHtml += `<div class="cat-pill" data-cat="${escapeHtml(catKey)}" onclick="filterCategory('${escapeHtml(catKey)}')">${name}</div>`;
+  });
+
+  // 生成右侧所有卡片
+  let cardsHtml = '';
+  // 按照分类顺序排序链接，或者直接全部输出，依靠 JS 过滤
+  // 为了方便，我们这里直接输出所有卡片，带上 data-category 属性
+
+  // 按照分类分组展示顺序来排一下，体验更好
+  order.forEach(catKey => {
+    const items = categories[catKey] || [];
+    items.forEach(site => {
+      cardsHtml += renderCard(site, catKey);
+    });
+  });
+  // 还有那些不在配置分类里的
+  // (Data structure logic ensures all are in categories map)
+
+  function renderCard(site, catKey) {
+    // 随机背景色生成 (基于名字)
+    const colors = ['#3b82f6', '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#ec4899'];
+    const colorIndex = (site.name.charCodeAt(0) || 0) % colors.length;
+    const bgColor = colors[colorIndex];
+
+    const safeName = escapeHtml(site.name);
+    const safeDesc = escapeHtml(site.description || '暂无描述');
+    // 写入时已校验协议，这里再兜底一次，防止校验规则上线前存入的 javascript: 等地址
+    const safeUrl = isAllowedUrl(site.url) ? escapeHtml(site.url) : '#';
+    // 图片图标加载失败时移除，露出下方的 Emoji / 首字母
+    const iconSrc = cardIconSrc(site, board.slug);
+    // 各访问环境下的地址与健康状态，切换环境时由前端脚本替换；健康检查只覆盖外网、内网地址
+    const siteHealth = (site.id && health.links[site.id]) || {};
+    const healthExt = healthStatus(siteHealth.url, site.url);
+    const healthInt = healthStatus(siteHealth.url_intranet, site.url_intranet);
+    const envUrls = {};
+    const envHealth = {};
+    environments.forEach(e => {
+      const envUrl = environmentUrl(site, e);
+      if (!isAllowedUrl(envUrl)) return;
+      envUrls[e.key] = envUrl;
+      envHealth[e.key] = envUrl === site.url ? healthExt : envUrl === site.url_intranet ? healthInt : '';
+    });
+    const currentUrl = envUrls[currentEnv.key] || '';
+    const goUrl = tracking && site.id && LINK_ID_PATTERN.test(site.id) && safeUrl !== '#'
+      ? boardPath + '/go/' + site.id
+      : '';
+    const siteClicks = (site.id && clicks.links[site.id]) || {};
+    const href = goUrl
+      ? goUrl + (currentEnv.key === defaultEnvKey ? '' : '?env=' + encodeURIComponent(currentEnv.key))
+      : escapeHtml(currentUrl || '#');
+
+    return `
+        <a href="${href}" target="_blank" class="app-card"${searchResults && !searchResults.links.includes(site) ? ' style="display: none;"' : ''} title="${escapeHtml(currentEnv.name + '地址: ' + currentUrl)}" 
+           data-category="${escapeHtml(catKey)}" 
+           data-name="${safeName.toLowerCase()}" 
+           data-desc="${escapeHtml((site.description || '').toLowerCase())}"
+           data-keywords="${escapeHtml(site.keywords || '')}"
+           data-catname="${escapeHtml(categoryNames[catKey] || catKey)}"
+           data-urls="${escapeHtml(JSON.stringify(envUrls))}"
+           data-health="${envHealth[currentEnv.key] || ''}"
+           data-healths="${escapeHtml(JSON.stringify(envHealth))}"
+           data-go="${goUrl}"
+           data-clicks="${addClickCounts({ total: 0 }, siteClicks).total}">
+          <span class="status-dot"></span>
+          <div class="app-icon-box" style="background-color: ${bgColor}">
+             ${site.icon && !isImageIcon(site.icon) ? escapeHtml(site.icon) : safeName.slice(0, 1)}
+             ${iconSrc ? `<img class="app-icon-img" src="${escapeHtml(iconSrc)}" alt="" loading="lazy" onerror="this.remove()">` : ''}
+          </div>
+          <div class="app-info">
+             <div class="app-title">${safeName}</div>
+             <div class="app-desc">${safeDesc}</div>
+          </div>
+        </a>
+      `;
+  }
+
+  const today = new Date();
+  const dateStr = today.toLocaleDateString('zh-CN', { year: 'numeric', month: 'long', day: 'numeric', weekday: 'long' });
+
+  // 生成个性化问候语
+  const hour = today.getHours();
+  let greeting = '早上好';
+  let greetingEmoji = '🌅';
+  if (hour >= 12 && hour < 18) {
+    greeting = '下午好';
+    greetingEmoji = '☀️';
+  } else if (hour >= 18) {
+    greeting = '晚上好';
+    greetingEmoji = '🌙';
+  }
+
+  return `
+<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${query ? escapeHtml(`搜索“${query}” - `) : ''}${title ? escapeHtml(title) : '我的工作台 - My Workbench'}</title>
+  <link rel="search" type="application/opensearchdescription+xml" title="${escapeHtml(title || '我的工作台')}" href="${escapeHtml(boardPath)}/opensearch.xml">
+  <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
+  <style>
+    :root {
+      /* 极简现代配色 (Linear/Vercel Style) */
+      --primary-gradient-start: #4f46e5;
+      --primary-gradient-end: #6366f1;
+      --accent-color: #6366f1;
+      
+      --sidebar-bg: rgba(255, 255, 255, 0.6);
+      /* 外网背景：清新的淡蓝/靛青渐变，与内网绿色对应 */
+      --main-bg: linear-gradient(135deg, #e0e7ff 0%, #eff6ff 100%);
+      
+      /* 面板颜色：半透明白，透出背景蓝 */
+      --panel-bg: rgba(255, 255, 255, 0.6);
+      --panel-border: rgba(255, 255, 255, 0.8);
+      
+      --text-primary: #111827;
+      --text-secondary: #6b7280;
+      --primary-color: #4f46e5;
+      --border-color: #e5e7eb;
+      --hover-bg: rgba(0, 0, 0, 0.04);
+      
+      /* 卡片图标渐变 (保持鲜艳) */
+      --gradient-media: linear-gradient(135deg, #f093fb 0%, #f5576c 100%);
+      --gradient-books: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%);
+      --gradient-tools: linear-gradient(135deg, #43e97b 0%, #38f9d7 100%);
+      --gradient-dev: linear-gradient(135deg, #fa709a 0%, #fee140 100%);
+    }
+    
+    * { 
+      margin: 0; 
+      padding: 0; 
+      box-sizing: border-box; 
+    }
+    
+    body {
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      background: var(--main-bg);
+      color: var(--text-primary);
+      height: 100vh;
+      display: flex;
+      overflow: hidden;
+      transition: background 0.5s; /* 延长过渡时间，更加平滑 */
+      position: relative;
+    }
+    
+    /* 背景装饰元素 */
+    body::before {
+      content: '';
+      position: absolute;
+      top: -50%;
+      right: -50%;
+      width: 100%;
+      height: 100%;
+      background: radial-gradient(circle, rgba(99, 102, 241, 0.05) 0%, transparent 60%);
+      pointer-events: none;
+      animation: float 30s ease-in-out infinite;
+    }
+    
+    @keyframes float {
+      0%, 100% { transform: translate(0, 0) rotate(0deg); }
+      50% { transform: translate(-40px, -20px) rotate(10deg); }
+    }
+    
+    /* 访问环境主题：主色、侧栏与背景由环境颜色生成（见 environmentTheme），面板更通透，与背景融合 */
+    body.env-themed {
+       --panel-bg: rgba(255, 255, 255, 0.25);
+       --panel-border: rgba(255, 255, 255, 0.4);
+    }
+    
+    .logo {
+      font-size: 20px;
+      color: #0f172a;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      margin-bottom: 40px;
+    }
+    .sb-section-title {
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+      letter-spacing: 0.05em;
+      color: #94a3b8;
+      margin-bottom: 12px;
+      margin-top: 24px;
+    }
+    .sb-section-title:first-of-type { margin-top: 0; }
+    
+    
+    /* 自定义滚动条 */
+    ::-webkit-scrollbar {
+      width: 8px;
+      height: 8px;
+    }
+    ::-webkit-scrollbar-track {
+      background: transparent;
+    }
+    ::-webkit-scrollbar-thumb {
+      background: rgba(0, 0, 0, 0.1);
+      border-radius: 4px;
+    }
+    ::-webkit-scrollbar-thumb:hover {
+      background: rgba(0, 0, 0, 0.2);
+    }
+    
+    /* 侧边栏 */
+    .sidebar {
+      width: 250px;
+      /* background: transparent; */ /* 让它融入背景 */
+      padding: 32px 20px;
+      overflow-y: auto;
+      flex-shrink: 0;
+      z-index: 10;
+      display: flex;
+      flex-direction: column;
+    }
+    
+    .logo {
+      font-size: 20px;
+      font-weight: 700;
+      color: var(--text-primary);
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      margin-bottom: 40px;
+      padding-left: 12px;
+      opacity: 0.9;
+    }
+    
+    .sb-section-title {
+      font-size: 11px;
+      font-weight: 700;
+      text-transform: uppercase;
+      letter-spacing: 0.08em;
+      color: #9ca3af; /* Cool Gray 400 */
+      margin-bottom: 16px;
+      margin-top: 24px;
+      padding-left: 12px;
+    }
+    .sb-section-title:first-of-type { margin-top: 0; }
+    
+    .sidebar-item {
+      display: flex;
+      align-items: center;
+      padding: 10px 12px;
+      border-radius: 12px;
+      color: var(--text-secondary);
+      font-size: 14px;
+      font-weight: 500;
+      cursor: pointer;
+      transition: all 0.2s ease;
+      margin-bottom: 4px;
+    }
+    
+    /* 移除左侧指示条，改用背景色 */
+    .sidebar-item:hover {
+      background: rgba(0, 0, 0, 0.04);
+      color: var(--text-primary);
+    }
+    
+    /* 激活态设计：极简的灰色背景 + 深色文字 */
+    .sidebar-item.active {
+      background: rgba(0, 0, 0, 0.06);
+      color: var(--text-primary);
+      font-weight: 600;
+    }
+    
+    .sidebar-item .icon {
+      margin-right: 12px;
+      font-size: 18px;
+      width: 24px;
+      text-align: center;
+      opacity: 0.8;
+    }
+    
+    .sidebar-item.active .icon {
+      opacity: 1;
+      transform: scale(1.1);
+    }
+    
+    .sidebar-item .count {
+      margin-left: auto;
+      font-size: 11px;
+      color: #9ca3af;
+      font-weight: 500;
+      opacity: 0;
+      transition: opacity 0.2s;
+    }
+    
+    .sidebar-item:hover .count,
+    .sidebar-item.active .count {
+      opacity: 1;
+    }
+    
+    /* 开关样式 */
+    .net-switch {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        cursor: pointer;
+        padding: 4px 12px;
+        background: #f1f5f9;
+        border-radius: 20px;
+        transition: background 0.3s;
+    }
+    .net-switch:hover { background: #e2e8f0; }
+    .switch-label { font-size: 12px; font-weight: 600; user-select: none; }
+    .env-dot { width: 8px; height: 8px; border-radius: 50%; background: var(--primary-color); }
+    .env-select {
+        border: none;
+        background: transparent;
+        font: inherit;
+        font-size: 12px;
+        font-weight: 600;
+        color: inherit;
+        cursor: pointer;
+        outline: none;
+    }
+    #sortSwitch.active { background: #dbeafe; color: #1d4ed8; }
+
+    .user-avatar {
+      width: 32px;
+      height: 32px;
+      background: #000;
+      color: #fff;
+      border-radius: 50%;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-weight: 600;
+      cursor: pointer;
+    }
+
+    
+    /* 主区域 */
+    .main-content {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      height: 100%;
+      overflow: hidden;
+      position: relative;
+    }
+
+    /* 顶部悬浮功能区 */
+    .top-nav {
+      position: absolute;
+      top: 24px;
+      right: 32px;
+      z-index: 20;
+      display: flex;
+      align-items: center;
+      gap: 20px;
+    }
+
+    /* 应用容器 - 面板式设计 */
+    .apps-container {
+      flex: 1;
+      padding: 0 40px;
+      overflow-y: auto;
+      scroll-behavior: smooth;
+      
+      /* 使用 CSS 变量以支持暗色/内网模式 */
+      background: var(--panel-bg);
+      backdrop-filter: blur(20px);
+      -webkit-backdrop-filter: blur(20px);
+      margin: 20px 30px 30px 0; /* 右下留白 */
+      border-radius: 32px;
+      /* 增强阴影，突显层级 */
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.04);
+      border: 1px solid var(--panel-border);
+      transition: background 0.5s, border-color 0.5s, box-shadow 0.5s; /* 添加过渡动画 */
+    }
+
+    /* 移动端适配 */
+    @media (max-width: 768px) {
+      .apps-container {
+        margin: 0;
+        border-radius: 0;
+        background: transparent;
+        backdrop-filter: none;
+        padding: 20px;
+      }
+      .top-nav {
+         right: 20px;
+         top: 20px;
+      }
+    }
+    
+    /* Hero 区域 */
+    .hero-section {
+      padding: 60px 0 40px; /* 稍微减小 padding 以适应面板 */
+      max-width: 800px;
+      margin: 0 auto;
+      text-align: center;
+      animation: fadeInDown 0.8s ease-out;
+    }
+    
+    .hero-content {
+      margin-bottom: 40px;
+    }
+
+    .page-title {
+      font-size: 32px;
+      font-weight: 800;
+      color: var(--text-primary);
+      margin-bottom: 12px;
+      letter-spacing: -0.02em;
+      background: linear-gradient(135deg, var(--text-primary) 0%, #475569 100%);
+      -webkit-background-clip: text;
+      -webkit-text-fill-color: transparent;
+      background-clip: text;
+    }
+    
+    .page-subtitle {
+      color: var(--text-secondary);
+      font-size: 16px;
+      font-weight: 500;
+    }
+
+    /* 搜索框 */
+    .search-wrapper {
+      position: relative;
+      max-width: 500px;
+      margin: 0 auto;
+    }
+    
+    .search-input {
+      width: 100%;
+      padding: 18px 24px 18px 56px;
+      border: 1px solid rgba(0,0,0,0.05);
+      border-radius: 24px;
+      font-size: 16px;
+      outline: none;
+      transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+      background: white;
+      box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.05), 0 2px 4px -1px rgba(0, 0, 0, 0.03);
+    }
+    
+    .search-input:focus {
+      box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.05), 0 10px 10px -5px rgba(0, 0, 0, 0.02);
+      transform: translateY(-2px);
+    }
+    
+    /* 即将使用的搜索引擎，点击或按 Enter 跳转 */
+    .search-hint {
+      position: absolute;
+      top: 100%;
+      left: 16px;
+      right: 16px;
+      margin-top: 8px;
+      padding: 10px 16px;
+      border-radius: 14px;
+      background: white;
+      color: #475569;
+      font-size: 14px;
+      cursor: pointer;
+      box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.08);
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      z-index: 5;
+    }
+
+    .search-hint strong {
+      color: var(--primary-color);
+    }
+
+    .search-icon {
+      position: absolute;
+      left: 24px;
+      top: 50%;
+      transform: translateY(-50%);
+      color: var(--primary-color);
+      font-size: 20px;
+      opacity: 0.8;
+    }
+
+    /* 卡片网格 */
+    .grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
+      gap: 24px;
+      padding-bottom: 60px;
+      max-width: 1200px;
+      margin: 0 auto;
+      animation: fadeInUp 0.8s ease-out 0.2s both;
+    }
+
+    .app-card {
+      background: white;
+      border: 1px solid rgba(0,0,0,0.02);
+      border-radius: 20px;
+      padding: 24px;
+      display: flex;
+      align-items: center;
+      gap: 20px;
+      text-decoration: none;
+      color: inherit;
+      transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+      position: relative;
+      box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.02), 0 2px 4px -1px rgba(0, 0, 0, 0.02);
+    }
+    
+    /* 健康状态指示点：绿色可用，红色不可用，未检查时不显示 */
+    .status-dot {
+      position: absolute;
+      top: 12px;
+      right: 12px;
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+      display: none;
+    }
+
+    .app-card[data-health="up"] .status-dot {
+      display: block;
+      background: #10b981;
+    }
+
+    .app-card[data-health="down"] .status-dot {
+      display: block;
+      background: #ef4444;
+      box-shadow: 0 0 0 3px rgba(239, 68, 68, 0.2);
+    }
+
+    .app-card:hover {
+      transform: translateY(-4px);
+      box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.05), 0 10px 10px -5px rgba(0, 0, 0, 0.01);
+    }
+    
+    .app-card:active {
+      transform: scale(0.98);
+    }
+
+    /* 键盘选中的搜索结果 */
+    .app-card.selected {
+      box-shadow: 0 0 0 2px var(--primary-color), 0 20px 25px -5px rgba(0, 0, 0, 0.05);
+    }
+
+    .app-icon-box {
+      width: 52px;
+      height: 52px;
+      border-radius: 14px; /* iOS Squircle style */
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-size: 26px;
+      color: white;
+      flex-shrink: 0;
+      box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+      transition: transform 0.3s;
+      position: relative;
+      overflow: hidden;
+    }
+
+    .app-icon-img {
+      position: absolute;
+      inset: 0;
+      width: 100%;
+      height: 100%;
+      padding: 8px;
+      box-sizing: border-box;
+      object-fit: contain;
+      background: white;
+    }
+    
+    .app-card:hover .app-icon-box {
+      transform: scale(1.1) rotate(6deg);
+    }
+      flex-shrink: 0;
+    }
+
+    .app-info {
+      flex: 1;
+      min-width: 0; /* 防止文本溢出 */
+    }
+    .app-title {
+      font-size: 16px;
+      font-weight: 600;
+      color: var(--text-primary);
+      margin-bottom: 4px;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    .app-desc {
+      font-size: 12px;
+      color: var(--text-secondary);
+      line-height: 1.4;
+      display: -webkit-box;
+      -webkit-line-clamp: 2;
+      -webkit-box-orient: vertical;
+      overflow: hidden;
+    }
+
+    /* 移动端横向滚动分类栏 */
+    .mobile-cat-bar {
+      display: none; /* 桌面端隐藏 */
+      flex-wrap: nowrap;
+      overflow-x: auto;
+      gap: 12px;
+      padding: 0 4px 16px 4px; /* 底部留点空间给阴影 */
+      margin-bottom: 8px;
+      margin-top: -10px;
+      -webkit-overflow-scrolling: touch;
+      scrollbar-width: none;
+    }
+    .mobile-cat-bar::-webkit-scrollbar { display: none; }
+
+    .cat-pill {
+      flex: 0 0 auto;
+      padding: 8px 16px;
+      background: rgba(255,255,255,0.8);
+      border: 1px solid rgba(0,0,0,0.05);
+      border-radius: 20px;
+      font-size: 14px;
+      color: var(--text-secondary);
+      font-weight: 500;
+      white-space: nowrap;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.02);
+      transition: all 0.2s;
+      cursor: pointer;
+      user-select: none;
+    }
+    .cat-pill:hover {
+      background: white;
+      transform: translateY(-1px);
+    }
+    .cat-pill.active {
+      background: var(--primary-color);
+      color: white;
+      border-color: transparent;
+      box-shadow: 0 4px 8px rgba(0,0,0,0.15);
+    }
+    .env-themed .cat-pill.active {
+       background: var(--primary-color); /* 环境主题下 primary var 会变 */
+    }
+
+    @media (max-width: 768px) {
+      .sidebar { display: none; } /* 修复：移动端隐藏侧边栏 */
+      .header { padding: 0 16px; }
+      .apps-container { padding: 16px; }
+      .grid { grid-template-columns: 1fr; }
+      
+      /* 移动端分类栏显示 */
+      .mobile-cat-bar { display: flex; }
+    }
+
+
+  </style>
+</head>
+<body${currentEnv.color ? ` class="env-themed" style="${escapeHtml(environmentTheme(currentEnv.color))}"` : ''}>
+
+  <!-- 左侧导航 -->
+  <div class="sidebar">
+    <div class="logo">
+      <span>✨ &nbsp; ${title ? escapeHtml(title) : 'ESA WORKBENCH'}</span>
+    </div>
+
+    <div class="sb-section-title">APPLICATIONS</div>
+    <div id="sidebar-menu">
+      ${sidebarItemsHtml}
+    </div>
+  </div>
+
+  <!-- 主内容 -->
+  <!-- 主内容 -->
+  <div class="main-content">
+    
+    <div class="apps-container">
+      <!-- 顶部功能区 (悬浮) -->
+      <div class="top-nav">
+        ${tracking ? `<div class="net-switch" onclick="toggleSort()" id="sortSwitch">
+            <span class="switch-label" id="sortLabel">默认排序</span>
+        </div>` : ''}
+        ${network.auto ? `<div class="net-switch" onclick="resetNetwork()" id="netAuto" title="清除手动选择，恢复自动识别" style="display: none;">
+            <span class="switch-label">自动</span>
+        </div>` : ''}
+        <div class="net-switch" id="netSwitch" data-probes="${escapeHtml(JSON.stringify(probes))}">
+            <span class="env-dot"></span>
+            <select class="env-select" id="envSelect" onchange="chooseEnvironment(this.value)" title="切换访问环境">
+              ${environments.map(e => `<option value="${escapeHtml(e.key)}" data-color="${escapeHtml(e.color)}"${e.key === currentEnv.key ? ' selected' : ''}>${escapeHtml(e.name)}</option>`).join('')}
+            </select>
+        </div>
+        <div class="user-avatar">AD</div>
+      </div>
+
+      <!-- Hero 区域 -->
+      <div class="hero-section">
+        <div class="hero-content">
+           <h1 class="page-title"><span style="-webkit-text-fill-color: initial;">${greetingEmoji}</span> ${greeting}，欢迎回来！</h1>
+           <div class="page-subtitle">${dateStr}</div>
+        </div>
+        
+        <!-- 搜索框 (居中) -->
+        <div class="search-wrapper" id="searchBox" data-engines="${escapeHtml(JSON.stringify(search.engines))}" data-default="${escapeHtml(search.default)}">
+          <span class="search-icon">🔍</span>
+          <input type="text" class="search-input" id="appSearch" value="${escapeHtml(query)}" placeholder="${escapeHtml(defaultEngine ? `搜索应用，或用${defaultEngine.name}搜索网页（按 / 开始）` : '搜索应用、拼音或关键词（按 / 开始）')}" oninput="filterApps()" onkeydown="searchKeydown(event)">
+          <div class="search-hint" id="searchHint" style="display: none;" onclick="openWebSearch()"></div>
+        </div>
+      </div>
+
+      <!-- 移动端分类栏 -->
+      <div class="mobile-cat-bar" id="mobileCatBar">
+        ${mobileCatHtml}
+      </div>
+
+      <!-- 网格 -->
+      <div class="grid" id="appsGrid">
+        ${cardsHtml}
+      </div>
+
+
+      <footer style="margin-top: 60px; text-align: center; color: #94a3b8; font-size: 12px;">
+         Powered by Aliyun ESA Edge Routine |
+         ${isDefaultBoard ? '' : '<a href="/" style="color: inherit; text-decoration: underline;">全部看板</a> |'}
+         <a href="/admin${isDefaultBoard ? '' : '?board=' + encodeURIComponent(board.slug)}" style="color: inherit; text-decoration: underline;">管理后台</a>
+      </footer>
+    </div>
+  </div>
+
+  <script>
+    function filterCategory(cat) {
+      // 更新 Sidebar 状态
+      document.querySelectorAll('.sidebar-item').forEach(i => {
+        if (i.getAttribute('data-cat') === cat) i.classList.add('active');
+        else i.classList.remove('active');
+      });
+
+      // 更新 Mobile Pills 状态
+      document.querySelectorAll('.cat-pill').forEach(i => {
+        if (i.getAttribute('data-cat') === cat) i.classList.add('active');
+        else i.classList.remove('active');
+      });
+
+      // 过滤内容
+      const cards = document.querySelectorAll('.app-card');
+      cards.forEach(card => {
+        if (cat === 'all' || card.getAttribute('data-category') === cat) {
+          card.style.display = 'flex';
+        } else {
+          card.style.display = 'none';
+        }
+      });
+      
+      // 平滑滚动到顶部 (可选)
+      // window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    // 搜索：匹配规则见服务端的 searchFields / searchScore，含汉字的名称、关键词和分类支持拼音和首字母
+    const pinyin = (${createPinyinConverter})('${PINYIN_BOUNDARIES}');
+    const searchFields = ${searchFields};
+    const searchScore = ${searchScore};
+    let searchIndex = null;
+    let selectedCard = null;
+
+    function getSearchIndex() {
+      if (!searchIndex) {
+        searchIndex = new Map();
+        document.querySelectorAll('.app-card').forEach(card => {
+          searchIndex.set(card, searchFields({
+            name: card.getAttribute('data-name'),
+            keywords: card.getAttribute('data-keywords'),
+            category: card.getAttribute('data-catname'),
+            description: card.getAttribute('data-desc'),
+            urls: Object.values(JSON.parse(card.getAttribute('data-urls') || '{}'))
+          }, pinyin));
+        });
+      }
+      return searchIndex;
+    }
+
+    function filterApps() {
+      const query = document.getElementById('appSearch').value.trim();
+      const grid = document.getElementById('appsGrid');
+
+      // 搜索框清空时恢复排序，并触发当前激活的分类以恢复分类视图
+      if (!query) {
+        selectCard(null);
+        updateSearchHint(0);
+        orderedCards().forEach(card => grid.appendChild(card));
+        document.querySelector('.sidebar-item.active').click();
+        return;
+      }
+
+      // 搜索是全局搜索：命中的卡片按得分从高到低排在前面，同分时保持当前排序
+      const index = getSearchIndex();
+      const results = orderedCards()
+        .map(card => ({ card, score: searchScore(query, index.get(card)) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score);
+      document.querySelectorAll('.app-card').forEach(card => {
+        card.style.display = 'none';
+      });
+      results.forEach(result => {
+        result.card.style.display = 'flex';
+        grid.appendChild(result.card);
+      });
+      selectCard(results.length ? results[0].card : null);
+      updateSearchHint(results.length);
+    }
+
+    // 搜索引擎：以快捷前缀开头（如 “g rust”，也可以写成 “!g rust”）时使用对应的引擎，否则为默认引擎
+    const searchEngines = JSON.parse(document.getElementById('searchBox').getAttribute('data-engines') || '[]');
+    const defaultEngineKey = document.getElementById('searchBox').getAttribute('data-default');
+
+    function webSearchTarget() {
+      const value = document.getElementById('appSearch').value.trim();
+      const match = value.match(/^!?(\\S+)\\s+(.+)$/);
+      const shortcut = match && searchEngines.find(e => e.key === match[1].toLowerCase());
+      if (shortcut) return { engine: shortcut, query: match[2].trim(), shortcut: true };
+      const engine = searchEngines.find(e => e.key === defaultEngineKey);
+      return engine && value ? { engine, query: value, shortcut: false } : null;
+    }
+
+    // 使用快捷前缀，或网格中没有匹配项时，显示即将使用的搜索引擎
+    function updateSearchHint(matches) {
+      const hint = document.getElementById('searchHint');
+      const target = webSearchTarget();
+      if (!target || (!target.shortcut && matches > 0)) {
+        hint.style.display = 'none';
+        return;
+      }
+      hint.textContent = '↵ 使用 ';
+      const name = document.createElement('strong');
+      name.textContent = target.engine.name;
+      hint.appendChild(name);
+      hint.appendChild(document.createTextNode(' 搜索 “' + target.query + '”'));
+      hint.style.display = '';
+    }
+
+    function openWebSearch() {
+      const target = webSearchTarget();
+      if (!target) return false;
+      window.open(target.engine.url.split('%s').join(encodeURIComponent(target.query)), '_blank', 'noopener');
+      return true;
+    }
+
+    function visibleCards() {
+      return Array.from(document.querySelectorAll('#appsGrid .app-card')).filter(card => card.style.display !== 'none');
+    }
+
+    function selectCard(card) {
+      if (selectedCard) selectedCard.classList.remove('selected');
+      selectedCard = card;
+      if (card) card.classList.add('selected');
+    }
+
+    // 搜索框内：↑ ↓ 移动选中项，Enter 打开选中项（默认为排名第一的结果）或搜索网页，Esc 清空搜索
+    function searchKeydown(event) {
+      const input = event.target;
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        const cards = visibleCards();
+        if (!cards.length) return;
+        event.preventDefault();
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        const current = cards.indexOf(selectedCard);
+        const next = current === -1
+          ? cards[step > 0 ? 0 : cards.length - 1]
+          : cards[(current + step + cards.length) % cards.length];
+        selectCard(next);
+        next.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+      } else if (event.key === 'Enter') {
+        // 快捷前缀优先；否则打开选中的卡片，没有匹配项时交给默认搜索引擎
+        const target = webSearchTarget();
+        const card = selectedCard && selectedCard.style.display !== 'none'
+          ? selectedCard
+          : (input.value.trim() ? visibleCards()[0] : null);
+        event.preventDefault();
+        if (target && target.shortcut) openWebSearch();
+        else if (card) card.click();
+        else openWebSearch();
+      } else if (event.key === 'Escape') {
+        input.value = '';
+        filterApps();
+        input.blur();
+      }
+    }
+
+    // 在输入框以外按 / 聚焦搜索框
+    document.addEventListener('keydown', event => {
+      const target = event.target;
+      const typing = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+      if (event.key !== '/' || typing || event.ctrlKey || event.metaKey || event.altKey) return;
+      event.preventDefault();
+      const input = document.getElementById('appSearch');
+      input.focus();
+      input.select();
+    });
+    
+    // 访问环境切换：初始环境由服务端识别并已渲染到页面，手动选择保存在 Cookie 中
+    const NET_COOKIE = '${NETWORK_CONFIG.COOKIE}';
+    const DEFAULT_ENV = '${escapeHtml(defaultEnvKey)}';
+    let currentEnv = '${escapeHtml(currentEnv.key)}';
+    function chooseEnvironment(key) {
+        setEnvironment(key);
+        document.cookie = NET_COOKIE + '=' + encodeURIComponent(key) + '; Path=/; Max-Age=${NETWORK_CONFIG.COOKIE_MAX_AGE}; SameSite=Lax';
+        showNetworkReset();
+    }
+
+    // 清除手动选择，重新加载页面由服务端按网络识别
+    function resetNetwork() {
+        document.cookie = NET_COOKIE + '=; Path=/; Max-Age=0; SameSite=Lax';
+        location.reload();
+    }
+
+    function hasNetworkOverride() {
+        return document.cookie.split(';').some(c => c.trim().startsWith(NET_COOKIE + '='));
+    }
+
+    function showNetworkReset() {
+        const resetEl = document.getElementById('netAuto');
+        if (resetEl) resetEl.style.display = hasNetworkOverride() ? '' : 'none';
+    }
+
+    function setEnvironment(key) {
+        currentEnv = key;
+        const select = document.getElementById('envSelect');
+        select.value = key;
+        applyTheme(select.selectedOptions[0].getAttribute('data-color'));
+        updateCardLinks();
+    }
+
+    // 与服务端 environmentTheme() 相同的规则，由环境颜色生成主色和背景
+    function applyTheme(color) {
+        const style = document.body.style;
+        document.body.classList.toggle('env-themed', !!color);
+        if (color) {
+            style.setProperty('--primary-color', color);
+            style.setProperty('--sidebar-bg', color + '0d');
+            style.setProperty('--main-bg', 'linear-gradient(135deg, ' + color + '14 0%, ' + color + '33 100%)');
+        } else {
+            ['--primary-color', '--sidebar-bg', '--main-bg'].forEach(name => style.removeProperty(name));
+        }
+    }
+
+    showNetworkReset();
+
+    // 环境配置了探测地址且没有手动选择时，默认环境下尝试在浏览器中加载这些地址，先加载成功的环境生效
+    (function probeEnvironments() {
+        const probes = JSON.parse(document.getElementById('netSwitch').getAttribute('data-probes') || '[]');
+        if (currentEnv !== DEFAULT_ENV || hasNetworkOverride()) return;
+        probes.forEach(probe => {
+            const img = new Image();
+            const timer = setTimeout(() => { img.onload = null; }, ${NETWORK_CONFIG.PROBE_TIMEOUT});
+            img.onload = () => {
+                clearTimeout(timer);
+                if (currentEnv === DEFAULT_ENV && !hasNetworkOverride()) setEnvironment(probe.key);
+            };
+            img.onerror = () => clearTimeout(timer);
+            img.src = probe.url + (probe.url.includes('?') ? '&' : '?') + '_=' + Date.now();
+        });
+    })();
+    
+    function updateCardLinks() {
+        const label = document.getElementById('envSelect').selectedOptions[0].textContent;
+        const cards = document.querySelectorAll('.app-card');
+        cards.forEach(card => {
+            const urls = JSON.parse(card.getAttribute('data-urls') || '{}');
+            const healths = JSON.parse(card.getAttribute('data-healths') || '{}');
+            const url = urls[currentEnv] || '';
+            // 开启点击统计时经 /go/:id 跳转，由服务端选择该环境下的地址
+            const goUrl = card.getAttribute('data-go');
+
+            if (goUrl) {
+                card.href = currentEnv === DEFAULT_ENV ? goUrl : goUrl + '?env=' + encodeURIComponent(currentEnv);
+            } else {
+                card.href = url || '#';
+            }
+            card.title = label + '地址: ' + url;
+            card.setAttribute('data-health', healths[currentEnv] || '');
+        });
+    }
+
+    // 排序切换：默认按分类顺序，“最常用”按累计点击数从高到低；选择保存在本地
+    const defaultOrder = Array.from(document.querySelectorAll('.app-card'));
+    let sortByClicks = false;
+    function toggleSort() {
+        sortByClicks = !sortByClicks;
+        localStorage.setItem('esa_nav_sort', sortByClicks ? 'clicks' : '');
+        applySort();
+    }
+
+    // 当前排序方式下的卡片顺序
+    function orderedCards() {
+        return sortByClicks
+            ? defaultOrder.slice().sort((a, b) => Number(b.getAttribute('data-clicks')) - Number(a.getAttribute('data-clicks')))
+            : defaultOrder;
+    }
+
+    function applySort() {
+        const switchEl = document.getElementById('sortSwitch');
+        if (!switchEl) return;
+        switchEl.classList.toggle('active', sortByClicks);
+        document.getElementById('sortLabel').textContent = sortByClicks ? '最常用' : '默认排序';
+        // 搜索中按搜索得分排序，同分时才使用所选的排序方式
+        if (document.getElementById('appSearch').value.trim()) return filterApps();
+        const grid = document.getElementById('appsGrid');
+        orderedCards().forEach(card => grid.appendChild(card));
+    }
+
+    if (document.getElementById('sortSwitch') && localStorage.getItem('esa_nav_sort') === 'clicks') {
+        sortByClicks = true;
+        applySort();
+    }
+
+    // 地址栏搜索的结果页：按得分排序命中的卡片并显示搜索引擎提示
+    if (document.getElementById('appSearch').value.trim()) filterApps();
+  </script>
+</body>
+</html>
+  `;
+}
+
+// ----------------------------------------------------------------
+// 后台管理页面 HTML (内嵌)
+// ----------------------------------------------------------------
+function getAdminHtml(options = {}) {
+  return `
+<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>导航页管理后台</title>
+    <style>
+        :root { --primary: #007AFF; --bg: #f5f5f7; --card: #fff; --text: #1d1d1f; }
+        body { font-family: -apple-system, sans-serif; background: var(--bg); color: var(--text); padding: 20px; max-width: 800px; margin: 0 auto; }
+        .auth-overlay { position: fixed; inset: 0; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 1000; }
+        .auth-box { background: white; padding: 2rem; border-radius: 12px; width: 90%; max-width: 400px; box-shadow: 0 10px 25px rgba(0,0,0,0.1); }
+        .hidden { display: none !important; }
+        .card { background: var(--card); padding: 20px; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.05); margin-bottom: 20px; }
+        h1 { margin: 0 0 20px; font-size: 24px; }
+        .form-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 10px; }
+        .full-width { grid-column: span 2; }
+        input { width: 100%; padding: 10px; border: 1px solid #d2d2d7; border-radius: 8px; font-size: 14px; box-sizing: border-box; }
+        button { background: var(--primary); color: white; border: none; padding: 10px 20px; border-radius: 8px; cursor: pointer; font-weight: 500; }
+        button:hover { opacity: 0.9; }
+        button.danger { background: #ff3b30; }
+        .list-item { background: #fafafa; padding: 12px; border-radius: 8px; margin-bottom: 8px; display: flex; justify-content: space-between; align-items: center; border: 1px solid #eee; }
+        .tag { display: inline-block; background: #e5e5ea; padding: 2px 8px; border-radius: 4px; font-size: 12px; margin-left: 8px; }
+        input.input-error { border-color: #ff3b30; }
+        .status-dot { display: inline-block; width: 8px; height: 8px; border-radius: 50%; margin-left: 6px; vertical-align: middle; }
+        .status-dot.up { background: #34c759; }
+        .status-dot.down { background: #ff3b30; }
+        .icon-grid { display: flex; flex-wrap: wrap; gap: 6px; }
+        .icon-tile { position: relative; width: 40px; height: 40px; border: 1px solid #e5e5ea; border-radius: 8px; display: flex; align-items: center; justify-content: center; font-size: 20px; cursor: pointer; background: #fafafa; }
+        .icon-tile img { width: 28px; height: 28px; object-fit: contain; }
+        .icon-tile .remove { position: absolute; top: -6px; right: -6px; width: 16px; height: 16px; border-radius: 50%; background: #ff3b30; color: white; font-size: 10px; line-height: 16px; text-align: center; display: none; }
+        .icon-tile:hover .remove { display: block; }
+        .field-error { grid-column: 1 / -1; color: #ff3b30; font-size: 12px; margin-top: -6px; }
+        .trend { display: flex; align-items: flex-end; gap: 2px; height: 80px; padding: 4px 0; border-bottom: 1px solid #e5e5ea; }
+        .trend-bar { flex: 1; background: #007AFF; border-radius: 2px 2px 0 0; min-height: 1px; }
+        .trend-bar.empty { background: #e5e5ea; }
+    </style>
+</head>
+<body>
+    <div id="authModal" class="auth-overlay">
+        <div class="auth-box">
+            <h2 style="margin-bottom: 1rem;">管理员登录</h2>
+            <input type="text" id="authUsername" placeholder="用户名 (默认 admin)" style="margin-bottom: 1rem;">
+            <input type="password" id="authPassword" placeholder="输入密码" style="margin-bottom: 1rem;">
+            <input type="text" id="authOtp" class="hidden" inputmode="numeric" autocomplete="one-time-code" placeholder="6 位验证码或恢复码" style="margin-bottom: 1rem;">
+            <div id="authLockMsg" class="hidden" style="color:#ff3b30; font-size:13px; margin-bottom: 1rem;"></div>
+            <button onclick="login()" style="width: 100%;">登录</button>
+            ${options.ssoEnabled ? `
+            <div style="text-align:center; color:#8e8e93; font-size:12px; margin: 1rem 0;">或</div>
+            <button onclick="location.href='/api/oidc/login'" style="width: 100%; background:#1d1d1f;">🔑 使用 SSO 登录</button>
+            <div style="text-align:center; color:#8e8e93; font-size:12px; margin-top: 0.5rem;">密码登录仅作为应急通道保留</div>` : ''}
+        </div>
+    </div>
+
+    <div id="conflictModal" class="auth-overlay hidden">
+        <div class="auth-box" style="max-width: 560px;">
+            <h2 style="margin-bottom: 0.5rem;">⚠️ 保存冲突</h2>
+            <p style="font-size:13px; color:#666; margin-top:0;">在你编辑期间，服务器上的数据已被其他人修改。请选择处理方式：</p>
+            <div id="conflictSummary" style="max-height: 300px; overflow: auto; font-size: 13px; margin-bottom: 1rem;"></div>
+            <button onclick="resolveConflict('merge')" style="width: 100%; margin-bottom: 8px;">合并双方修改后保存</button>
+            <button onclick="resolveConflict('reload')" style="width: 100%; margin-bottom: 8px; background: #8e8e93;">放弃我的修改，重新加载</button>
+            <button onclick="resolveConflict('cancel')" style="width: 100%; background: transparent; color: #007AFF;">暂不处理</button>
+        </div>
+    </div>
+
+    <div class="card">
+        <div style="display:flex; justify-content:space-between; align-items:center;">
+            <h1>🔗 链接管理</h1>
+            <div>
+                <span id="currentUser" style="font-size:12px; color:#8e8e93; margin-right:12px;"></span>
+                <select id="boardSelect" onchange="switchBoard(this.value)" title="切换看板" style="padding: 4px 8px; border-radius: 6px; margin-right: 12px;"></select>
+                <a id="homeLink" href="/" target="_blank" style="color:var(--primary); text-decoration:none;">查看主页 &rarr;</a>
+                <button onclick="logout()" style="background:transparent; color:#8e8e93; padding:0; margin-left:12px;">退出登录</button>
+            </div>
+        </div>
+        
+        <div class="form-grid" data-min-role="editor">
+            <input type="text" id="linkName" placeholder="名称 (如: B站)">
+            <input type="text" id="linkUrl" placeholder="URL (如: https://...)">
+            <select id="iconSelect">
+                <option value="">选择图标</option>
+            </select>
+            <input type="text" id="linkIcon" placeholder="自定义图标 (Emoji 或 URL)">
+            <select id="categorySelect">
+                <option value="">选择分类</option>
+            </select>
+            <input type="text" id="linkCategory" placeholder="自定义分类 ID (如: media)">
+
+            <input type="text" id="linkDesc" class="full-width" placeholder="描述 (简短介绍，支持卡片展示)">
+            <input type="text" id="linkKeywords" class="full-width" placeholder="关键词 / 别名 (选填，逗号分隔，首页搜索时匹配，如: 监控, grafana)">
+            <input type="text" id="linkUrlInt" class="full-width" placeholder="内网 URL (选填，切换到内网时使用；留空则按内网的域名改写规则生成)">
+            <div id="linkEnvUrls" class="full-width form-grid hidden" style="margin: 0;"></div>
+            <select id="linkVisibility" class="full-width">
+                <option value="public">👀 公开 - 所有人可见</option>
+                <option value="authenticated">🔒 登录可见 - 仅登录用户在首页可见</option>
+                <option value="hidden">🙈 隐藏 - 只在后台显示</option>
+            </select>
+        </div>
+        <div id="iconPicker" class="hidden" data-min-role="editor" style="margin-bottom: 10px; border: 1px solid #eee; border-radius: 8px; padding: 10px;">
+            <div style="font-size: 13px; color: #6e6e73; margin-bottom: 6px;">预设图标</div>
+            <div id="presetIconGrid" class="icon-grid"></div>
+            <div style="font-size: 13px; color: #6e6e73; margin: 10px 0 6px;">已上传图标（PNG / SVG / WebP）</div>
+            <div id="assetGrid" class="icon-grid"></div>
+            <input type="file" id="assetFile" accept=".png,.svg,.webp,image/png,image/svg+xml,image/webp" style="margin-top: 10px;" onchange="uploadAsset()">
+        </div>
+        <div data-min-role="editor">
+            <button id="submitBtn" onclick="submitLink()">添加链接</button>
+            <button id="cancelBtn" onclick="cancelEdit()" style="background: #8e8e93; display: none; margin-left: 10px;">取消修改</button>
+            <button onclick="toggleIconPicker()" style="background: transparent; color: #007AFF; margin-left: 10px;">🖼️ 图标库</button>
+        </div>
+    </div>
+
+    <div class="card" data-min-role="editor">
+        <div style="display:flex; justify-content:space-between; align-items:center;">
+            <h1>🏷️ 分类管理</h1>
+            <button onclick="toggleCatManager()" style="background:transparent; color:#007AFF; padding:0;">展开/收起</button>
+        </div>
+        <div id="catManager" class="hidden" style="margin-top: 10px;">
+            <div id="categoryList"></div>
+            <div class="form-grid" style="margin-top: 10px;">
+                <input type="text" id="newCatKey" placeholder="分类 ID (如: mycat)">
+                <input type="text" id="newCatName" placeholder="显示名称 (如: ✨ 我的分类)">
+                <select id="newCatVisibility" class="full-width">
+                    <option value="public">👀 公开 - 所有人可见</option>
+                    <option value="authenticated">🔒 登录可见 - 仅登录用户在首页可见</option>
+                    <option value="hidden">🙈 隐藏 - 整个分类只在后台显示</option>
+                </select>
+            </div>
+            <button onclick="addCategory()">添加/更新分类</button>
+        </div>
+    </div>
+
+    <div class="card" data-min-role="editor">
+        <div style="display:flex; justify-content:space-between; align-items:center;">
+            <h1>🔎 搜索引擎</h1>
+            <button onclick="toggleSearchManager()" style="background:transparent; color:#007AFF; padding:0;">展开/收起</button>
+        </div>
+        <div id="searchManager" class="hidden" style="margin-top: 10px;">
+            <p style="font-size: 12px; color: #8e8e93; margin: 0 0 10px;">首页搜索框没有匹配的链接时使用默认引擎；输入“前缀 + 空格 + 关键词”（如 g rust）时使用对应的引擎。修改后立即保存。</p>
+            <div id="searchEngineList"></div>
+            <div class="form-grid" style="margin-top: 10px;">
+                <input type="text" id="searchKey" placeholder="快捷前缀 (小写字母、数字，如: gh)">
+                <input type="text" id="searchName" placeholder="显示名称 (如: GitHub)">
+                <input type="text" id="searchUrl" class="full-width" placeholder="搜索地址，%s 为关键词 (如: https://github.com/search?q=%s)">
+            </div>
+            <button onclick="saveSearchEngine()">添加/更新搜索引擎</button>
+        </div>
+    </div>
+    
+    <div class="card" data-min-role="viewer">
+         <div style="display:flex; justify-content:space-between; align-items:center;">
+             <h1>🔐 安全设置</h1>
+             <button onclick="togglePwdManager()" style="background:transparent; color:#007AFF; padding:0;">展开/收起</button>
+         </div>
+         <div id="pwdManager" class="hidden" style="margin-top: 10px;">
+            <div data-min-role="admin">
+               <div class="form-grid">
+                  <input type="password" id="newAdminPassword" placeholder="新密码">
+                  <button onclick="changePassword()">修改管理员密码</button>
+               </div>
+               <button class="danger" onclick="logout(true)">注销所有设备</button>
+            </div>
+
+            <div id="totpSection" style="margin-top: 20px; border-top: 1px solid #eee; padding-top: 10px;">
+               <h3 style="margin: 0 0 10px;">📱 两步验证 (TOTP)</h3>
+               <div id="totpStatus" style="font-size:14px; margin-bottom:10px;"></div>
+               <button id="totpSetupBtn" onclick="startTotpSetup()">启用两步验证</button>
+               <button id="totpDisableBtn" class="danger hidden" onclick="disableTotp()">停用两步验证</button>
+               <div id="totpEnroll" class="hidden" style="margin-top:10px;">
+                  <p style="font-size:13px; color:#666;">用认证器 App (Google Authenticator、Microsoft Authenticator 等) 添加以下账号，然后输入 App 中显示的 6 位验证码完成启用：</p>
+                  <div style="font-size:13px; margin-bottom:6px;">密钥：<code id="totpSecret" style="user-select:all;"></code></div>
+                  <div style="font-size:13px; margin-bottom:10px; word-break:break-all;">URI：<a id="totpUri" href="#"></a></div>
+                  <div class="form-grid">
+                     <input type="text" id="totpCode" inputmode="numeric" placeholder="6 位验证码">
+                     <button onclick="enableTotp()">确认启用</button>
+                  </div>
+               </div>
+               <div id="totpRecovery" class="hidden" style="margin-top:10px;">
+                  <p style="font-size:13px; color:#ff3b30;">请妥善保存以下恢复码，每个只能使用一次，且只显示这一次：</p>
+                  <pre id="totpRecoveryCodes" style="background:#fafafa; padding:10px; border-radius:8px; user-select:all;"></pre>
+               </div>
+            </div>
+         </div>
+    </div>
+
+    <div class="card" data-min-role="admin">
+         <div style="display:flex; justify-content:space-between; align-items:center;">
+             <h1>👥 用户管理</h1>
+             <button onclick="toggleUserManager()" style="background:transparent; color:#007AFF; padding:0;">展开/收起</button>
+         </div>
+         <div id="userManager" class="hidden" style="margin-top: 10px;">
+            <div id="userList"></div>
+            <div class="form-grid" style="margin-top: 10px;">
+               <input type="text" id="newUsername" placeholder="用户名 (字母、数字、_.-)">
+               <input type="password" id="newUserPassword" placeholder="密码 (更新已有用户时可留空)">
+               <select id="newUserRole">
+                   <option value="editor">editor - 可修改链接和分类</option>
+                   <option value="viewer">viewer - 只读</option>
+                   <option value="admin">admin - 可管理用户和安全设置</option>
+               </select>
+               <button onclick="saveUser()">添加/更新用户</button>
+            </div>
+         </div>
+    </div>
+
+    <div class="card" data-min-role="admin">
+         <div style="display:flex; justify-content:space-between; align-items:center;">
+             <h1>🗂️ 看板管理</h1>
+             <button onclick="toggleBoardManager()" style="background:transparent; color:#007AFF; padding:0;">展开/收起</button>
+         </div>
+         <div id="boardManager" class="hidden" style="margin-top: 10px;">
+            <div id="boardList"></div>
+            <div class="form-grid" style="margin-top: 10px;">
+               <input type="text" id="newBoardSlug" placeholder="看板 ID (小写字母、数字、-，用于 /b/ID)">
+               <input type="text" id="newBoardTitle" placeholder="看板名称 (如: 运维组)">
+               <input type="text" id="newBoardEditors" class="full-width" placeholder="独立编辑者 (选填，用户名以逗号分隔；留空则所有 editor 可编辑)">
+            </div>
+            <button onclick="saveBoard()">添加/更新看板</button>
+         </div>
+    </div>
+
+    <div class="card" data-min-role="admin">
+         <div style="display:flex; justify-content:space-between; align-items:center;">
+             <h1>🌐 访问环境</h1>
+             <button onclick="toggleNetworkManager()" style="background:transparent; color:#007AFF; padding:0;">展开/收起</button>
+         </div>
+         <div id="networkManager" class="hidden" style="margin-top: 10px;">
+            <p style="font-size: 12px; color: #8e8e93; margin: 0 0 10px;">首页按各环境的识别规则自动选择环境，都未命中时使用外网；访问者手动切换后以其选择为准。</p>
+            <div id="environmentList"></div>
+            <div class="form-grid" style="margin-top: 10px;">
+               <input type="text" id="envKey" placeholder="环境 ID (小写字母、数字、-，如: staging)">
+               <input type="text" id="envName" placeholder="显示名称 (如: 预发)">
+               <input type="text" id="envColor" placeholder="主题色 (选填，如: #f59e0b；留空使用默认配色)">
+               <input type="text" id="envProbeUrl" placeholder="探测地址 (选填，只能在该环境加载的图片 URL，建议 https)">
+               <input type="text" id="envCidrs" class="full-width" placeholder="网段 (逗号分隔，如: 10.0.0.0/8, 192.168.0.0/16, fd00::/8)">
+               <input type="text" id="envHeaders" class="full-width" placeholder="可信请求头 (逗号分隔，如: X-Office-Network: 1；只写名称表示带有该请求头即命中)">
+               <input type="text" id="envRewrites" class="full-width" placeholder="域名改写 (逗号分隔，如: example.com=staging.example.com；链接未填写该环境的地址时由外网地址生成)">
+            </div>
+            <div id="networkDetected" style="font-size: 12px; color: #8e8e93; margin-bottom: 10px;"></div>
+            <button onclick="saveEnvironment()">添加/更新环境</button>
+         </div>
+    </div>
+
+    <div class="card" data-min-role="editor">
+         <div style="display:flex; justify-content:space-between; align-items:center;">
+             <h1>🕘 历史版本</h1>
+             <button onclick="toggleHistory()" style="background:transparent; color:#007AFF; padding:0;">展开/收起</button>
+         </div>
+         <div id="historyManager" class="hidden" style="margin-top: 10px;">
+            <div class="form-grid">
+               <select id="diffFrom"></select>
+               <select id="diffTo"></select>
+            </div>
+            <button onclick="compareRevisions()">对比所选版本</button>
+            <div id="revisionDiff" style="margin-top: 10px;"></div>
+            <div id="revisionList" style="margin-top: 10px;"></div>
+         </div>
+    </div>
+
+    <div class="card" data-min-role="viewer">
+         <div style="display:flex; justify-content:space-between; align-items:center;">
+             <h1>📦 导入 / 导出</h1>
+             <button onclick="toggleTransfer()" style="background:transparent; color:#007AFF; padding:0;">展开/收起</button>
+         </div>
+         <div id="transferManager" class="hidden" style="margin-top: 10px;">
+            <div data-min-role="editor">
+               <div class="form-grid">
+                  <select id="importFormat">
+                     <option value="bookmarks">浏览器书签 (bookmarks.html)</option>
+                     <option value="homer">Homer (config.yml)</option>
+                     <option value="dashy">Dashy (conf.yml)</option>
+                     <option value="heimdall">Heimdall (JSON 导出)</option>
+                     <option value="homarr">Homarr (配置 JSON)</option>
+                     <option value="json">备份 (JSON)</option>
+                     <option value="yaml">备份 (YAML)</option>
+                     <option value="csv">备份 (CSV)</option>
+                  </select>
+                  <input type="file" id="importFile" accept=".html,.htm,.yml,.yaml,.json,.csv">
+               </div>
+               <button onclick="runImport('preview')">预览</button>
+               <button onclick="runImport('merge')" style="margin-left: 10px;">合并导入</button>
+               <button class="danger" onclick="runImport('replace')" style="margin-left: 10px;">替换全部</button>
+               <div id="importReport" style="margin-top: 10px;"></div>
+            </div>
+            <div class="form-grid" style="margin-top: 20px; border-top: 1px solid #eee; padding-top: 10px;">
+               <select id="exportFormat">
+                  <option value="json">备份 (JSON)</option>
+                  <option value="yaml">备份 (YAML)</option>
+                  <option value="csv">备份 (CSV)</option>
+                  <option value="bookmarks">浏览器书签 (bookmarks.html)</option>
+               </select>
+               <button onclick="exportData()">下载导出文件</button>
+            </div>
+         </div>
+    </div>
+
+    <div class="card" data-min-role="viewer">
+         <div style="display:flex; justify-content:space-between; align-items:center;">
+             <h1>📈 访问统计</h1>
+             <button onclick="toggleStats()" style="background:transparent; color:#007AFF; padding:0;">展开/收起</button>
+         </div>
+         <div id="statsManager" class="hidden" style="margin-top: 10px;">
+            <label data-min-role="editor" style="display:block; font-size:14px; margin-bottom:10px;">
+               <input type="checkbox" id="trackClicks" style="width:auto;" onchange="setTracking(this.checked)">
+               启用点击统计（首页卡片经 /go/ 跳转并计数，首页可按“最常用”排序）
+            </label>
+            <select id="statsDays" onchange="fetchStats()" style="padding: 8px; border-radius: 8px;">
+               <option value="7">最近 7 天</option>
+               <option value="30" selected>最近 30 天</option>
+               <option value="90">最近 90 天</option>
+            </select>
+            <div id="statsTrend" class="trend" style="margin-top: 10px;"></div>
+            <div id="statsSummary" style="font-size:12px; color:#8e8e93; margin-top:4px;"></div>
+            <h3 style="margin: 16px 0 8px;">🔥 最常用</h3>
+            <div id="statsTop"></div>
+            <h3 style="margin: 16px 0 8px;">💤 未使用</h3>
+            <div id="statsUnused"></div>
+         </div>
+    </div>
+
+    <div class="card">
+        <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom: 10px;">
+            <span id="healthSummary" style="font-size:12px; color:#8e8e93;"></span>
+            <button id="healthBtn" onclick="checkHealth()" data-min-role="editor" style="background:transparent; color:#007AFF; padding:0;">🩺 检查链接可用性</button>
+        </div>
+        <div id="linkList"></div>
+        <div style="margin-top: 20px; text-align: right;" data-min-role="editor">
+            <button onclick="saveAll()" id="saveBtn">💾 保存所有更改 (链接+分类)</button>
+        </div>
+    </div>
+
+    <script>
+        // 全局错误捕获
+        window.onerror = function(msg, url, line, col, error) {
+           alert("JS Error: " + msg + "\\\\nLine: " + line);
+           return false;
+        };
+        
+ 
+
+        let links = [];
+        let categories = {}; // 新增分类数据
+        let baseData = { links: [], categories: {} }; // 最近一次从服务器加载/保存的数据，用于三方合并
+        let baseEtag = '';
+        let health = { checkedAt: 0, links: {} };
+        let settings = {};
+        let searchConfig = null; // 搜索引擎配置，未保存过时为 null，首页使用默认配置
+        const DEFAULT_SEARCH = ${JSON.stringify(DEFAULT_SEARCH)};
+        let boards = [];
+        let environments = []; // 访问环境 [{ key, name, color, ... }]
+        // 当前看板：地址参数 ?board= 优先，其次是上次选择的看板
+        let board = new URLSearchParams(location.search).get('board') || localStorage.getItem('esa_nav_board') || 'default';
+        let pendingConflict = null;
+        let token = localStorage.getItem('esa_nav_token') || '';
+        let currentUser = null; // { username, role }
+        let editingIndex = null;
+        const ROLE_LEVELS = { viewer: 1, editor: 2, admin: 3 };
+        const presetIcons = ['📺','🎬','📖','🧠','🛠️','💻','📰','🎧','🛒','✈️','📈','🎮','📷','🔍','💬','🌐','📚','🧭','🧩'];
+        const presetCategories = ['media','books','tools','dev','news','music','shopping','travel','finance','games','photo','search','social','learning','work'];
+        function populatePresets() {
+            try {
+                const iconSel = document.getElementById('iconSelect');
+                presetIcons.forEach(i => { const o = document.createElement('option'); o.value = i; o.textContent = i; iconSel.appendChild(o); });
+                const catSel = document.getElementById('categorySelect');
+                presetCategories.forEach(c => { const o = document.createElement('option'); o.value = c; o.textContent = c; catSel.appendChild(o); });
+            } catch(e) { alert('Preset Error: ' + e.message); }
+        }
+        populatePresets();
+
+        // SSO 回调通过 URL 片段带回会话令牌或错误信息，读取后立即从地址栏清除
+        (function consumeSsoFragment() {
+            if (!location.hash) return;
+            const params = new URLSearchParams(location.hash.slice(1));
+            if (params.get('sso_token')) {
+                token = params.get('sso_token');
+                localStorage.setItem('esa_nav_token', token);
+            } else if (params.get('sso_error')) {
+                setTimeout(() => alert('SSO 登录失败: ' + params.get('sso_error')), 0);
+            }
+            history.replaceState(null, '', location.pathname + location.search);
+        })();
+
+        if (token) {
+            validateAndInit();
+        }
+
+        async function login() { 
+            const username = document.getElementById('authUsername').value.trim();
+            const input = document.getElementById('authPassword').value.trim();
+            if (!input) {
+                return alert('请输入密码');
+            }
+            const btn = document.querySelector('button[onclick="login()"]');
+            btn.disabled = true;
+            btn.textContent = '登录中...';
+            
+            try {
+                const res = await fetch('/api/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ username, password: input, otp: document.getElementById('authOtp').value.trim() })
+                });
+                
+                const data = await res.json().catch(() => ({}));
+                if (res.ok) {
+                    // 本地只保存签名会话令牌，不再保存明文密码
+                    token = data.token;
+                    localStorage.setItem('esa_nav_token', token);
+                    document.getElementById('authModal').classList.add('hidden');
+                    applyRole({ username: data.username, role: data.role });
+                    alert('登录成功');
+                    fetchBoards();
+                    fetchNetwork();
+                    fetchLinks();
+                    fetchHealth();
+                } else if (res.status === 429) {
+                    startLockCountdown(getRetryAfter(res, data));
+                } else if (res.status === 401 && data.mfaRequired) {
+                    // 密码正确，等待输入第二因素
+                    const otpEl = document.getElementById('authOtp');
+                    const wasVisible = !otpEl.classList.contains('hidden');
+                    otpEl.classList.remove('hidden');
+                    otpEl.focus();
+                    if (data.retryAfter > 0) startLockCountdown(data.retryAfter);
+                    if (wasVisible) alert('验证码错误');
+                } else if (res.status === 403 && data.setupRequired) {
+                    // 站点尚未初始化，刷新后进入初始化向导
+                    location.reload();
+                } else {
+                    localStorage.removeItem('esa_nav_token');
+                    const wait = getRetryAfter(res, data);
+                    if (wait > 0) startLockCountdown(wait);
+                    alert('用户名或密码错误 (服务器返回状态: ' + res.status + ')');
+                }
+            } catch (e) {
+                alert('网络错误: ' + e.message);
+            } finally {
+                if (!lockTimer) {
+                    btn.disabled = false;
+                    btn.textContent = '登录';
+                }
+            }
+        }
+
+        // 登录锁定倒计时
+        let lockTimer = null;
+        function getRetryAfter(res, data) {
+            const header = parseInt(res.headers.get('Retry-After') || '', 10);
+            if (header > 0) return header;
+            return (data && data.retryAfter) || 0;
+        }
+
+        function startLockCountdown(seconds) {
+            const msgEl = document.getElementById('authLockMsg');
+            const btn = document.querySelector('button[onclick="login()"]');
+            let remaining = seconds;
+            clearInterval(lockTimer);
+
+            const tick = () => {
+                if (remaining <= 0) {
+                    clearInterval(lockTimer);
+                    lockTimer = null;
+                    msgEl.classList.add('hidden');
+                    btn.disabled = false;
+                    btn.textContent = '登录';
+                    return;
+                }
+                const m = Math.floor(remaining / 60);
+                const s = remaining % 60;
+                msgEl.textContent = '尝试次数过多，请在 ' + (m > 0 ? m + ' 分 ' : '') + s + ' 秒后重试';
+                msgEl.classList.remove('hidden');
+                btn.disabled = true;
+                btn.textContent = '已锁定';
+                remaining--;
+            };
+            tick();
+            lockTimer = setInterval(tick, 1000);
+        }
+
+        async function validateAndInit() {
+            try {
+                const res = await fetch('/api/auth', { headers: { 'Authorization': 'Bearer ' + token } });
+                if (res.ok) {
+                    const data = await res.json();
+                    document.getElementById('authModal').classList.add('hidden');
+                    applyRole({ username: data.username, role: data.role });
+                    fetchBoards();
+                    fetchNetwork();
+                    fetchLinks();
+                    fetchHealth();
+                } else if (res.status === 429) {
+                    const data = await res.json().catch(() => ({}));
+                    startLockCountdown(getRetryAfter(res, data));
+                } else {
+                    localStorage.removeItem('esa_nav_token');
+                }
+            } catch (_) {}
+        }
+
+        function hasRole(minRole) {
+            return !!currentUser && (ROLE_LEVELS[currentUser.role] || 0) >= ROLE_LEVELS[minRole];
+        }
+
+        function canEditBoard() {
+            if (hasRole('admin')) return true;
+            const entry = boards.find(b => b.slug === board);
+            const editors = (entry && entry.editors) || [];
+            return editors.length === 0 || editors.includes(currentUser.username);
+        }
+
+        // 数据类接口都带上当前看板
+        function boardUrl(path) {
+            return path + (path.includes('?') ? '&' : '?') + 'board=' + encodeURIComponent(board);
+        }
+
+        async function fetchBoards() {
+            try {
+                const res = await fetch('/api/boards', { headers: { 'Authorization': 'Bearer ' + token } });
+                if (!res.ok) return;
+                boards = await res.json();
+                if (!boards.some(b => b.slug === board)) {
+                    // 看板已被删除，回到默认看板
+                    board = 'default';
+                    localStorage.removeItem('esa_nav_board');
+                    fetchLinks();
+                    fetchHealth();
+                }
+                renderBoardSelect();
+                renderBoardList();
+                applyRole(currentUser);
+            } catch (e) { console.error(e); }
+        }
+
+        function renderBoardSelect() {
+            const select = document.getElementById('boardSelect');
+            select.innerHTML = '';
+            boards.forEach(b => {
+                const option = document.createElement('option');
+                option.value = b.slug;
+                option.textContent = '🗂️ ' + b.title;
+                select.appendChild(option);
+            });
+            select.value = board;
+            // 只有默认看板时不显示切换框
+            select.classList.toggle('hidden', boards.length < 2);
+            document.getElementById('homeLink').href = board === 'default' ? '/' : '/b/' + encodeURIComponent(board);
+        }
+
+        function switchBoard(slug) {
+            const dirty = JSON.stringify({ links, categories }) !== JSON.stringify(baseData);
+            if (dirty && !confirm('当前看板有未保存的修改，切换后将丢失，确定切换吗？')) {
+                document.getElementById('boardSelect').value = board;
+                return;
+            }
+            board = slug;
+            localStorage.setItem('esa_nav_board', slug);
+            cancelEdit();
+            renderBoardSelect();
+            applyRole(currentUser);
+            fetchLinks();
+            fetchHealth();
+            if (!document.getElementById('historyManager').classList.contains('hidden')) fetchRevisions();
+            if (!document.getElementById('statsManager').classList.contains('hidden')) fetchStats();
+        }
+
+        function toggleBoardManager() {
+            document.getElementById('boardManager').classList.toggle('hidden');
+        }
+
+        function renderBoardList() {
+            const el = document.getElementById('boardList');
+            el.innerHTML = '';
+            boards.forEach(b => {
+                const item = document.createElement('div');
+                item.className = 'list-item';
+                item.style.padding = '8px';
+
+                const contentDiv = document.createElement('div');
+                const strong = document.createElement('strong');
+                strong.textContent = b.title;
+                const tag = document.createElement('span');
+                tag.className = 'tag';
+                tag.textContent = b.slug === 'default' ? '/ · 默认' : '/b/' + b.slug;
+                contentDiv.appendChild(strong);
+                contentDiv.appendChild(tag);
+                if (b.editors && b.editors.length) {
+                    const editorsTag = document.createElement('span');
+                    editorsTag.className = 'tag';
+                    editorsTag.textContent = '编辑者: ' + b.editors.join(', ');
+                    contentDiv.appendChild(editorsTag);
+                }
+                item.appendChild(contentDiv);
+
+                const editBtn = document.createElement('button');
+                editBtn.textContent = '编辑';
+                editBtn.style.cssText = 'padding: 4px 8px; font-size: 12px; margin-left: auto; margin-right: 5px; background: #8e8e93;';
+                editBtn.onclick = function() {
+                    document.getElementById('newBoardSlug').value = b.slug;
+                    document.getElementById('newBoardTitle').value = b.title;
+                    document.getElementById('newBoardEditors').value = (b.editors || []).join(', ');
+                };
+                item.appendChild(editBtn);
+
+                if (b.slug !== 'default') {
+                    const btn = document.createElement('button');
+                    btn.className = 'danger';
+                    btn.textContent = '删除';
+                    btn.style.cssText = 'padding: 4px 8px; font-size: 12px;';
+                    btn.onclick = function() { deleteBoard(b); };
+                    item.appendChild(btn);
+                }
+                el.appendChild(item);
+            });
+        }
+
+        async function saveBoard() {
+            const slug = document.getElementById('newBoardSlug').value.trim();
+            const title = document.getElementById('newBoardTitle').value.trim();
+            const editors = document.getElementById('newBoardEditors').value.split(',').map(n => n.trim()).filter(Boolean);
+            if (!slug || !title) return alert('看板 ID 和名称必填');
+            try {
+                const res = await fetch('/api/boards', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token },
+                    body: JSON.stringify({ slug, title, editors })
+                });
+                if (res.ok) {
+                    document.getElementById('newBoardSlug').value = '';
+                    document.getElementById('newBoardTitle').value = '';
+                    document.getElementById('newBoardEditors').value = '';
+                    fetchBoards();
+                } else {
+                    const d = await res.json().catch(() => ({}));
+                    alert('保存失败: ' + (d.error || res.status));
+                }
+            } catch (e) {
+                alert('请求失败');
+            }
+        }
+
+        async function deleteBoard(b) {
+            if (!confirm('确定删除看板“' + b.title + '”吗？其中的链接、历史版本和统计数据都会被删除，且无法恢复。')) return;
+            try {
+                const res = await fetch('/api/boards/' + encodeURIComponent(b.slug), {
+                    method: 'DELETE',
+                    headers: { 'Authorization': 'Bearer ' + token }
+                });
+                if (res.ok) {
+                    fetchBoards();
+                } else {
+                    const d = await res.json().catch(() => ({}));
+                    alert('删除失败: ' + (d.error || res.status));
+                }
+            } catch (e) {
+                alert('请求失败');
+            }
+        }
+
+        // 按角色显示/隐藏功能区
+        function applyRole(user) {
+            currentUser = user;
+            document.getElementById('currentUser').textContent = user.username + ' (' + user.role + ')';
+            document.querySelectorAll('[data-min-role]').forEach(el => {
+                const minRole = el.getAttribute('data-min-role');
+                // 看板设置了独立编辑者时，不在名单内的 editor 只能查看
+                el.classList.toggle('hidden', !hasRole(minRole) || (minRole === 'editor' && !canEditBoard()));
+            });
+            if (hasRole('admin')) fetchUsers();
+            if (!user.username.startsWith('sso:')) {
+                fetchTotpStatus();
+            } else {
+                document.getElementById('totpSection').classList.add('hidden');
+            }
+        }
+
+        async function fetchTotpStatus() {
+            try {
+                const res = await fetch('/api/2fa', { headers: { 'Authorization': 'Bearer ' + token } });
+                if (!res.ok) return;
+                const data = await res.json();
+                document.getElementById('totpStatus').textContent = data.enabled
+                    ? '✅ 已启用，剩余恢复码 ' + data.recoveryCodesRemaining + ' 个'
+                    : '未启用';
+                document.getElementById('totpSetupBtn').classList.toggle('hidden', data.enabled);
+                document.getElementById('totpDisableBtn').classList.toggle('hidden', !data.enabled);
+            } catch (e) { console.error(e); }
+        }
+
+        async function startTotpSetup() {
+            try {
+                const res = await fetch('/api/2fa/setup', { method: 'POST', headers: { 'Authorization': 'Bearer ' + token } });
+                const data = await res.json().catch(() => ({}));
+                if (!res.ok) return alert('操作失败: ' + (data.error || res.status));
+                document.getElementById('totpSecret').textContent = data.secret;
+                const uriEl = document.getElementById('totpUri');
+                uriEl.textContent = data.otpauthUri;
+                uriEl.href = data.otpauthUri;
+                document.getElementById('totpEnroll').classList.remove('hidden');
+                document.getElementById('totpRecovery').classList.add('hidden');
+            } catch (e) {
+                alert('请求失败');
+            }
+        }
+
+        async function enableTotp() {
+            const code = document.getElementById('totpCode').value.trim();
+            if (!code) return alert('请输入验证码');
+            try {
+                const res = await fetch('/api/2fa/enable', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token },
+                    body: JSON.stringify({ code })
+                });
+                const data = await res.json().catch(() => ({}));
+                if (!res.ok) return alert('启用失败: ' + (data.error || res.status));
+                // 服务器换发了已通过第二因素的会话
+                token = data.token;
+                localStorage.setItem('esa_nav_token', token);
+                document.getElementById('totpCode').value = '';
+                document.getElementById('totpEnroll').classList.add('hidden');
+                document.getElementById('totpRecoveryCodes').textContent = data.recoveryCodes.join('\\n');
+                document.getElementById('totpRecovery').classList.remove('hidden');
+                fetchTotpStatus();
+            } catch (e) {
+                alert('请求失败');
+            }
+        }
+
+        async function disableTotp() {
+            const code = prompt('请输入 6 位验证码或恢复码以停用两步验证');
+            if (!code) return;
+            try {
+                const res = await fetch('/api/2fa/disable', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token },
+                    body: JSON.stringify({ code: code.trim() })
+                });
+                const data = await res.json().catch(() => ({}));
+                if (!res.ok) return alert('停用失败: ' + (data.error || res.status));
+                fetchTotpStatus();
+            } catch (e) {
+                alert('请求失败');
+            }
+        }
+
+        async function fetchHealth() {
+            try {
+                const res = await fetch(boardUrl('/api/health'), { headers: { 'Authorization': 'Bearer ' + token } });
+                if (res.ok) {
+                    health = await res.json();
+                    renderList();
+                }
+            } catch (e) { console.error(e); }
+        }
+
+        async function checkHealth() {
+            const btn = document.getElementById('healthBtn');
+            btn.disabled = true;
+            btn.textContent = '检查中...';
+            try {
+                const res = await fetch(boardUrl('/api/health/check'), {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token },
+                    body: '{}'
+                });
+                if (!res.ok) {
+                    const d = await res.json().catch(() => ({}));
+                    return alert('检查失败: ' + (d.error || res.status));
+                }
+                health = await res.json();
+                renderList();
+            } catch (e) {
+                alert('请求失败');
+            } finally {
+                btn.disabled = false;
+                btn.textContent = '🩺 检查链接可用性';
+            }
+        }
+
+        // 健康状态指示点，地址已修改（与检查时不同）时不显示
+        function healthDot(entry, url) {
+            if (!entry || !url || entry.url !== url) return null;
+            const dot = document.createElement('span');
+            dot.className = 'status-dot ' + (entry.ok ? 'up' : 'down');
+            dot.title = (entry.status ? 'HTTP ' + entry.status : (entry.error || '无法连接'))
+                + ' · ' + entry.latency + ' ms · 检查于 ' + formatTime(entry.checkedAt)
+                + (entry.failures ? ' · 连续失败 ' + entry.failures + ' 次' : '');
+            return dot;
+        }
+
+        async function fetchLinks() {
+            try {
+                const res = await fetch(boardUrl('/api/links'), { headers: { 'Authorization': 'Bearer ' + token } });
+                if (res.ok) {
+                    const data = await res.json();
+                    // 兼容旧格式（纯数组）或新格式（对象）
+                    if (Array.isArray(data)) {
+                        links = data;
+                        categories = {
+                            'media': '🎬 影音媒体',
+                            'books': '📚 图书资源',
+                            'tools': '🛠️ 常用工具',
+                            'dev': '💻 开发资源'
+                        };
+                    } else {
+                        links = data.links || [];
+                        categories = data.categories || {};
+                        settings = data.settings || {};
+                        searchConfig = data.search || null;
+                    }
+                    document.getElementById('trackClicks').checked = !!settings.trackClicks;
+                    renderSearchEngines();
+                    baseEtag = res.headers.get('ETag') || '';
+                    baseData = JSON.parse(JSON.stringify({ links, categories }));
+                    renderList();
+                    renderCategoryList();
+                }
+            } catch (e) { console.error(e); }
+        }
+
+        async function logout(all) {
+            if (all && !confirm('确定要注销所有设备上的登录吗？')) return;
+            try {
+                await fetch('/api/logout', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token },
+                    body: JSON.stringify({ all: !!all })
+                });
+            } catch (_) {}
+            token = '';
+            localStorage.removeItem('esa_nav_token');
+            location.reload();
+        }
+
+        function toggleCatManager() {
+            document.getElementById('catManager').classList.toggle('hidden');
+        }
+
+        function toggleSearchManager() {
+            document.getElementById('searchManager').classList.toggle('hidden');
+        }
+        
+        function togglePwdManager() {
+            document.getElementById('pwdManager').classList.toggle('hidden');
+        }
+
+        function toggleHistory() {
+            const el = document.getElementById('historyManager');
+            el.classList.toggle('hidden');
+            if (!el.classList.contains('hidden')) fetchRevisions();
+        }
+
+        let revisions = [];
+        async function fetchRevisions() {
+            try {
+                const res = await fetch(boardUrl('/api/revisions'), { headers: { 'Authorization': 'Bearer ' + token } });
+                if (!res.ok) return;
+                revisions = await res.json();
+                renderRevisionList();
+            } catch (e) { console.error(e); }
+        }
 
-    /* 搜索框 */
-    .search-wrapper {
-      position: relative;
-      max-width: 500px;
-      margin: 0 auto;
-    }
-    
-    .search-input {
-      width: 100%;
-      padding: 18px 24px 18px 56px;
-      border: 1px solid rgba(0,0,0,0.05);
-      border-radius: 24px;
-      font-size: 16px;
-      outline: none;
-      transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-      background: white;
-      box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.05), 0 2px 4px -1px rgba(0, 0, 0, 0.03);
-    }
-    
-    .search-input:focus {
-      box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.05), 0 10px 10px -5px rgba(0, 0, 0, 0.02);
-      transform: translateY(-2px);
-    }
-    
-    .search-icon {
-      position: absolute;
-      left: 24px;
-      top: 50%;
-      transform: translateY(-50%);
-      color: var(--primary-color);
-      font-size: 20px;
-      opacity: 0.8;
-    }
+        function formatTime(ts) {
+            return new Date(ts).toLocaleString('zh-CN', { hour12: false });
+        }
 
-    /* 卡片网格 */
-    .grid {
-      display: grid;
-      grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
-      gap: 24px;
-      padding-bottom: 60px;
-      max-width: 1200px;
-      margin: 0 auto;
-      animation: fadeInUp 0.8s ease-out 0.2s both;
-    }
+        function renderRevisionList() {
+            const fromSel = document.getElementById('diffFrom');
+            const toSel = document.getElementById('diffTo');
+            fromSel.innerHTML = '';
+            toSel.innerHTML = '<option value="">当前数据</option>';
+            revisions.forEach((rev, i) => {
+                const label = formatTime(rev.createdAt) + ' · ' + rev.author;
+                const o1 = document.createElement('option');
+                o1.value = rev.id; o1.textContent = label;
+                if (i === 1 || (revisions.length === 1 && i === 0)) o1.selected = true;
+                fromSel.appendChild(o1);
+                const o2 = document.createElement('option');
+                o2.value = rev.id; o2.textContent = label;
+                toSel.appendChild(o2);
+            });
 
-    .app-card {
-      background: white;
-      border: 1px solid rgba(0,0,0,0.02);
-      border-radius: 20px;
-      padding: 24px;
-      display: flex;
-      align-items: center;
-      gap: 20px;
-      text-decoration: none;
-      color: inherit;
-      transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-      position: relative;
-      box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.02), 0 2px 4px -1px rgba(0, 0, 0, 0.02);
-    }
-    
-    .app-card:hover {
-      transform: translateY(-4px);
-      box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.05), 0 10px 10px -5px rgba(0, 0, 0, 0.01);
-    }
-    
-    .app-card:active {
-      transform: scale(0.98);
-    }
+            const el = document.getElementById('revisionList');
+            el.innerHTML = '';
+            if (revisions.length === 0) {
+                el.textContent = '暂无历史版本，保存一次后开始记录。';
+                return;
+            }
+            revisions.forEach((rev, i) => {
+                const item = document.createElement('div');
+                item.className = 'list-item';
+                item.style.padding = '8px';
 
-    .app-icon-box {
-      width: 52px;
-      height: 52px;
-      border-radius: 14px; /* iOS Squircle style */
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      font-size: 26px;
-      color: white;
-      flex-shrink: 0;
-      box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-      transition: transform 0.3s;
-    }
-    
-    .app-card:hover .app-icon-box {
-      transform: scale(1.1) rotate(6deg);
-    }
-      flex-shrink: 0;
-    }
+                const left = document.createElement('div');
+                const time = document.createElement('strong');
+                time.textContent = formatTime(rev.createdAt);
+                const author = document.createElement('span');
+                author.className = 'tag';
+                author.textContent = rev.author;
+                const summary = document.createElement('div');
+                summary.style.cssText = 'font-size:12px; color:#666; margin-top:2px;';
+                summary.textContent = rev.summary + (i === 0 ? ' (当前)' : '');
+                left.appendChild(time);
+                left.appendChild(author);
+                left.appendChild(summary);
+                item.appendChild(left);
 
-    .app-info {
-      flex: 1;
-      min-width: 0; /* 防止文本溢出 */
-    }
-    .app-title {
-      font-size: 16px;
-      font-weight: 600;
-      color: var(--text-primary);
-      margin-bottom: 4px;
-      white-space: nowrap;
-      overflow: hidden;
-      text-overflow: ellipsis;
-    }
-    .app-desc {
-      font-size: 12px;
-      color: var(--text-secondary);
-      line-height: 1.4;
-      display: -webkit-box;
-      -webkit-line-clamp: 2;
-      -webkit-box-orient: vertical;
-      overflow: hidden;
-    }
+                if (i > 0) {
+                    const right = document.createElement('div');
+                    const diffBtn = document.createElement('button');
+                    diffBtn.textContent = '与当前对比';
+                    diffBtn.style.cssText = 'padding: 4px 8px; font-size: 12px; margin-right: 5px; background: #8e8e93;';
+                    diffBtn.onclick = function() { showDiff(rev.id, ''); };
+                    const restoreBtn = document.createElement('button');
+                    restoreBtn.className = 'danger';
+                    restoreBtn.textContent = '回滚';
+                    restoreBtn.style.cssText = 'padding: 4px 8px; font-size: 12px;';
+                    restoreBtn.onclick = function() { restoreRevision(rev); };
+                    right.appendChild(diffBtn);
+                    right.appendChild(restoreBtn);
+                    item.appendChild(right);
+                }
+                el.appendChild(item);
+            });
+        }
 
-    /* 移动端横向滚动分类栏 */
-    .mobile-cat-bar {
-      display: none; /* 桌面端隐藏 */
-      flex-wrap: nowrap;
-      overflow-x: auto;
-      gap: 12px;
-      padding: 0 4px 16px 4px; /* 底部留点空间给阴影 */
-      margin-bottom: 8px;
-      margin-top: -10px;
-      -webkit-overflow-scrolling: touch;
-      scrollbar-width: none;
-    }
-    .mobile-cat-bar::-webkit-scrollbar { display: none; }
+        function compareRevisions() {
+            showDiff(document.getElementById('diffFrom').value, document.getElementById('diffTo').value);
+        }
 
-    .cat-pill {
-      flex: 0 0 auto;
-      padding: 8px 16px;
-      background: rgba(255,255,255,0.8);
-      border: 1px solid rgba(0,0,0,0.05);
-      border-radius: 20px;
-      font-size: 14px;
-      color: var(--text-secondary);
-      font-weight: 500;
-      white-space: nowrap;
-      box-shadow: 0 2px 4px rgba(0,0,0,0.02);
-      transition: all 0.2s;
-      cursor: pointer;
-      user-select: none;
-    }
-    .cat-pill:hover {
-      background: white;
-      transform: translateY(-1px);
-    }
-    .cat-pill.active {
-      background: var(--primary-color);
-      color: white;
-      border-color: transparent;
-      box-shadow: 0 4px 8px rgba(0,0,0,0.15);
-    }
-    .intranet-mode .cat-pill.active {
-       background: var(--primary-color); /* 内网模式下 primary var 会变 */
-    }
+        async function showDiff(from, to) {
+            const el = document.getElementById('revisionDiff');
+            el.textContent = '加载中...';
+            try {
+                const qs = new URLSearchParams({ from });
+                if (to) qs.set('to', to);
+                const res = await fetch(boardUrl('/api/revisions/diff?' + qs.toString()), { headers: { 'Authorization': 'Bearer ' + token } });
+                const diff = await res.json();
+                if (!res.ok) { el.textContent = '对比失败: ' + (diff.error || res.status); return; }
+                renderDiff(el, diff);
+            } catch (e) {
+                el.textContent = '请求失败';
+            }
+        }
 
-    @media (max-width: 768px) {
-      .sidebar { display: none; } /* 修复：移动端隐藏侧边栏 */
-      .header { padding: 0 16px; }
-      .apps-container { padding: 16px; }
-      .grid { grid-template-columns: 1fr; }
-      
-      /* 移动端分类栏显示 */
-      .mobile-cat-bar { display: flex; }
-    }
+        function renderDiff(el, diff) {
+            el.innerHTML = '';
+            const line = (color, text) => {
+                const d = document.createElement('div');
+                d.style.cssText = 'font-size:13px; padding:2px 0; color:' + color + ';';
+                d.textContent = text;
+                el.appendChild(d);
+            };
+            diff.links.added.forEach(l => line('#16a34a', '+ 链接 ' + l.name + ' (' + l.url + ')'));
+            diff.links.removed.forEach(l => line('#ff3b30', '- 链接 ' + l.name + ' (' + l.url + ')'));
+            diff.links.changed.forEach(c => {
+                Object.keys(c.fields).forEach(f => {
+                    line('#b45309', '~ 链接 ' + c.name + ' · ' + f + ': ' + JSON.stringify(c.fields[f].from) + ' → ' + JSON.stringify(c.fields[f].to));
+                });
+            });
+            diff.categories.added.forEach(c => line('#16a34a', '+ 分类 ' + c.key + ' (' + c.name + ')'));
+            diff.categories.removed.forEach(c => line('#ff3b30', '- 分类 ' + c.key + ' (' + c.name + ')'));
+            diff.categories.changed.forEach(c => line('#b45309', '~ 分类 ' + c.key + ': ' + c.from + ' → ' + c.to));
+            if (!el.childNodes.length) line('#8e8e93', '两个版本的链接和分类完全相同');
+        }
 
+        async function restoreRevision(rev) {
+            if (!confirm('确定回滚到 ' + formatTime(rev.createdAt) + ' 的版本吗？当前未保存的修改会丢失。')) return;
+            try {
+                const res = await fetch(boardUrl('/api/revisions/' + encodeURIComponent(rev.id) + '/restore'), {
+                    method: 'POST',
+                    headers: { 'Authorization': 'Bearer ' + token }
+                });
+                if (res.ok) {
+                    alert('已回滚');
+                    fetchLinks();
+                    fetchRevisions();
+                } else {
+                    const d = await res.json().catch(() => ({}));
+                    alert('回滚失败: ' + (d.error || res.status));
+                }
+            } catch (e) {
+                alert('请求失败');
+            }
+        }
 
-  </style>
-</head>
-<body>
+        function toggleStats() {
+            const el = document.getElementById('statsManager');
+            el.classList.toggle('hidden');
+            if (!el.classList.contains('hidden')) fetchStats();
+        }
 
-  <!-- 左侧导航 -->
-  <div class="sidebar">
-    <div class="logo">
-      <span>✨ &nbsp; ESA WORKBENCH</span>
-    </div>
+        async function fetchStats() {
+            const days = document.getElementById('statsDays').value;
+            try {
+                const res = await fetch(boardUrl('/api/stats?days=' + days), { headers: { 'Authorization': 'Bearer ' + token } });
+                const data = await res.json().catch(() => ({}));
+                if (!res.ok) return alert('加载统计失败: ' + (data.error || res.status));
+                renderStats(data);
+            } catch (e) {
+                alert('请求失败');
+            }
+        }
 
-    <div class="sb-section-title">APPLICATIONS</div>
-    <div id="sidebar-menu">
-      ${sidebarItemsHtml}
-    </div>
-  </div>
+        function renderStats(stats) {
+            const trend = document.getElementById('statsTrend');
+            trend.innerHTML = '';
+            const max = Math.max(1, ...stats.daily.map(d => d.total));
+            // 按访问环境拆分的点击数，如“外网 3，预发 1”
+            const byEnv = c => stats.environments.filter(e => c[e.key]).map(e => e.name + ' ' + c[e.key]).join('，') || '无';
+            let total = 0;
+            stats.daily.forEach(d => {
+                const count = d.total;
+                total += count;
+                const bar = document.createElement('div');
+                bar.className = 'trend-bar' + (count ? '' : ' empty');
+                bar.style.height = (count / max * 100) + '%';
+                bar.title = d.date + '：' + count + ' 次（' + byEnv(d) + '）';
+                trend.appendChild(bar);
+            });
+            document.getElementById('statsSummary').textContent = (stats.tracking ? '' : '点击统计未开启 · ')
+                + '最近 ' + stats.days + ' 天共 ' + total + ' 次点击';
 
-  <!-- 主内容 -->
-  <!-- 主内容 -->
-  <div class="main-content">
-    
-    <div class="apps-container">
-      <!-- 顶部功能区 (悬浮) -->
-      <div class="top-nav">
-        <div class="net-switch" onclick="toggleNetwork()" id="netSwitch">
-            <span class="switch-label" id="netLabel">外网</span>
-            <div class="toggle-track"><div class="toggle-thumb"></div></div>
-        </div>
-        <div class="user-avatar">AD</div>
-      </div>
+            // 只统计仍然存在的链接
+            const used = links.filter(l => l.id && stats.links[l.id])
+                .sort((a, b) => stats.links[b.id].total - stats.links[a.id].total);
+            const unused = links.filter(l => !l.id || !stats.links[l.id]);
 
-      <!-- Hero 区域 -->
-      <div class="hero-section">
-        <div class="hero-content">
-           <h1 class="page-title"><span style="-webkit-text-fill-color: initial;">${greetingEmoji}</span> ${greeting}，欢迎回来！</h1>
-           <div class="page-subtitle">${dateStr}</div>
-        </div>
-        
-        <!-- 搜索框 (居中) -->
-        <div class="search-wrapper">
-          <span class="search-icon">🔍</span>
-          <input type="text" class="search-input" id="appSearch" placeholder="搜索我的应用..." oninput="filterApps()">
-        </div>
-      </div>
+            const top = document.getElementById('statsTop');
+            top.innerHTML = used.length ? '' : '<div style="color:#8e8e93; font-size:14px;">暂无点击记录</div>';
+            used.slice(0, 10).forEach(link => {
+                const c = stats.links[link.id];
+                const item = document.createElement('div');
+                item.className = 'list-item';
+                const name = document.createElement('span');
+                name.textContent = link.name;
+                const count = document.createElement('span');
+                count.style.cssText = 'font-size:12px; color:#8e8e93;';
+                count.textContent = c.total + ' 次（' + byEnv(c) + '）· 最近 ' + formatTime(c.last);
+                item.appendChild(name);
+                item.appendChild(count);
+                top.appendChild(item);
+            });
+
+            const unusedEl = document.getElementById('statsUnused');
+            unusedEl.innerHTML = unused.length ? '' : '<div style="color:#8e8e93; font-size:14px;">所有链接都有人使用</div>';
+            unused.forEach(link => {
+                const tag = document.createElement('span');
+                tag.className = 'tag';
+                tag.style.margin = '0 6px 6px 0';
+                tag.textContent = link.name;
+                unusedEl.appendChild(tag);
+            });
+        }
+
+        async function setTracking(enabled) {
+            const checkbox = document.getElementById('trackClicks');
+            try {
+                const headers = { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token };
+                if (baseEtag) headers['If-Match'] = baseEtag;
+                const res = await fetch(boardUrl('/api/links'), {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({ settings: { ...settings, trackClicks: enabled } })
+                });
+                const data = await res.json().catch(() => ({}));
+                if (res.status === 409) {
+                    checkbox.checked = !enabled;
+                    return alert('数据已被其他人修改，请先保存或刷新页面后再切换');
+                }
+                if (!res.ok) {
+                    checkbox.checked = !enabled;
+                    return alert('保存失败: ' + (data.error || res.status));
+                }
+                // 只修改了站点设置，本地未保存的链接编辑不受影响
+                baseEtag = data.etag || res.headers.get('ETag') || '';
+                settings = (data.data && data.data.settings) || {};
+                fetchStats();
+            } catch (e) {
+                checkbox.checked = !enabled;
+                alert('请求失败');
+            }
+        }
 
-      <!-- 移动端分类栏 -->
-      <div class="mobile-cat-bar" id="mobileCatBar">
-        ${mobileCatHtml}
-      </div>
+        function toggleTransfer() {
+            document.getElementById('transferManager').classList.toggle('hidden');
+        }
 
-      <!-- 网格 -->
-      <div class="grid" id="appsGrid">
-        ${cardsHtml}
-      </div>
+        async function runImport(mode) {
+            const file = document.getElementById('importFile').files[0];
+            if (!file) return alert('请先选择要导入的文件');
+            const format = document.getElementById('importFormat').value;
+            if (mode !== 'preview') {
+                const dirty = JSON.stringify({ links, categories }) !== JSON.stringify(baseData);
+                const warning = mode === 'replace' ? '替换会删除现有的全部链接和分类（可在历史版本中回滚）。' : '';
+                if (!confirm(warning + (dirty ? '导入会直接保存到服务器，当前未保存的修改将丢失。' : '') + '确定继续吗？')) return;
+            }
 
+            const headers = { 'Content-Type': 'text/plain; charset=utf-8', 'Authorization': 'Bearer ' + token };
+            if (mode !== 'preview' && baseEtag) headers['If-Match'] = baseEtag;
+            try {
+                const res = await fetch(boardUrl('/api/import?format=' + encodeURIComponent(format) + '&mode=' + mode), {
+                    method: 'POST',
+                    headers,
+                    body: await file.text()
+                });
+                const data = await res.json().catch(() => ({}));
+                if (res.status === 409) {
+                    alert('服务器上的数据已被他人修改，已重新加载，请重新导入');
+                    fetchLinks();
+                    return;
+                }
+                if (!res.ok) {
+                    if (data.report) renderImportReport(data.report, mode, data.errors);
+                    return alert('导入失败: ' + (data.cause || data.error || res.status));
+                }
+                renderImportReport(data.report, mode, data.errors);
+                if (data.data) {
+                    links = data.data.links || [];
+                    categories = data.data.categories || {};
+                    baseEtag = data.etag || '';
+                    baseData = JSON.parse(JSON.stringify({ links, categories }));
+                    renderList();
+                    renderCategoryList();
+                    alert('导入完成');
+                }
+            } catch (e) {
+                alert('请求失败');
+            }
+        }
 
-      <footer style="margin-top: 60px; text-align: center; color: #94a3b8; font-size: 12px;">
-         Powered by Aliyun ESA Edge Routine | <a href="/admin" style="color: inherit; text-decoration: underline;">管理后台</a>
-      </footer>
-    </div>
-  </div>
+        function renderImportReport(report, mode, errors) {
+            const el = document.getElementById('importReport');
+            el.innerHTML = '';
+            const summary = document.createElement('div');
+            summary.style.cssText = 'font-size:14px; margin-bottom:6px;';
+            summary.textContent = (mode === 'preview' ? '预览（未保存）：' : '导入结果：')
+                + '新增 ' + report.created.length + ' · 合并重复 ' + report.merged.length
+                + ' · 跳过 ' + report.skipped.length + ' · 新分类 ' + report.categories.length;
+            el.appendChild(summary);
 
-  <script>
-    function filterCategory(cat) {
-      // 更新 Sidebar 状态
-      document.querySelectorAll('.sidebar-item').forEach(i => {
-        if (i.getAttribute('data-cat') === cat) i.classList.add('active');
-        else i.classList.remove('active');
-      });
+            const sections = [
+                ['新增', report.created, item => item.name + ' → ' + (categories[item.category] || item.category)],
+                ['合并重复', report.merged, item => item.name + '（已存在：' + item.existing + '）'],
+                ['跳过', report.skipped, item => (item.name || item.url) + '：' + item.reason],
+                ['新分类', report.categories, item => item.key + ' · ' + item.name],
+                ['校验错误（需修正后才能导入）', errors || [], item => item.path + ': ' + item.message]
+            ];
+            sections.forEach(([title, items, format]) => {
+                if (items.length === 0) return;
+                const details = document.createElement('details');
+                const head = document.createElement('summary');
+                head.textContent = title + ' (' + items.length + ')';
+                details.appendChild(head);
+                items.forEach(item => {
+                    const line = document.createElement('div');
+                    line.style.cssText = 'font-size:12px; color:#6e6e73; padding:2px 0;';
+                    line.textContent = format(item);
+                    details.appendChild(line);
+                });
+                el.appendChild(details);
+            });
+        }
 
-      // 更新 Mobile Pills 状态
-      document.querySelectorAll('.cat-pill').forEach(i => {
-        if (i.getAttribute('data-cat') === cat) i.classList.add('active');
-        else i.classList.remove('active');
-      });
+        async function exportData() {
+            const format = document.getElementById('exportFormat').value;
+            try {
+                const res = await fetch(boardUrl('/api/export?format=' + encodeURIComponent(format)), {
+                    headers: { 'Authorization': 'Bearer ' + token }
+                });
+                if (!res.ok) {
+                    const d = await res.json().catch(() => ({}));
+                    return alert('导出失败: ' + (d.error || res.status));
+                }
+                const disposition = res.headers.get('Content-Disposition') || '';
+                const match = disposition.match(/filename="([^"]+)"/);
+                const a = document.createElement('a');
+                a.href = URL.createObjectURL(await res.blob());
+                a.download = match ? match[1] : 'export';
+                document.body.appendChild(a);
+                a.click();
+                a.remove();
+                setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+            } catch (e) {
+                alert('请求失败');
+            }
+        }
 
-      // 过滤内容
-      const cards = document.querySelectorAll('.app-card');
-      cards.forEach(card => {
-        if (cat === 'all' || card.getAttribute('data-category') === cat) {
-          card.style.display = 'flex';
-        } else {
-          card.style.display = 'none';
+        function toggleNetworkManager() {
+            const el = document.getElementById('networkManager');
+            el.classList.toggle('hidden');
+            if (!el.classList.contains('hidden')) fetchNetwork();
         }
-      });
-      
-      // 平滑滚动到顶部 (可选)
-      // window.scrollTo({ top: 0, behavior: 'smooth' });
-    }
 
-    function filterApps() {
-      const query = document.getElementById('appSearch').value.toLowerCase();
-      const cards = document.querySelectorAll('.app-card');
-      
-      // 如果正在搜索，优先显示搜索结果（忽略分类过滤，或者在当前分类下搜索）
-      // 这里为了简单，搜索是全局搜索
-      
-      cards.forEach(card => {
-        const name = card.getAttribute('data-name');
-        const desc = card.getAttribute('data-desc');
-        const match = name.includes(query) || desc.includes(query);
-        
-        if (match) {
-           card.style.display = 'flex';
-        } else {
-           card.style.display = 'none';
+        // 读取访问环境；非 admin 只会拿到环境的 ID、名称和颜色，用于链接表单和统计展示
+        async function fetchNetwork() {
+            try {
+                const res = await fetch('/api/network', { headers: { 'Authorization': 'Bearer ' + token } });
+                if (res.ok) renderNetwork(await res.json());
+            } catch (e) { console.error(e); }
         }
-      });
-      
-      // 如果搜索框清空，恢复当前选中的分类视图？
-      // 简单起见，搜索时重置分类选中状态到 "全部" 可能是更好的交互，或者仅仅过滤可见元素
-      if (!query) {
-         // 触发当前激活的分类点击以恢复状态
-         document.querySelector('.sidebar-item.active').click();
-      }
-    }
-    
-    // 内外网切换逻辑
-    let isIntranet = false;
-    function toggleNetwork() {
-        isIntranet = !isIntranet;
-        const switchEl = document.getElementById('netSwitch');
-        const labelEl = document.getElementById('netLabel');
-        const body = document.body;
-        
-        if (isIntranet) {
-            switchEl.classList.add('active');
-            labelEl.textContent = '内网';
-            body.classList.add('intranet-mode');
-        } else {
-            switchEl.classList.remove('active');
-            labelEl.textContent = '外网';
-            body.classList.remove('intranet-mode');
+
+        function renderNetwork(config) {
+            environments = config.environments;
+            renderEnvironmentList();
+            renderLinkEnvInputs();
+            renderList();
+            const sources = { cookie: '手动选择', header: '命中可信请求头', cidr: '命中网段', default: '未命中规则' };
+            const detected = config.detected;
+            const current = environments.find(e => e.key === detected.mode);
+            document.getElementById('networkDetected').textContent = '当前访问 (IP ' + detected.ip + ') 识别为' +
+                (current ? current.name : detected.mode) + '：' + sources[detected.source];
         }
-        
-        updateCardLinks();
-    }
-    
-    function updateCardLinks() {
-        const cards = document.querySelectorAll('.app-card');
-        cards.forEach(card => {
-            const extUrl = card.getAttribute('data-url-ext');
-            const intUrl = card.getAttribute('data-url-int');
-            
-            if (isIntranet && intUrl) {
-                card.href = intUrl;
-                card.title = '内网地址: ' + intUrl;
-            } else {
-                card.href = extUrl;
-                card.title = '外网地址: ' + extUrl;
-            }
-        });
-    }
-  </script>
-</body>
-</html>
-  `;
-}
 
-// ----------------------------------------------------------------
-// 后台管理页面 HTML (内嵌)
-// ----------------------------------------------------------------
-function getAdminHtml() {
-  return `
-<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>导航页管理后台</title>
-    <style>
-        :root { --primary: #007AFF; --bg: #f5f5f7; --card: #fff; --text: #1d1d1f; }
-        body { font-family: -apple-system, sans-serif; background: var(--bg); color: var(--text); padding: 20px; max-width: 800px; margin: 0 auto; }
-        .auth-overlay { position: fixed; inset: 0; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 1000; }
-        .auth-box { background: white; padding: 2rem; border-radius: 12px; width: 90%; max-width: 400px; box-shadow: 0 10px 25px rgba(0,0,0,0.1); }
-        .hidden { display: none !important; }
-        .card { background: var(--card); padding: 20px; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.05); margin-bottom: 20px; }
-        h1 { margin: 0 0 20px; font-size: 24px; }
-        .form-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 10px; }
-        .full-width { grid-column: span 2; }
-        input { width: 100%; padding: 10px; border: 1px solid #d2d2d7; border-radius: 8px; font-size: 14px; box-sizing: border-box; }
-        button { background: var(--primary); color: white; border: none; padding: 10px 20px; border-radius: 8px; cursor: pointer; font-weight: 500; }
-        button:hover { opacity: 0.9; }
-        button.danger { background: #ff3b30; }
-        .list-item { background: #fafafa; padding: 12px; border-radius: 8px; margin-bottom: 8px; display: flex; justify-content: space-between; align-items: center; border: 1px solid #eee; }
-        .tag { display: inline-block; background: #e5e5ea; padding: 2px 8px; border-radius: 4px; font-size: 12px; margin-left: 8px; }
-    </style>
-</head>
-<body>
-    <div id="authModal" class="auth-overlay">
-        <div class="auth-box">
-            <h2 style="margin-bottom: 1rem;">管理员登录</h2>
-            <input type="password" id="authPassword" placeholder="输入密码" style="margin-bottom: 1rem;">
-            <button onclick="login()" style="width: 100%;">登录</button>
-        </div>
-    </div>
+        function renderEnvironmentList() {
+            const el = document.getElementById('environmentList');
+            el.innerHTML = '';
+            environments.forEach((env, index) => {
+                const item = document.createElement('div');
+                item.className = 'list-item';
+                item.style.padding = '8px';
 
-    <div class="card">
-        <div style="display:flex; justify-content:space-between; align-items:center;">
-            <h1>🔗 链接管理</h1>
-            <a href="/" target="_blank" style="color:var(--primary); text-decoration:none;">查看主页 &rarr;</a>
-        </div>
-        
-        <div class="form-grid">
-            <input type="text" id="linkName" placeholder="名称 (如: B站)">
-            <input type="text" id="linkUrl" placeholder="URL (如: https://...)">
-            <select id="iconSelect">
-                <option value="">选择图标</option>
-            </select>
-            <input type="text" id="linkIcon" placeholder="自定义图标 (Emoji 或 URL)">
-            <select id="categorySelect">
-                <option value="">选择分类</option>
-            </select>
-            <input type="text" id="linkCategory" placeholder="自定义分类 ID (如: media)">
+                const contentDiv = document.createElement('div');
+                const strong = document.createElement('strong');
+                strong.textContent = env.name;
+                if (env.color) strong.style.color = env.color;
+                const tag = document.createElement('span');
+                tag.className = 'tag';
+                tag.textContent = index === 0 ? env.key + ' · 默认' : env.key;
+                contentDiv.appendChild(strong);
+                contentDiv.appendChild(tag);
+                const rules = [];
+                if (env.cidrs && env.cidrs.length) rules.push('网段 ' + env.cidrs.length);
+                if (env.headers && env.headers.length) rules.push('请求头 ' + env.headers.length);
+                if (env.probeUrl) rules.push('探测');
+                if (env.rewrites && env.rewrites.length) rules.push('改写 ' + env.rewrites.length);
+                if (rules.length) {
+                    const rulesTag = document.createElement('span');
+                    rulesTag.className = 'tag';
+                    rulesTag.textContent = rules.join(' · ');
+                    contentDiv.appendChild(rulesTag);
+                }
+                item.appendChild(contentDiv);
 
-            <input type="text" id="linkDesc" class="full-width" placeholder="描述 (简短介绍，支持卡片展示)">
-            <input type="text" id="linkUrlInt" class="full-width" placeholder="内网 URL (选填，切换到内网模式时使用)">
-        </div>
-        <button id="submitBtn" onclick="submitLink()">添加链接</button>
-        <button id="cancelBtn" onclick="cancelEdit()" style="background: #8e8e93; display: none; margin-left: 10px;">取消修改</button>
-    </div>
+                const editBtn = document.createElement('button');
+                editBtn.textContent = '编辑';
+                editBtn.style.cssText = 'padding: 4px 8px; font-size: 12px; margin-left: auto; margin-right: 5px; background: #8e8e93;';
+                editBtn.onclick = function() {
+                    document.getElementById('envKey').value = env.key;
+                    document.getElementById('envName').value = env.name;
+                    document.getElementById('envColor').value = env.color || '';
+                    document.getElementById('envProbeUrl').value = env.probeUrl || '';
+                    document.getElementById('envCidrs').value = (env.cidrs || []).join(', ');
+                    document.getElementById('envHeaders').value = (env.headers || []).map(h => h.value ? h.name + ': ' + h.value : h.name).join(', ');
+                    document.getElementById('envRewrites').value = (env.rewrites || []).map(r => r.from + '=' + r.to).join(', ');
+                };
+                item.appendChild(editBtn);
 
-    <div class="card">
-        <div style="display:flex; justify-content:space-between; align-items:center;">
-            <h1>🏷️ 分类管理</h1>
-            <button onclick="toggleCatManager()" style="background:transparent; color:#007AFF; padding:0;">展开/收起</button>
-        </div>
-        <div id="catManager" class="hidden" style="margin-top: 10px;">
-            <div id="categoryList"></div>
-            <div class="form-grid" style="margin-top: 10px;">
-                <input type="text" id="newCatKey" placeholder="分类 ID (如: mycat)">
-                <input type="text" id="newCatName" placeholder="显示名称 (如: ✨ 我的分类)">
-            </div>
-            <button onclick="addCategory()">添加/更新分类</button>
-        </div>
-    </div>
-    
-    <div class="card">
-         <div style="display:flex; justify-content:space-between; align-items:center;">
-             <h1>🔐 安全设置</h1>
-             <button onclick="togglePwdManager()" style="background:transparent; color:#007AFF; padding:0;">展开/收起</button>
-         </div>
-         <div id="pwdManager" class="hidden" style="margin-top: 10px;">
-            <div class="form-grid">
-               <input type="password" id="newAdminPassword" placeholder="新密码">
-               <button onclick="changePassword()">修改管理员密码</button>
-            </div>
-         </div>
-    </div>
+                if (env.key !== 'ext' && env.key !== 'int') {
+                    const btn = document.createElement('button');
+                    btn.className = 'danger';
+                    btn.textContent = '删除';
+                    btn.style.cssText = 'padding: 4px 8px; font-size: 12px;';
+                    btn.onclick = function() {
+                        if (!confirm('确定删除环境“' + env.name + '”吗？链接中填写的该环境地址会保留，但不再使用。')) return;
+                        postEnvironments(environments.filter(e => e.key !== env.key));
+                    };
+                    item.appendChild(btn);
+                }
+                el.appendChild(item);
+            });
+        }
 
-    <div class="card">
-        <div id="linkList"></div>
-        <div style="margin-top: 20px; text-align: right;">
-            <button onclick="saveAll()" id="saveBtn">💾 保存所有更改 (链接+分类)</button>
-        </div>
-    </div>
+        async function saveEnvironment() {
+            const list = id => document.getElementById(id).value.split(',').map(v => v.trim()).filter(Boolean);
+            const key = document.getElementById('envKey').value.trim();
+            const name = document.getElementById('envName').value.trim();
+            if (!key || !name) return alert('环境 ID 和名称必填');
+            const env = {
+                key,
+                name,
+                color: document.getElementById('envColor').value.trim(),
+                probeUrl: document.getElementById('envProbeUrl').value.trim(),
+                cidrs: list('envCidrs'),
+                headers: list('envHeaders').map(h => {
+                    const pos = h.indexOf(':');
+                    return pos < 0 ? { name: h } : { name: h.slice(0, pos).trim(), value: h.slice(pos + 1).trim() };
+                }),
+                rewrites: list('envRewrites').map(r => {
+                    const pos = r.indexOf('=');
+                    return { from: pos < 0 ? r : r.slice(0, pos).trim(), to: pos < 0 ? '' : r.slice(pos + 1).trim() };
+                })
+            };
+            const exists = environments.some(e => e.key === key);
+            if (await postEnvironments(exists ? environments.map(e => (e.key === key ? env : e)) : [...environments, env])) {
+                ['envKey', 'envName', 'envColor', 'envProbeUrl', 'envCidrs', 'envHeaders', 'envRewrites'].forEach(id => document.getElementById(id).value = '');
+            }
+        }
 
-    <script>
-        // 全局错误捕获
-        window.onerror = function(msg, url, line, col, error) {
-           alert("JS Error: " + msg + "\\\\nLine: " + line);
-           return false;
-        };
-        
- 
+        async function postEnvironments(list) {
+            try {
+                const res = await fetch('/api/network', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token },
+                    body: JSON.stringify({ environments: list })
+                });
+                const d = await res.json().catch(() => ({}));
+                if (res.ok) {
+                    renderNetwork(d);
+                    return true;
+                }
+                const detail = (d.errors || []).map(err => err.path + ' ' + err.message).join('\\n');
+                alert('保存失败: ' + (d.error || res.status) + (detail ? '\\n' + detail : ''));
+            } catch (e) {
+                alert('请求失败');
+            }
+            return false;
+        }
 
-        let links = [];
-        let categories = {}; // 新增分类数据
-        let token = localStorage.getItem('esa_nav_token') || '';
-        let editingIndex = null;
-        const presetIcons = ['📺','🎬','📖','🧠','🛠️','💻','📰','🎧','🛒','✈️','📈','🎮','📷','🔍','💬','🌐','📚','🧭','🧩'];
-        const presetCategories = ['media','books','tools','dev','news','music','shopping','travel','finance','games','photo','search','social','learning','work'];
-        function populatePresets() {
+        // 外网、内网以外的环境各对应一个地址输入框（链接的 urls 字段）
+        function renderLinkEnvInputs() {
+            const box = document.getElementById('linkEnvUrls');
+            const typed = {};
+            box.querySelectorAll('input').forEach(input => { typed[input.getAttribute('data-env')] = input.value; });
+            box.innerHTML = '';
+            environments.filter(e => e.key !== 'ext' && e.key !== 'int').forEach(env => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.id = 'linkEnvUrl-' + env.key;
+                input.setAttribute('data-env', env.key);
+                input.placeholder = env.name + ' URL (选填，留空则按该环境的域名改写规则生成)';
+                input.value = typed[env.key] || '';
+                box.appendChild(input);
+            });
+            box.classList.toggle('hidden', box.children.length === 0);
+        }
+
+        function fillLinkEnvUrls(urls) {
+            document.querySelectorAll('#linkEnvUrls input').forEach(input => {
+                input.value = (urls || {})[input.getAttribute('data-env')] || '';
+            });
+        }
+
+        function toggleUserManager() {
+            document.getElementById('userManager').classList.toggle('hidden');
+        }
+
+        async function fetchUsers() {
             try {
-                const iconSel = document.getElementById('iconSelect');
-                presetIcons.forEach(i => { const o = document.createElement('option'); o.value = i; o.textContent = i; iconSel.appendChild(o); });
-                const catSel = document.getElementById('categorySelect');
-                presetCategories.forEach(c => { const o = document.createElement('option'); o.value = c; o.textContent = c; catSel.appendChild(o); });
-            } catch(e) { alert('Preset Error: ' + e.message); }
+                const res = await fetch('/api/users', { headers: { 'Authorization': 'Bearer ' + token } });
+                if (res.ok) renderUserList(await res.json());
+            } catch (e) { console.error(e); }
         }
-        populatePresets();
 
-        if (token) {
-            validateAndInit();
+        function renderUserList(users) {
+            const el = document.getElementById('userList');
+            el.innerHTML = '';
+            users.forEach(user => {
+                const item = document.createElement('div');
+                item.className = 'list-item';
+                item.style.padding = '8px';
+
+                const contentDiv = document.createElement('div');
+                const strong = document.createElement('strong');
+                strong.textContent = user.username;
+                const tag = document.createElement('span');
+                tag.className = 'tag';
+                tag.textContent = user.builtIn ? user.role + ' · 内置' : user.role;
+                contentDiv.appendChild(strong);
+                contentDiv.appendChild(tag);
+                item.appendChild(contentDiv);
+
+                if (!user.builtIn) {
+                    const resetBtn = document.createElement('button');
+                    resetBtn.textContent = '重置两步验证';
+                    resetBtn.style.cssText = 'padding: 4px 8px; font-size: 12px; margin-left: auto; margin-right: 5px; background: #8e8e93;';
+                    resetBtn.onclick = function() { resetUserTotp(user); };
+                    item.appendChild(resetBtn);
+                }
+
+                if (!user.builtIn && user.username !== currentUser.username) {
+                    const btn = document.createElement('button');
+                    btn.className = 'danger';
+                    btn.textContent = '删除';
+                    btn.style.cssText = 'padding: 4px 8px; font-size: 12px;';
+                    btn.onclick = function() { deleteUser(user.username); };
+                    item.appendChild(btn);
+                }
+                el.appendChild(item);
+            });
         }
 
-        async function login() { 
-            const input = document.getElementById('authPassword').value.trim();
-            if (!input) {
-                return alert('请输入密码');
-            }
-            const btn = document.querySelector('button[onclick="login()"]');
-            btn.disabled = true;
-            btn.textContent = '登录中...';
-            
+        async function saveUser() {
+            const username = document.getElementById('newUsername').value.trim();
+            const password = document.getElementById('newUserPassword').value;
+            const role = document.getElementById('newUserRole').value;
+            if (!username) return alert('用户名必填');
+
+            const payload = { username, role };
+            if (password) payload.password = password;
             try {
-                const res = await fetch('/api/auth', { headers: { 'Authorization': 'Bearer ' + input } });
-                
+                const res = await fetch('/api/users', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token },
+                    body: JSON.stringify(payload)
+                });
                 if (res.ok) {
-                    token = input;
-                    localStorage.setItem('esa_nav_token', token);
-                    document.getElementById('authModal').classList.add('hidden');
-                    alert('登录成功');
-                    fetchLinks();
+                    document.getElementById('newUsername').value = '';
+                    document.getElementById('newUserPassword').value = '';
+                    fetchUsers();
                 } else {
-                    alert('密码错误 (服务器返回状态: ' + res.status + ')');
-                    localStorage.removeItem('esa_nav_token');
+                    const d = await res.json().catch(() => ({}));
+                    alert('保存失败: ' + (d.error || res.status));
                 }
             } catch (e) {
-                alert('网络错误: ' + e.message);
-            } finally {
-                btn.disabled = false;
-                btn.textContent = '登录';
+                alert('请求失败');
             }
         }
 
-        async function validateAndInit() {
+        async function resetUserTotp(user) {
+            if (!confirm('确定重置 ' + user.username + ' 的两步验证吗？')) return;
             try {
-                const res = await fetch('/api/auth', { headers: { 'Authorization': 'Bearer ' + token } });
+                const res = await fetch('/api/users', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token },
+                    body: JSON.stringify({ username: user.username, role: user.role, resetTotp: true })
+                });
                 if (res.ok) {
-                    document.getElementById('authModal').classList.add('hidden');
-                    fetchLinks();
+                    alert('已重置');
                 } else {
-                    localStorage.removeItem('esa_nav_token');
+                    const d = await res.json().catch(() => ({}));
+                    alert('重置失败: ' + (d.error || res.status));
                 }
-            } catch (_) {}
+            } catch (e) {
+                alert('请求失败');
+            }
         }
 
-        async function fetchLinks() {
+        async function deleteUser(username) {
+            if (!confirm('确定删除用户 ' + username + ' 吗？')) return;
             try {
-                const res = await fetch('/api/links');
+                const res = await fetch('/api/users/' + encodeURIComponent(username), {
+                    method: 'DELETE',
+                    headers: { 'Authorization': 'Bearer ' + token }
+                });
                 if (res.ok) {
-                    const data = await res.json();
-                    // 兼容旧格式（纯数组）或新格式（对象）
-                    if (Array.isArray(data)) {
-                        links = data;
-                        categories = {
-                            'media': '🎬 影音媒体',
-                            'books': '📚 图书资源',
-                            'tools': '🛠️ 常用工具',
-                            'dev': '💻 开发资源'
-                        };
-                    } else {
-                        links = data.links || [];
-                        categories = data.categories || {};
-                    }
-                    renderList();
-                    renderCategoryList();
+                    fetchUsers();
+                } else {
+                    const d = await res.json().catch(() => ({}));
+                    alert('删除失败: ' + (d.error || res.status));
                 }
-            } catch (e) { console.error(e); }
-        }
-
-        function toggleCatManager() {
-            document.getElementById('catManager').classList.toggle('hidden');
-        }
-        
-        function togglePwdManager() {
-            document.getElementById('pwdManager').classList.toggle('hidden');
+            } catch (e) {
+                alert('请求失败');
+            }
         }
 
         async function changePassword() {
@@ -1338,6 +7234,13 @@ function getAdminHtml() {
                 contentDiv.appendChild(tag);
                 contentDiv.appendChild(document.createTextNode(' '));
                 contentDiv.appendChild(strong);
+                const visibility = (settings.categoryVisibility || {})[key];
+                if (visibility) {
+                    const visTag = document.createElement('span');
+                    visTag.className = 'tag';
+                    visTag.textContent = VISIBILITY_LABELS[visibility];
+                    contentDiv.appendChild(visTag);
+                }
                 
                 const btn = document.createElement('button');
                 btn.className = 'danger';
@@ -1356,21 +7259,247 @@ function getAdminHtml() {
             const name = document.getElementById('newCatName').value.trim();
             if (!key || !name) return alert('ID 和名称必填');
             categories[key] = name;
+            setCategoryVisibility(key, document.getElementById('newCatVisibility').value);
             renderCategoryList();
             document.getElementById('newCatKey').value = '';
             document.getElementById('newCatName').value = '';
+            document.getElementById('newCatVisibility').value = 'public';
         }
 
         function removeCategory(key) {
             if (confirm('确定删除分类配置吗？(不会删除该分类下的链接)')) {
                 delete categories[key];
+                setCategoryVisibility(key, 'public');
                 renderCategoryList();
             }
         }
 
+        // 分类可见性随站点设置一起保存，公开分类不记录
+        function setCategoryVisibility(key, visibility) {
+            const map = { ...(settings.categoryVisibility || {}) };
+            if (visibility && visibility !== 'public') map[key] = visibility;
+            else delete map[key];
+            settings = { ...settings, categoryVisibility: map };
+        }
+
+        function renderSearchEngines() {
+            const config = searchConfig || DEFAULT_SEARCH;
+            const el = document.getElementById('searchEngineList');
+            el.innerHTML = '';
+            config.engines.forEach(engine => {
+                const isDefault = engine.key === config.default;
+                const item = document.createElement('div');
+                item.className = 'list-item';
+                item.style.padding = '8px';
+
+                const contentDiv = document.createElement('div');
+                const tag = document.createElement('span');
+                tag.className = 'tag';
+                tag.textContent = isDefault ? engine.key + ' · 默认' : engine.key;
+                const strong = document.createElement('strong');
+                strong.textContent = engine.name;
+                const urlDiv = document.createElement('div');
+                urlDiv.style.cssText = 'font-size:12px; color:#ccc; word-break:break-all;';
+                urlDiv.textContent = engine.url;
+                contentDiv.appendChild(tag);
+                contentDiv.appendChild(document.createTextNode(' '));
+                contentDiv.appendChild(strong);
+                contentDiv.appendChild(urlDiv);
+                item.appendChild(contentDiv);
+
+                const defaultBtn = document.createElement('button');
+                defaultBtn.textContent = isDefault ? '取消默认' : '设为默认';
+                defaultBtn.style.cssText = 'padding: 4px 8px; font-size: 12px; margin-left: auto; margin-right: 5px; background: #8e8e93;';
+                defaultBtn.onclick = function() {
+                    postSearch({ ...config, default: isDefault ? '' : engine.key });
+                };
+                item.appendChild(defaultBtn);
+
+                const editBtn = document.createElement('button');
+                editBtn.textContent = '编辑';
+                editBtn.style.cssText = 'padding: 4px 8px; font-size: 12px; margin-right: 5px; background: #8e8e93;';
+                editBtn.onclick = function() {
+                    document.getElementById('searchKey').value = engine.key;
+                    document.getElementById('searchName').value = engine.name;
+                    document.getElementById('searchUrl').value = engine.url;
+                };
+                item.appendChild(editBtn);
+
+                const btn = document.createElement('button');
+                btn.className = 'danger';
+                btn.textContent = '删除';
+                btn.style.cssText = 'padding: 4px 8px; font-size: 12px;';
+                btn.onclick = function() {
+                    if (!confirm('确定删除搜索引擎“' + engine.name + '”吗？')) return;
+                    postSearch({
+                        default: isDefault ? '' : config.default,
+                        engines: config.engines.filter(e => e.key !== engine.key)
+                    });
+                };
+                item.appendChild(btn);
+                el.appendChild(item);
+            });
+        }
+
+        async function saveSearchEngine() {
+            const config = searchConfig || DEFAULT_SEARCH;
+            const engine = {
+                key: document.getElementById('searchKey').value.trim().toLowerCase(),
+                name: document.getElementById('searchName').value.trim(),
+                url: document.getElementById('searchUrl').value.trim()
+            };
+            if (!engine.key || !engine.name || !engine.url) return alert('快捷前缀、名称和搜索地址必填');
+            const exists = config.engines.some(e => e.key === engine.key);
+            const engines = exists ? config.engines.map(e => (e.key === engine.key ? engine : e)) : [...config.engines, engine];
+            if (await postSearch({ ...config, engines })) {
+                ['searchKey', 'searchName', 'searchUrl'].forEach(id => document.getElementById(id).value = '');
+            }
+        }
+
+        // 搜索引擎配置单独保存，本地未保存的链接编辑不受影响
+        async function postSearch(search) {
+            try {
+                const headers = { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token };
+                if (baseEtag) headers['If-Match'] = baseEtag;
+                const res = await fetch(boardUrl('/api/links'), {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({ search })
+                });
+                const data = await res.json().catch(() => ({}));
+                if (res.status === 409) {
+                    alert('数据已被其他人修改，请先保存或刷新页面后再修改');
+                    return false;
+                }
+                if (!res.ok) {
+                    const detail = (data.errors || []).map(err => err.path + ' ' + err.message).join('\\n');
+                    alert('保存失败: ' + (data.error || res.status) + (detail ? '\\n' + detail : ''));
+                    return false;
+                }
+                baseEtag = data.etag || res.headers.get('ETag') || '';
+                searchConfig = (data.data && data.data.search) || null;
+                renderSearchEngines();
+                return true;
+            } catch (e) {
+                alert('请求失败');
+            }
+            return false;
+        }
+
+        function toggleIconPicker() {
+            const el = document.getElementById('iconPicker');
+            el.classList.toggle('hidden');
+            if (!el.classList.contains('hidden')) {
+                renderPresetIcons();
+                fetchAssets();
+            }
+        }
+
+        // 选择图标：预设 Emoji 写入下拉框，上传的图标以 /assets/<id> 写入自定义图标输入框
+        function pickIcon(icon, preset) {
+            document.getElementById('iconSelect').value = preset ? icon : '';
+            document.getElementById('linkIcon').value = preset ? '' : icon;
+        }
+
+        function renderPresetIcons() {
+            const grid = document.getElementById('presetIconGrid');
+            grid.innerHTML = '';
+            presetIcons.forEach(icon => {
+                const tile = document.createElement('div');
+                tile.className = 'icon-tile';
+                tile.textContent = icon;
+                tile.onclick = () => pickIcon(icon, true);
+                grid.appendChild(tile);
+            });
+        }
+
+        async function fetchAssets() {
+            try {
+                const res = await fetch('/api/assets', { headers: { 'Authorization': 'Bearer ' + token } });
+                if (res.ok) renderAssets(await res.json());
+            } catch (e) { console.error(e); }
+        }
+
+        function renderAssets(assets) {
+            const grid = document.getElementById('assetGrid');
+            grid.innerHTML = '';
+            if (assets.length === 0) {
+                grid.textContent = '暂无';
+                return;
+            }
+            assets.forEach(asset => {
+                const tile = document.createElement('div');
+                tile.className = 'icon-tile';
+                tile.title = asset.name;
+                const img = document.createElement('img');
+                img.src = asset.url;
+                img.alt = asset.name;
+                tile.appendChild(img);
+                const remove = document.createElement('span');
+                remove.className = 'remove';
+                remove.textContent = '✕';
+                remove.onclick = (e) => { e.stopPropagation(); deleteAsset(asset); };
+                tile.appendChild(remove);
+                tile.onclick = () => pickIcon(asset.url, false);
+                grid.appendChild(tile);
+            });
+        }
+
+        async function uploadAsset() {
+            const input = document.getElementById('assetFile');
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                const res = await fetch('/api/assets?name=' + encodeURIComponent(file.name), {
+                    method: 'POST',
+                    headers: { 'Content-Type': file.type || 'application/octet-stream', 'Authorization': 'Bearer ' + token },
+                    body: file
+                });
+                const data = await res.json().catch(() => ({}));
+                if (!res.ok) return alert('上传失败: ' + (data.error || res.status));
+                pickIcon(data.url, false);
+                fetchAssets();
+            } catch (e) {
+                alert('请求失败');
+            } finally {
+                input.value = '';
+            }
+        }
+
+        async function deleteAsset(asset) {
+            if (!confirm('确定删除图标 ' + asset.name + ' 吗？')) return;
+            const request = force => fetch('/api/assets/' + encodeURIComponent(asset.id) + (force ? '?force=1' : ''), {
+                method: 'DELETE',
+                headers: { 'Authorization': 'Bearer ' + token }
+            });
+            try {
+                let res = await request(false);
+                if (res.status === 409) {
+                    const data = await res.json().catch(() => ({}));
+                    if (!confirm('以下链接仍在使用该图标：' + (data.links || []).join('、') + '。仍要删除吗？')) return;
+                    res = await request(true);
+                }
+                if (!res.ok) {
+                    const data = await res.json().catch(() => ({}));
+                    return alert('删除失败: ' + (data.error || res.status));
+                }
+                fetchAssets();
+            } catch (e) {
+                alert('请求失败');
+            }
+        }
+
+        function isImageIcon(icon) {
+            return typeof icon === 'string' && (icon.startsWith('http://') || icon.startsWith('https://') || (icon.startsWith('/') && !icon.startsWith('//')));
+        }
+
         function renderList() {
             const listEl = document.getElementById('linkList');
             listEl.innerHTML = '';
+            const down = Object.values(health.links).filter(h => (h.url && !h.url.ok) || (h.url_intranet && !h.url_intranet.ok)).length;
+            document.getElementById('healthSummary').textContent = health.checkedAt
+                ? '上次检查：' + formatTime(health.checkedAt) + (down ? ' · ' + down + ' 个链接不可用' : ' · 全部可用')
+                : '尚未检查链接可用性';
             links.forEach((link, index) => {
                 const item = document.createElement('div');
                 item.className = 'list-item';
@@ -1381,7 +7510,15 @@ function getAdminHtml() {
                 
                 const iconSpan = document.createElement('span');
                 iconSpan.style.cssText = 'margin-right: 8px; font-size: 1.2em;';
-                iconSpan.textContent = link.icon || '🔗';
+                if (isImageIcon(link.icon)) {
+                    const img = document.createElement('img');
+                    img.src = link.icon;
+                    img.alt = '';
+                    img.style.cssText = 'width: 1.2em; height: 1.2em; object-fit: contain; vertical-align: middle;';
+                    iconSpan.appendChild(img);
+                } else {
+                    iconSpan.textContent = link.icon || '🔗';
+                }
                 
                 const nameStrong = document.createElement('strong');
                 nameStrong.textContent = link.name;
@@ -1398,22 +7535,49 @@ function getAdminHtml() {
                 urlDiv.style.cssText = 'font-size:12px; color:#ccc;';
                 urlDiv.textContent = link.url;
                 
+                const linkHealth = (link.id && health.links[link.id]) || {};
+                const extDot = healthDot(linkHealth.url, link.url);
+                if (extDot) urlDiv.appendChild(extDot);
+
                 leftDiv.appendChild(iconSpan);
                 leftDiv.appendChild(nameStrong);
                 leftDiv.appendChild(document.createTextNode(' '));
                 leftDiv.appendChild(catTag);
+                if (link.visibility && link.visibility !== 'public') {
+                    const visTag = document.createElement('span');
+                    visTag.className = 'tag';
+                    visTag.textContent = VISIBILITY_LABELS[link.visibility] || link.visibility;
+                    leftDiv.appendChild(visTag);
+                }
                 leftDiv.appendChild(descDiv);
+                if (link.keywords) {
+                    const keywordsDiv = document.createElement('div');
+                    keywordsDiv.style.cssText = 'font-size:11px; color:#8e8e93;';
+                    keywordsDiv.textContent = '🏷️ ' + link.keywords;
+                    leftDiv.appendChild(keywordsDiv);
+                }
                 leftDiv.appendChild(urlDiv);
                 
                 if (link.url_intranet) {
                     const intDiv = document.createElement('div');
                     intDiv.style.cssText = 'font-size:11px; color:#16a34a;';
                     intDiv.textContent = '🔒 内网: ' + link.url_intranet;
+                    const intDot = healthDot(linkHealth.url_intranet, link.url_intranet);
+                    if (intDot) intDiv.appendChild(intDot);
                     leftDiv.appendChild(intDiv);
                 }
+                Object.keys(link.urls || {}).forEach(key => {
+                    const env = environments.find(e => e.key === key);
+                    const envDiv = document.createElement('div');
+                    envDiv.style.cssText = 'font-size:11px; color:' + ((env && env.color) || '#8e8e93') + ';';
+                    envDiv.textContent = '🌐 ' + (env ? env.name : key + '（已删除的环境）') + ': ' + link.urls[key];
+                    leftDiv.appendChild(envDiv);
+                });
                 
                 // 右侧按钮区
                 const rightDiv = document.createElement('div');
+                rightDiv.setAttribute('data-min-role', 'editor');
+                if (!hasRole('editor')) rightDiv.classList.add('hidden');
                 
                 const editBtn = document.createElement('button');
                 editBtn.textContent = '编辑';
@@ -1436,6 +7600,7 @@ function getAdminHtml() {
         }
 
         function submitLink() {
+            clearFieldErrors();
             const name = document.getElementById('linkName').value;
             const url = document.getElementById('linkUrl').value;
             const iconSel = document.getElementById('iconSelect').value.trim();
@@ -1443,24 +7608,44 @@ function getAdminHtml() {
             const categorySel = document.getElementById('categorySelect').value.trim();
             const categoryCustom = document.getElementById('linkCategory').value.trim();
             const description = document.getElementById('linkDesc').value.trim();
+            const keywords = document.getElementById('linkKeywords').value.trim();
             const urlInt = document.getElementById('linkUrlInt').value.trim();
+            const visibility = document.getElementById('linkVisibility').value;
+            // 其他环境的地址：只更新表单中列出的环境，已删除环境的旧地址原样保留
+            const urls = { ...((editingIndex !== null && links[editingIndex].urls) || {}) };
+            document.querySelectorAll('#linkEnvUrls input').forEach(input => {
+                const key = input.getAttribute('data-env');
+                if (input.value.trim()) urls[key] = input.value.trim();
+                else delete urls[key];
+            });
             const icon = iconCustom || iconSel;
             const category = categoryCustom || categorySel;
 
             if (!name || !url) return alert('名称和 URL 必填');
 
+            let link;
             if (editingIndex !== null) {
                 // 修改
-                links[editingIndex] = { name, url, icon, category, description, url_intranet: urlInt };
+                // 保留服务端分配的 id
+                link = { ...links[editingIndex], name, url, icon, category, description, keywords, url_intranet: urlInt };
+                links[editingIndex] = link;
                 cancelEdit(); // 退出编辑模式
             } else {
                 // 新增
-                links.push({ name, url, icon, category, description, url_intranet: urlInt });
+                link = { name, url, icon, category, description, keywords, url_intranet: urlInt };
+                links.push(link);
                 // 清空表单
-                ['linkName', 'linkUrl', 'linkIcon', 'linkCategory', 'linkDesc', 'linkUrlInt'].forEach(id => document.getElementById(id).value = '');
+                ['linkName', 'linkUrl', 'linkIcon', 'linkCategory', 'linkDesc', 'linkKeywords', 'linkUrlInt'].forEach(id => document.getElementById(id).value = '');
                 document.getElementById('iconSelect').value = '';
                 document.getElementById('categorySelect').value = '';
+                document.getElementById('linkVisibility').value = 'public';
+                fillLinkEnvUrls({});
             }
+            // 公开为缺省值，不写入数据
+            if (visibility === 'public') delete link.visibility;
+            else link.visibility = visibility;
+            if (Object.keys(urls).length) link.urls = urls;
+            else delete link.urls;
             
             renderList();
         }
@@ -1470,7 +7655,10 @@ function getAdminHtml() {
             document.getElementById('linkName').value = link.name;
             document.getElementById('linkUrl').value = link.url;
             document.getElementById('linkDesc').value = link.description || '';
+            document.getElementById('linkKeywords').value = link.keywords || '';
             document.getElementById('linkUrlInt').value = link.url_intranet || '';
+            document.getElementById('linkVisibility').value = link.visibility || 'public';
+            fillLinkEnvUrls(link.urls);
             const iconSel = document.getElementById('iconSelect');
             const catSel = document.getElementById('categorySelect');
             if (presetIcons.includes(link.icon)) {
@@ -1498,9 +7686,12 @@ function getAdminHtml() {
 
         function cancelEdit() {
             editingIndex = null;
-            ['linkName', 'linkUrl', 'linkIcon', 'linkCategory', 'linkDesc', 'linkUrlInt'].forEach(id => document.getElementById(id).value = '');
+            clearFieldErrors();
+            ['linkName', 'linkUrl', 'linkIcon', 'linkCategory', 'linkDesc', 'linkKeywords', 'linkUrlInt'].forEach(id => document.getElementById(id).value = '');
             document.getElementById('iconSelect').value = '';
             document.getElementById('categorySelect').value = '';
+            document.getElementById('linkVisibility').value = 'public';
+            fillLinkEnvUrls({});
             document.getElementById('submitBtn').textContent = '添加链接';
             document.getElementById('cancelBtn').style.display = 'none';
         }
@@ -1519,6 +7710,175 @@ function getAdminHtml() {
             }
         }
 
+        // ---------- 并发冲突处理 ----------
+        // 与服务端 indexLinks 一致：以 id / 名称区分链接，同名按出现顺序编号
+        function keyedLinks(list) {
+            const seen = {};
+            return (list || []).map(link => {
+                const base = link.id || link.name || link.url || '';
+                seen[base] = (seen[base] || 0) + 1;
+                return { key: seen[base] > 1 ? base + '#' + seen[base] : base, value: link };
+            });
+        }
+
+        function keyedCategories(map) {
+            return Object.keys(map || {}).map(key => ({ key, value: map[key] }));
+        }
+
+        function sameValue(a, b) {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+
+        // 三方合并：只有一方改动的条目直接采用改动方，双方改得不同的条目记为冲突
+        // 返回 { entries: [{ key, value, conflict? }] }，value 为 undefined 表示删除
+        function mergeEntries(baseList, mineList, theirsList) {
+            const toMap = list => { const m = {}; list.forEach(e => { m[e.key] = e.value; }); return m; };
+            const base = toMap(baseList), mine = toMap(mineList), theirs = toMap(theirsList);
+            const order = theirsList.map(e => e.key);
+            mineList.forEach(e => { if (!order.includes(e.key)) order.push(e.key); });
+
+            return order.map(key => {
+                const b = base[key], m = mine[key], t = theirs[key];
+                if (sameValue(m, t)) return { key, value: m };
+                if (sameValue(m, b)) return { key, value: t };
+                if (sameValue(t, b)) return { key, value: m };
+                return { key, value: m, conflict: { mine: m, theirs: t } };
+            });
+        }
+
+        function describe(value) {
+            if (value === undefined) return '(已删除)';
+            if (typeof value === 'string') return value;
+            return value.name + ' - ' + value.url;
+        }
+
+        function showConflict(conflict) {
+            const theirs = conflict.current || {};
+            const mergedLinks = mergeEntries(keyedLinks(baseData.links), keyedLinks(links), keyedLinks(theirs.links));
+            const mergedCats = mergeEntries(keyedCategories(baseData.categories), keyedCategories(categories), keyedCategories(theirs.categories));
+            pendingConflict = { conflict, mergedLinks, mergedCats };
+
+            const el = document.getElementById('conflictSummary');
+            el.innerHTML = '';
+            const conflicts = [
+                ...mergedLinks.filter(e => e.conflict).map(e => ({ type: '链接', entry: e })),
+                ...mergedCats.filter(e => e.conflict).map(e => ({ type: '分类', entry: e }))
+            ];
+            document.getElementById('conflictModal').classList.remove('hidden');
+            if (conflicts.length === 0) {
+                el.textContent = '双方修改的是不同条目，可以自动合并。';
+                return;
+            }
+
+            const intro = document.createElement('div');
+            intro.style.marginBottom = '8px';
+            intro.textContent = '以下 ' + conflicts.length + ' 个条目双方都做了不同修改，请逐一选择保留哪一方：';
+            el.appendChild(intro);
+            conflicts.forEach(({ type, entry }) => {
+                const item = document.createElement('div');
+                item.className = 'list-item';
+                item.style.cssText = 'display:block; padding:8px;';
+                const title = document.createElement('strong');
+                title.textContent = type + '：' + entry.key;
+                const sel = document.createElement('select');
+                sel.style.cssText = 'display:block; margin-top:6px; width:100%;';
+                [['mine', '保留我的：' + describe(entry.conflict.mine)], ['theirs', '保留服务器的：' + describe(entry.conflict.theirs)]].forEach(([v, label]) => {
+                    const o = document.createElement('option');
+                    o.value = v;
+                    o.textContent = label;
+                    sel.appendChild(o);
+                });
+                sel.onchange = function() { entry.value = sel.value === 'mine' ? entry.conflict.mine : entry.conflict.theirs; };
+                item.appendChild(title);
+                item.appendChild(sel);
+                el.appendChild(item);
+            });
+        }
+
+        async function resolveConflict(action) {
+            document.getElementById('conflictModal').classList.add('hidden');
+            const pending = pendingConflict;
+            pendingConflict = null;
+            if (!pending || action === 'cancel') return;
+
+            if (action === 'reload') {
+                await fetchLinks();
+                return;
+            }
+
+            // 合并：以服务器当前数据为新的基线，保存合并结果
+            links = pending.mergedLinks.filter(e => e.value !== undefined).map(e => e.value);
+            categories = {};
+            pending.mergedCats.forEach(e => { if (e.value !== undefined) categories[e.key] = e.value; });
+            const theirs = pending.conflict.current || {};
+            baseData = JSON.parse(JSON.stringify({ links: theirs.links || [], categories: theirs.categories || {} }));
+            baseEtag = pending.conflict.etag;
+            cancelEdit();
+            renderList();
+            renderCategoryList();
+            await saveAll();
+        }
+
+        // 服务端校验错误的字段与表单输入框的对应关系
+        const LINK_INPUTS = { name: 'linkName', url: 'linkUrl', icon: 'linkIcon', category: 'linkCategory', description: 'linkDesc', keywords: 'linkKeywords', url_intranet: 'linkUrlInt', visibility: 'linkVisibility' };
+        const VISIBILITY_LABELS = { authenticated: '🔒 登录可见', hidden: '🙈 隐藏' };
+        const CATEGORY_INPUTS = { key: 'newCatKey', name: 'newCatName' };
+
+        function clearFieldErrors() {
+            document.querySelectorAll('.field-error').forEach(el => el.remove());
+            document.querySelectorAll('.input-error').forEach(el => el.classList.remove('input-error'));
+        }
+
+        function setFieldError(inputId, message) {
+            const input = document.getElementById(inputId);
+            if (!input) return false;
+            input.classList.add('input-error');
+            const note = document.createElement('div');
+            note.className = 'field-error';
+            note.textContent = message;
+            input.insertAdjacentElement('afterend', note);
+            return true;
+        }
+
+        // 将第一个出错的链接 / 分类载入表单，并在对应输入框下方显示错误，其余错误汇总提示
+        function showValidationErrors(errors) {
+            clearFieldErrors();
+            const linkError = errors.find(e => /^links\\.\\d+\\./.test(e.path));
+            const linkIndex = linkError ? Number(linkError.path.split('.')[1]) : -1;
+            if (links[linkIndex]) editLink(linkIndex);
+
+            const catError = errors.find(e => /^categories\\..+\\.(key|name)$/.test(e.path));
+            const catKey = catError ? catError.path.slice('categories.'.length, catError.path.lastIndexOf('.')) : null;
+            if (catKey !== null) {
+                document.getElementById('catManager').classList.remove('hidden');
+                document.getElementById('newCatKey').value = catKey;
+                document.getElementById('newCatName').value = categories[catKey] || '';
+            }
+
+            const unmatched = [];
+            errors.forEach(err => {
+                const path = String(err.path || '');
+                const field = path.slice(path.lastIndexOf('.') + 1);
+                let inputId = null;
+                if (links[linkIndex] && path.startsWith('links.' + linkIndex + '.urls.')) {
+                    inputId = 'linkEnvUrl-' + field;
+                } else if (links[linkIndex] && path.startsWith('links.' + linkIndex + '.')) {
+                    inputId = LINK_INPUTS[field];
+                } else if (catKey !== null && path.startsWith('categories.' + catKey + '.')) {
+                    inputId = CATEGORY_INPUTS[field];
+                }
+                if (!inputId || !setFieldError(inputId, err.message)) {
+                    unmatched.push((path || '(root)') + ': ' + err.message);
+                }
+            });
+
+            if (unmatched.length > 0) {
+                alert('数据校验未通过：\\n' + unmatched.join('\\n'));
+            } else {
+                window.scrollTo({ top: 0, behavior: 'smooth' });
+            }
+        }
+
         async function saveAll() {
             const btn = document.getElementById('saveBtn');
             const originalText = btn.textContent;
@@ -1529,31 +7889,53 @@ function getAdminHtml() {
                 // 同时保存链接和分类配置
                 const dataToSave = {
                     links: links,
-                    categories: categories
+                    categories: categories,
+                    settings: settings
                 };
 
-                const res = await fetch('/api/links', {
+                const headers = { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token };
+                if (baseEtag) headers['If-Match'] = baseEtag;
+                const res = await fetch(boardUrl('/api/links'), {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token },
+                    headers,
                     body: JSON.stringify(dataToSave)
                 });
                 if (res.ok) {
+                    const result = await res.json().catch(() => ({}));
+                    baseEtag = result.etag || res.headers.get('ETag') || '';
+                    if (result.data) {
+                        // 采用服务端返回的数据，新链接由此获得 id
+                        links = result.data.links || [];
+                        categories = result.data.categories || {};
+                        settings = result.data.settings || {};
+                        searchConfig = result.data.search || null;
+                        renderList();
+                        renderCategoryList();
+                        renderSearchEngines();
+                    }
+                    baseData = JSON.parse(JSON.stringify({ links, categories }));
                     alert('保存成功！');
+                } else if (res.status === 409) {
+                    showConflict(await res.json());
                 } else {
                     // 解析服务器的错误信息，便于定位问题
                     let msg = '';
+                    let fieldErrors = null;
                     try {
                         const data = await res.json();
                         msg = (data && data.error) ? data.error : '';
                         if (data && data.cause) {
                            msg += '\\n[Cause]: ' + data.cause;
                         }
+                        if (data && Array.isArray(data.errors)) fieldErrors = data.errors;
                     } catch (_) {}
                     
                     if (res.status === 401) {
-                        alert('密码错误');
+                        alert('登录已过期，请重新登录');
                         localStorage.removeItem('esa_nav_token');
                         location.reload();
+                    } else if (fieldErrors) {
+                        showValidationErrors(fieldErrors);
                     } else {
                         alert((msg || '保存失败') + ' (HTTP ' + res.status + ')');
                     }
@@ -1569,3 +7951,113 @@ function getAdminHtml() {
 </html>
   `;
 }
+
+// ----------------------------------------------------------------
+// 首次初始化向导 HTML (内嵌)
+// ----------------------------------------------------------------
+function getSetupHtml(requireToken) {
+  const categoryOptions = Object.keys(SETUP_CONFIG.STARTER_CATEGORIES).map(key => `
+            <label class="cat-option">
+                <input type="checkbox" name="starterCat" value="${escapeHtml(key)}">
+                ${escapeHtml(SETUP_CONFIG.STARTER_CATEGORIES[key])}
+            </label>`).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>初始化导航页</title>
+    <style>
+        :root { --primary: #007AFF; --bg: #f5f5f7; --card: #fff; --text: #1d1d1f; }
+        body { font-family: -apple-system, sans-serif; background: var(--bg); color: var(--text); padding: 20px; max-width: 560px; margin: 40px auto; }
+        .hidden { display: none !important; }
+        .card { background: var(--card); padding: 24px; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.05); margin-bottom: 20px; }
+        h1 { margin: 0 0 8px; font-size: 24px; }
+        h2 { font-size: 16px; margin: 24px 0 10px; }
+        p.hint { color: #6e6e73; font-size: 13px; margin: 0 0 16px; }
+        input[type=text], input[type=password] { width: 100%; padding: 10px; border: 1px solid #d2d2d7; border-radius: 8px; font-size: 14px; box-sizing: border-box; margin-bottom: 10px; }
+        button { background: var(--primary); color: white; border: none; padding: 10px 20px; border-radius: 8px; cursor: pointer; font-weight: 500; width: 100%; margin-top: 16px; }
+        button:hover { opacity: 0.9; }
+        .cat-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; }
+        .cat-option { background: #fafafa; border: 1px solid #eee; border-radius: 8px; padding: 8px 10px; font-size: 14px; cursor: pointer; }
+        .error { color: #ff3b30; font-size: 13px; margin-top: 10px; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <h1>👋 欢迎使用导航页</h1>
+        <p class="hint">检测到尚未设置管理员密码。请先完成初始化，完成前所有写接口均不可用。</p>
+
+        <div class="${requireToken ? '' : 'hidden'}">
+            <h2>初始化口令</h2>
+            <p class="hint">部署者在环境变量 SETUP_TOKEN 中设置的口令。</p>
+            <input type="password" id="setupToken" placeholder="初始化口令">
+        </div>
+
+        <h2>管理员密码 *</h2>
+        <input type="password" id="password" placeholder="至少 ${SETUP_CONFIG.MIN_PASSWORD_LENGTH} 位，不能为 admin">
+        <input type="password" id="passwordConfirm" placeholder="再次输入密码">
+
+        <h2>站点标题</h2>
+        <input type="text" id="siteTitle" placeholder="选填，如：我的工作台">
+
+        <h2>起始分类</h2>
+        <p class="hint">选填。勾选后仅保留这些分类及其示例链接；不勾选则使用默认示例数据。</p>
+        <div class="cat-grid">${categoryOptions}
+        </div>
+
+        <div id="setupError" class="error hidden"></div>
+        <button id="setupBtn" onclick="submitSetup()">完成初始化</button>
+    </div>
+
+    <script>
+        async function submitSetup() {
+            const errEl = document.getElementById('setupError');
+            const showError = (msg) => { errEl.textContent = msg; errEl.classList.remove('hidden'); };
+            errEl.classList.add('hidden');
+
+            const password = document.getElementById('password').value;
+            const confirmPwd = document.getElementById('passwordConfirm').value;
+            if (password.length < ${SETUP_CONFIG.MIN_PASSWORD_LENGTH}) return showError('密码至少 ${SETUP_CONFIG.MIN_PASSWORD_LENGTH} 位');
+            if (password === 'admin') return showError('不能使用默认密码 admin');
+            if (password !== confirmPwd) return showError('两次输入的密码不一致');
+
+            const categories = Array.from(document.querySelectorAll('input[name=starterCat]:checked')).map(i => i.value);
+            const btn = document.getElementById('setupBtn');
+            btn.disabled = true;
+            btn.textContent = '初始化中...';
+
+            try {
+                const res = await fetch('/api/setup', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        password,
+                        title: document.getElementById('siteTitle').value.trim(),
+                        categories,
+                        setupToken: document.getElementById('setupToken').value
+                    })
+                });
+                const data = await res.json().catch(() => ({}));
+                if (res.ok) {
+                    localStorage.setItem('esa_nav_token', data.token);
+                    location.href = '/admin';
+                } else if (res.status === 409) {
+                    location.href = '/admin';
+                } else {
+                    showError((data.error || '初始化失败') + ' (HTTP ' + res.status + ')');
+                }
+            } catch (e) {
+                showError('网络错误: ' + e.message);
+            } finally {
+                btn.disabled = false;
+                btn.textContent = '完成初始化';
+            }
+        }
+    </script>
+</body>
+</html>
+  `;
+}
@@ -0,0 +1,114 @@
+// 访问环境自检：CIDR 匹配的边界情况（/0、/32、IPv6、IPv4 映射地址）、
+// 环境识别顺序（Cookie → 可信请求头 → 客户端 IP 网段 → 默认环境）、探测地址和域名改写
+// 运行：node --test test/*.test.mjs
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, request } from './support.mjs';
+
+let w;
+let config;
+
+before(async () => {
+  w = await loadWorker([
+    'parseIp', 'parseCidr', 'ipInCidr', 'detectNetwork', 'resolveNetwork',
+    'validateNetworkConfig', 'environmentUrl', 'NETWORK_CONFIG'
+  ]);
+  const result = w.validateNetworkConfig({
+    environments: [
+      { key: 'ext', name: '外网' },
+      { key: 'int', name: '内网', cidrs: ['10.0.0.0/8', 'fd00::/8'] },
+      { key: 'vpn', name: 'VPN', cidrs: ['10.8.0.0/16'], headers: [{ name: 'X-Vpn', value: 'on' }] },
+      { key: 'lab', name: '实验室', cidrs: ['192.168.7.7/32'], probeUrl: 'https://probe.lab.test/ping', rewrites: [{ from: 'example.com', to: 'lab.example.com:8443' }] },
+    ]
+  });
+  assert.deepEqual(result.errors, []);
+  config = result.value;
+});
+
+const inCidr = (ip, cidr) => w.ipInCidr(w.parseIp(ip), w.parseCidr(cidr));
+
+// 客户端 IP 取自平台设置的 Ali-Real-Client-IP 请求头（见 getClientIp）
+function visit({ ip, headers = {}, cookie } = {}) {
+  const all = { ...headers };
+  if (ip) all['Ali-Real-Client-IP'] = ip;
+  if (cookie) all.Cookie = `${w.NETWORK_CONFIG.COOKIE}=${cookie}`;
+  return w.detectNetwork(request('/', { headers: all }), config, {});
+}
+
+test('IPv4 网段：/0 匹配任何 IPv4 地址，/32 只匹配自身', () => {
+  assert.equal(inCidr('203.0.113.9', '0.0.0.0/0'), true);
+  assert.equal(inCidr('255.255.255.255', '0.0.0.0/0'), true);
+  assert.equal(inCidr('192.168.7.7', '192.168.7.7/32'), true);
+  assert.equal(inCidr('192.168.7.8', '192.168.7.7/32'), false);
+  assert.equal(inCidr('192.168.7.7', '192.168.7.7'), true, '不带前缀长度视为 /32');
+  assert.equal(inCidr('10.255.255.255', '10.0.0.0/8'), true);
+  assert.equal(inCidr('11.0.0.0', '10.0.0.0/8'), false);
+  // 网段地址的主机位不为 0 时按前缀截断比较
+  assert.equal(inCidr('172.16.5.1', '172.16.9.9/16'), true);
+});
+
+test('IPv6 网段：/0、/128、压缩写法和 IPv4 映射地址', () => {
+  assert.equal(inCidr('2001:db8::1', '::/0'), true);
+  assert.equal(inCidr('fd12:3456::1', 'fd00::/8'), true);
+  assert.equal(inCidr('fe80::1', 'fd00::/8'), false);
+  assert.equal(inCidr('2001:db8:0:0:0:0:0:1', '2001:db8::1/128'), true);
+  assert.equal(inCidr('2001:db8::2', '2001:db8::1/128'), false);
+  assert.equal(inCidr('[2001:db8::1]', '2001:db8::/32'), true, '方括号写法');
+  assert.equal(inCidr('fe80::1%eth0', 'fe80::/10'), true, '带区域标识');
+  assert.equal(inCidr('::ffff:10.1.2.3', '10.0.0.0/8'), true, 'IPv4 映射地址按 IPv4 匹配');
+});
+
+test('IPv4 与 IPv6 互不匹配，非法地址和网段不匹配', () => {
+  assert.equal(inCidr('10.0.0.1', '::/0'), false);
+  assert.equal(inCidr('2001:db8::1', '0.0.0.0/0'), false);
+  assert.equal(w.parseIp('256.0.0.1'), null);
+  assert.equal(w.parseIp('1::2::3'), null);
+  assert.equal(w.parseIp('1:2:3:4:5:6:7:8:9'), null);
+  assert.equal(w.parseCidr('10.0.0.0/33'), null);
+  assert.equal(w.parseCidr('::/129'), null);
+  assert.equal(w.parseCidr('10.0.0.0/8/1'), null);
+  assert.equal(inCidr('not-an-ip', '0.0.0.0/0'), false);
+});
+
+test('环境识别顺序：Cookie → 请求头 → 网段 → 默认环境', () => {
+  // 同时满足网段、请求头和 Cookie 时，手动选择优先
+  assert.deepEqual(visit({ ip: '10.8.1.1', headers: { 'X-Vpn': 'on' }, cookie: 'lab' }), { mode: 'lab', source: 'cookie' });
+  // 请求头优先于网段：10.8.1.1 同时落在 int 和 vpn 的网段内
+  assert.deepEqual(visit({ ip: '10.8.1.1', headers: { 'X-Vpn': 'on' } }), { mode: 'vpn', source: 'header' });
+  // 请求头的值不符时不命中，继续按网段判断；多个环境的网段都命中时取配置中靠前的环境
+  assert.deepEqual(visit({ ip: '10.8.1.1', headers: { 'X-Vpn': 'off' } }), { mode: 'int', source: 'cidr' });
+  assert.deepEqual(visit({ ip: '192.168.7.7' }), { mode: 'lab', source: 'cidr' });
+  assert.deepEqual(visit({ ip: 'fd00::1' }), { mode: 'int', source: 'cidr' });
+  assert.deepEqual(visit({ ip: '203.0.113.9' }), { mode: 'ext', source: 'default' });
+  // 取不到客户端 IP 时不按网段判断
+  assert.deepEqual(visit(), { mode: 'ext', source: 'default' });
+});
+
+test('未配置的 Cookie 值被忽略，伪造的 X-Forwarded-For 不参与网段判断', () => {
+  assert.deepEqual(visit({ ip: '203.0.113.9', cookie: 'staging' }), { mode: 'ext', source: 'default' });
+  assert.deepEqual(visit({ ip: '203.0.113.9', headers: { 'X-Forwarded-For': '10.0.0.1', 'X-Real-IP': '10.0.0.1' } }), { mode: 'ext', source: 'default' });
+});
+
+test('配置了探测地址时首页开启自动识别，并把探测地址交给浏览器', async () => {
+  assert.equal(w.resolveNetwork(request('/'), config, {}).auto, true);
+  const plain = w.validateNetworkConfig({ environments: [{ key: 'ext', name: '外网' }, { key: 'int', name: '内网' }] }).value;
+  assert.equal(w.resolveNetwork(request('/'), plain, {}).auto, false);
+  assert.deepEqual(config.environments.filter(e => e.probeUrl).map(e => e.probeUrl), ['https://probe.lab.test/ping']);
+  assert.equal(w.validateNetworkConfig({
+    environments: [{ key: 'ext', name: '外网' }, { key: 'int', name: '内网', probeUrl: 'javascript:alert(1)' }]
+  }).errors[0].path, 'environments[1].probeUrl');
+});
+
+test('链接地址：单独填写的地址 → 域名改写 → 外网地址', () => {
+  const lab = config.environments.find(e => e.key === 'lab');
+  const int = config.environments.find(e => e.key === 'int');
+  assert.equal(w.environmentUrl({ url: 'https://git.example.com/a?b=1', urls: { lab: 'https://git.lab.test/' } }, lab), 'https://git.lab.test/');
+  // 改写匹配域名本身及其子域名，目标带端口时一并替换
+  assert.equal(w.environmentUrl({ url: 'https://git.example.com/a?b=1' }, lab), 'https://git.lab.example.com:8443/a?b=1');
+  assert.equal(w.environmentUrl({ url: 'https://example.com/' }, lab), 'https://lab.example.com:8443/');
+  // 只是后缀相同的其他域名不改写
+  assert.equal(w.environmentUrl({ url: 'https://notexample.com/' }, lab), 'https://notexample.com/');
+  assert.equal(w.environmentUrl({ url: 'https://a.test/', url_intranet: 'http://10.0.0.2/' }, int), 'http://10.0.0.2/');
+  assert.equal(w.environmentUrl({ url: 'https://a.test/' }, int), 'https://a.test/');
+});
@@ -0,0 +1,202 @@
+// OIDC 单点登录自检：在本机启动一个最小的模拟 IdP（discovery、JWKS、授权、令牌端点），
+// 走完整的授权码 + PKCE 流程，并确认回调拒绝错误的 state、nonce 和 PKCE verifier
+// 运行：node --test test/*.test.mjs
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { loadWorker, resetKV, request } from './support.mjs';
+
+const CLIENT_ID = 'esa-nav';
+
+// 模拟 IdP：授权端点直接“登录”并签发授权码，令牌端点按 S256 校验 code_verifier
+function createMockIdp() {
+  const codes = new Map();
+  const idp = {
+    issuer: '',
+    keyPair: null,
+    claims: { sub: 'u-1', email: 'alice@example.com', email_verified: true },
+    nextIdToken: {}, // 下一次签发的 ID Token 需要覆盖的 claims（用于构造错误的 nonce 等）
+  };
+
+  async function signIdToken(claims) {
+    const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+    const body = `${encode({ alg: 'RS256', kid: 'mock-key', typ: 'JWT' })}.${encode(claims)}`;
+    const sig = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', idp.keyPair.privateKey, new TextEncoder().encode(body));
+    return `${body}.${Buffer.from(sig).toString('base64url')}`;
+  }
+
+  async function readForm(req) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    return new URLSearchParams(raw);
+  }
+
+  const json = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  idp.server = createServer(async (req, res) => {
+    const url = new URL(req.url, idp.issuer);
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return json(res, 200, {
+        issuer: idp.issuer,
+        authorization_endpoint: `${idp.issuer}/authorize`,
+        token_endpoint: `${idp.issuer}/token`,
+        jwks_uri: `${idp.issuer}/jwks`,
+      });
+    }
+    if (url.pathname === '/jwks') {
+      const jwk = await crypto.subtle.exportKey('jwk', idp.keyPair.publicKey);
+      return json(res, 200, { keys: [{ ...jwk, kid: 'mock-key', alg: 'RS256', use: 'sig' }] });
+    }
+    if (url.pathname === '/authorize') {
+      const code = crypto.randomUUID();
+      codes.set(code, {
+        challenge: url.searchParams.get('code_challenge'),
+        method: url.searchParams.get('code_challenge_method'),
+        nonce: url.searchParams.get('nonce'),
+        redirectUri: url.searchParams.get('redirect_uri'),
+      });
+      const target = new URL(url.searchParams.get('redirect_uri'));
+      target.searchParams.set('code', code);
+      target.searchParams.set('state', url.searchParams.get('state'));
+      res.writeHead(302, { Location: target.toString() });
+      return res.end();
+    }
+    if (url.pathname === '/token' && req.method === 'POST') {
+      const form = await readForm(req);
+      const grant = codes.get(form.get('code'));
+      codes.delete(form.get('code'));
+      if (!grant || form.get('client_id') !== CLIENT_ID || form.get('redirect_uri') !== grant.redirectUri) {
+        return json(res, 400, { error: 'invalid_grant' });
+      }
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(form.get('code_verifier') || ''));
+      if (grant.method !== 'S256' || Buffer.from(digest).toString('base64url') !== grant.challenge) {
+        return json(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+      const now = Math.floor(Date.now() / 1000);
+      const idToken = await signIdToken({
+        iss: idp.issuer,
+        aud: CLIENT_ID,
+        iat: now,
+        exp: now + 300,
+        nonce: grant.nonce,
+        ...idp.claims,
+        ...idp.nextIdToken,
+      });
+      idp.nextIdToken = {};
+      return json(res, 200, { access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+    }
+    res.writeHead(404);
+    res.end();
+  });
+
+  return idp;
+}
+
+const idp = createMockIdp();
+let worker;
+let env;
+
+before(async () => {
+  idp.keyPair = await crypto.subtle.generateKey(
+    { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    true,
+    ['sign', 'verify']
+  );
+  await new Promise(resolve => idp.server.listen(0, '127.0.0.1', resolve));
+  idp.issuer = `http://127.0.0.1:${idp.server.address().port}`;
+  env = {
+    ADMIN_PASSWORD: 'break-glass-1',
+    SESSION_SECRET: 'oidc-test-secret',
+    OIDC_ISSUER: idp.issuer,
+    OIDC_CLIENT_ID: CLIENT_ID,
+    OIDC_CLIENT_SECRET: 'mock-secret',
+    OIDC_EDITOR_EMAILS: '@example.com',
+  };
+  worker = (await loadWorker()).default;
+});
+
+beforeEach(resetKV);
+
+after(() => new Promise(resolve => idp.server.close(resolve)));
+
+// 发起登录并在模拟 IdP 完成授权，返回回调地址和 state Cookie
+async function signIn() {
+  const start = await worker.fetch(request('/api/oidc/login'), env);
+  assert.equal(start.status, 302);
+  const authUrl = new URL(start.headers.get('Location'));
+  assert.equal(authUrl.searchParams.get('code_challenge_method'), 'S256');
+  assert.ok(authUrl.searchParams.get('state'));
+  assert.ok(authUrl.searchParams.get('nonce'));
+
+  const cookie = start.headers.get('Set-Cookie').split(';')[0];
+  const authorized = await fetch(authUrl, { redirect: 'manual' });
+  const callback = new URL(authorized.headers.get('Location'));
+  return { callback, cookie };
+}
+
+async function finish(callback, cookie) {
+  const headers = cookie ? { Cookie: cookie } : {};
+  const res = await worker.fetch(request(callback.pathname + callback.search, { headers }), env);
+  assert.equal(res.status, 302);
+  const fragment = new URLSearchParams(new URL(res.headers.get('Location')).hash.slice(1));
+  return { token: fragment.get('sso_token'), error: fragment.get('sso_error') };
+}
+
+test('完整的授权码 + PKCE 流程签发会话，角色按邮箱名单映射', async () => {
+  const { callback, cookie } = await signIn();
+  const { token, error } = await finish(callback, cookie);
+  assert.equal(error, null);
+  assert.ok(token);
+
+  const auth = await worker.fetch(request('/api/auth', { headers: { Authorization: `Bearer ${token}` } }), env);
+  assert.equal(auth.status, 200);
+  const body = await auth.json();
+  assert.equal(body.username, 'sso:alice@example.com');
+  assert.equal(body.role, 'editor');
+});
+
+test('回调的 state 与 Cookie 不一致时拒绝', async () => {
+  const { callback, cookie } = await signIn();
+  callback.searchParams.set('state', 'forged-state');
+  const { token, error } = await finish(callback, cookie);
+  assert.equal(token, null);
+  assert.equal(error, 'Invalid SSO state');
+});
+
+test('缺少登录时写入的 state Cookie 时拒绝', async () => {
+  const { callback } = await signIn();
+  const { token, error } = await finish(callback, null);
+  assert.equal(token, null);
+  assert.equal(error, 'SSO login expired, please try again');
+});
+
+test('ID Token 的 nonce 与本次登录不一致时拒绝', async () => {
+  const { callback, cookie } = await signIn();
+  idp.nextIdToken = { nonce: 'replayed-nonce' };
+  const { token, error } = await finish(callback, cookie);
+  assert.equal(token, null);
+  assert.equal(error, 'ID token nonce mismatch');
+});
+
+test('授权码与另一次登录的 PKCE verifier 搭配时被 IdP 拒绝', async () => {
+  const first = await signIn();
+  const second = await signIn();
+  // 把第一次登录拿到的授权码注入第二次登录的回调（state 与 Cookie 都属于第二次）
+  const injected = new URL(second.callback);
+  injected.searchParams.set('code', first.callback.searchParams.get('code'));
+  const { token, error } = await finish(injected, second.cookie);
+  assert.equal(token, null);
+  assert.equal(error, 'PKCE verification failed');
+});
+
+test('不在名单内且未设置默认角色的账号不能登录', async () => {
+  const { callback, cookie } = await signIn();
+  idp.nextIdToken = { email: 'mallory@elsewhere.test' };
+  const { token, error } = await finish(callback, cookie);
+  assert.equal(token, null);
+  assert.equal(error, 'Your account is not allowed to access this dashboard');
+});
@@ -0,0 +1,48 @@
+// 本地自检的公共部分：在 Node 20+ 中加载 src/worker.js，并用内存 Map 模拟 EdgeKV
+// worker.js 是单文件 ES 模块，没有具名导出；需要直接调用内部函数时，
+// 把函数名传给 loadWorker，会在临时副本末尾追加对应的 export 语句
+
+import { readFile, writeFile, mkdtemp } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const stores = new Map();
+
+globalThis.EdgeKV = class {
+  constructor({ namespace }) {
+    if (!stores.has(namespace)) stores.set(namespace, new Map());
+    this.store = stores.get(namespace);
+  }
+  async get(key, options) {
+    const value = this.store.get(key);
+    if (value === undefined) return undefined;
+    if (options && options.type === 'arrayBuffer') {
+      return typeof value === 'string' ? new TextEncoder().encode(value).buffer : value;
+    }
+    return typeof value === 'string' ? value : new TextDecoder().decode(value);
+  }
+  async put(key, value) {
+    this.store.set(key, value);
+  }
+  async delete(key) {
+    return this.store.delete(key);
+  }
+};
+
+// 清空所有命名空间，每个用例从空 KV 开始
+export function resetKV() {
+  stores.clear();
+}
+
+export async function loadWorker(internals = []) {
+  const source = await readFile(new URL('../src/worker.js', import.meta.url), 'utf8');
+  const dir = await mkdtemp(join(tmpdir(), 'esa-nav-'));
+  const file = join(dir, 'worker.mjs');
+  const exports = internals.length ? `\nexport { ${internals.join(', ')} };\n` : '';
+  await writeFile(file, source + exports);
+  return import(file);
+}
+
+export function request(path, init = {}) {
+  return new Request('https://nav.test' + path, init);
+}